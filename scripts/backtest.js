@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+/**
+ * MAMOS DASHBOARD - Backtest
+ * Replays recorded history through generateAnalysis() + generateTradingPlan()
+ * and measures what happened to the price afterwards. Runs fully offline.
+ *
+ *   node scripts/backtest.js record [--days 1095]     # download fixtures (network)
+ *   node scripts/backtest.js [--from 2024-01-01] [--to 2025-12-31] [--profile contrarian] [--json report.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('./lib/http');
+const { unzip } = require('./lib/unzip');
+const scoringRules = require('./lib/scoring-rules');
+const cftc = require('./lib/cot');
+const levels = require('./lib/levels');
+const {
+  computePriceLevels,
+  buildFearGreed,
+  buildFunding,
+  parseCOTLine,
+  generateAnalysis,
+  generateTradingPlan
+} = require('./update-data');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'backtest', 'fixtures');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HORIZONS = [1, 7, 30];
+const PLAN_WINDOW_DAYS = 30;
+
+// COT is as of Tuesday but only published on Friday
+const COT_PUBLICATION_DELAY_DAYS = 3;
+
+function parseArgs(argv) {
+  const args = { command: 'run', dir: FIXTURES_DIR, days: 1095 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === 'record') args.command = 'record';
+    else if (arg === '--fixtures') args.dir = path.resolve(argv[++i]);
+    else if (arg === '--from') args.from = argv[++i];
+    else if (arg === '--to') args.to = argv[++i];
+    else if (arg === '--json') args.json = path.resolve(argv[++i]);
+    else if (arg === '--days') args.days = parseInt(argv[++i]);
+    else if (arg === '--profile') args.profile = argv[++i];
+  }
+  return args;
+}
+
+function dayKey(ts) {
+  return new Date(ts).toISOString().split('T')[0];
+}
+
+// ============ RECORD ============
+
+function download(url) {
+  return http.getBuffer(url, { timeout: 60000 });
+}
+
+async function downloadJSON(url) {
+  return JSON.parse((await download(url)).toString('utf8'));
+}
+
+async function record({ dir, days }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const start = Date.now() - days * DAY_MS;
+  
+  console.log('😱 Fear & Greed history...');
+  const fng = await downloadJSON('https://api.alternative.me/fng/?limit=0');
+  fs.writeFileSync(path.join(dir, 'fear-greed.json'), JSON.stringify(fng));
+  
+  console.log('🕯️ BTCUSDT daily klines...');
+  let klines = [];
+  for (let from = start; from < Date.now(); ) {
+    const page = await downloadJSON(`https://api.binance.com/api/v3/klines?symbol=BTCUSDT&interval=1d&startTime=${from}&limit=1000`);
+    if (!Array.isArray(page) || page.length === 0) break;
+    klines = klines.concat(page);
+    from = page[page.length - 1][0] + DAY_MS;
+  }
+  fs.writeFileSync(path.join(dir, 'klines-1d.json'), JSON.stringify(klines));
+  
+  console.log('💸 BTCUSDT funding history...');
+  let funding = [];
+  for (let from = start; from < Date.now(); ) {
+    const page = await downloadJSON(`https://fapi.binance.com/fapi/v1/fundingRate?symbol=BTCUSDT&startTime=${from}&limit=1000`);
+    if (!Array.isArray(page) || page.length === 0) break;
+    funding = funding.concat(page);
+    from = page[page.length - 1].fundingTime + 1;
+  }
+  fs.writeFileSync(path.join(dir, 'funding.json'), JSON.stringify(funding));
+  
+  console.log('📜 CFTC yearly archives...');
+  const cotLines = [];
+  for (let year = new Date(start).getUTCFullYear(); year <= new Date().getUTCFullYear(); year++) {
+    try {
+      const zip = await download(`https://www.cftc.gov/files/dea/history/fut_fin_txt_${year}.zip`);
+      for (const file of unzip(zip)) {
+        file.data.toString('utf8').split('\n')
+          .filter(isBitcoinCMELine)
+          .forEach(line => cotLines.push(line.trim()));
+      }
+    } catch (e) {
+      console.error(`COT ${year} error:`, e.message);
+    }
+  }
+  fs.writeFileSync(path.join(dir, 'cot.txt'), cotLines.join('\n') + '\n');
+  
+  console.log(`✅ Fixtures saved to ${dir}: ${klines.length} candles, ${funding.length} funding rates, ${cotLines.length} COT weeks`);
+}
+
+// Standard CME contract only (not Micro Bitcoin), matched by CFTC contract code
+function isBitcoinCMELine(line) {
+  return cftc.parseRow(line).contractCode === cftc.CONTRACTS.BTC.code;
+}
+
+// ============ REPLAY ============
+
+function loadFixtures(dir) {
+  const read = (name) => {
+    const file = path.join(dir, name);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+  };
+  
+  const klinesRaw = read('klines-1d.json');
+  const fngRaw = read('fear-greed.json');
+  if (!klinesRaw || !fngRaw) {
+    throw new Error(`Missing fixtures in ${dir} (need klines-1d.json and fear-greed.json, run "node scripts/backtest.js record")`);
+  }
+  
+  const fundingRaw = read('funding.json');
+  const cotRaw = read('cot.txt');
+  
+  // Fear & Greed by day, oldest first
+  const fng = JSON.parse(fngRaw).data
+    .map(d => ({ ...d, day: dayKey(parseInt(d.timestamp) * 1000) }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+  
+  const cot = (cotRaw || '').split('\n')
+    .filter(isBitcoinCMELine)
+    .map(line => parseCOTLine(line))
+    .filter(c => /^\d{4}-\d{2}-\d{2}$/.test(c.asOf))
+    .sort((a, b) => a.asOf.localeCompare(b.asOf));
+  
+  return {
+    klines: JSON.parse(klinesRaw).sort((a, b) => a[0] - b[0]),
+    fng,
+    funding: fundingRaw ? JSON.parse(fundingRaw).sort((a, b) => a.fundingTime - b.fundingTime) : [],
+    cot
+  };
+}
+
+// Rebuild the data object generateAnalysis() sees, as it would have been at the close of day i
+function snapshotAt(fixtures, i) {
+  const { klines, fng, funding, cot } = fixtures;
+  const candle = klines[i];
+  const closeTime = candle[6] || candle[0] + DAY_MS - 1;
+  const day = dayKey(candle[0]);
+  const prevClose = parseFloat(klines[i - 1][4]);
+  const close = parseFloat(candle[4]);
+  
+  const ticker = {
+    lastPrice: candle[4],
+    highPrice: candle[2],
+    lowPrice: candle[3],
+    priceChangePercent: ((close - prevClose) / prevClose * 100).toFixed(2)
+  };
+  // Daily klines only (the fixtures have no 4h / weekly series), same window as the live engine
+  const priceData = computePriceLevels(ticker, klines.slice(Math.max(0, i + 1 - levels.TIMEFRAMES['1d'].limit), i + 1));
+  
+  // Newest first, like the live API
+  const fngUntil = fng.filter(d => d.day <= day).reverse();
+  const fearGreed = fngUntil.length > 0 && fngUntil[0].day === day ? buildFearGreed(fngUntil.slice(0, 30)) : null;
+  
+  // Same window as the live call (last 24 rates)
+  const fundingUntil = funding.filter(f => f.fundingTime <= closeTime).slice(-24);
+  const fundingData = fundingUntil.length > 0 ? buildFunding(fundingUntil, []) : null;
+  
+  const published = cot.filter(c => dayKey(new Date(c.asOf).getTime() + COT_PUBLICATION_DELAY_DAYS * DAY_MS) <= day);
+  const cotData = published.length > 0 ? published[published.length - 1] : null;
+  
+  return {
+    fearGreed,
+    longShort: null,
+    openInterest: null,
+    funding: fundingData,
+    liquidations: null,
+    hashrate: null,
+    priceData,
+    cot: cotData,
+    etf: null,
+    hyperliquid: null,
+    whales: null,
+    mvrv: null
+  };
+}
+
+// Walk forward on the scenario the plan trades (long for ACHAT, short for VENTE):
+// was its first target touched before its stop? Other biases take no position.
+function planOutcome(klines, i, plan) {
+  if (plan && !plan.preferredScenario) return 'no_position';
+  const scenario = plan?.scenarios[plan.preferredScenario];
+  const target = scenario?.targets[0]?.price;
+  if (!scenario || target === undefined) return 'no_levels';
+  
+  const long = scenario.direction === 'long';
+  for (let j = i + 1; j < Math.min(klines.length, i + 1 + PLAN_WINDOW_DAYS); j++) {
+    const high = parseFloat(klines[j][2]);
+    const low = parseFloat(klines[j][3]);
+    // Same candle touching both: assume the worst (stop first)
+    if (long ? low <= scenario.stop : high >= scenario.stop) return 'invalidated';
+    if (long ? high >= target : low <= target) return 'target1';
+  }
+  return i + PLAN_WINDOW_DAYS < klines.length ? 'expired' : 'open';
+}
+
+function replay(fixtures, { from, to, profile } = {}) {
+  const { klines } = fixtures;
+  const scoring = scoringRules.getProfile(profile);
+  const rows = [];
+  
+  for (let i = 14; i < klines.length; i++) {
+    const day = dayKey(klines[i][0]);
+    if (from && day < from) continue;
+    if (to && day > to) continue;
+    
+    const data = snapshotAt(fixtures, i);
+    if (!data.fearGreed) continue;
+    
+    const analysis = generateAnalysis(data, scoring);
+    const plan = generateTradingPlan(data, analysis, scoring);
+    const close = parseFloat(klines[i][4]);
+    
+    const forward = {};
+    for (const h of HORIZONS) {
+      forward[`${h}d`] = klines[i + h] ? (parseFloat(klines[i + h][4]) - close) / close * 100 : null;
+    }
+    
+    rows.push({
+      day,
+      close,
+      signal: analysis.signal,
+      label: analysis.label,
+      score: analysis.score.net,
+      bias: plan?.bias.direction || null,
+      forward,
+      outcome: planOutcome(klines, i, plan)
+    });
+  }
+  
+  return rows;
+}
+
+// Expected direction of each analysis signal (neutral = no call)
+function expectedDirection(signal) {
+  if (signal.includes('accumulation')) return 1;
+  if (signal.includes('distribution')) return -1;
+  return 0;
+}
+
+function summarize(rows, keyOf, directionOf) {
+  const groups = {};
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!key) continue;
+    groups[key] = groups[key] || [];
+    groups[key].push(row);
+  }
+  
+  const summary = {};
+  for (const [key, group] of Object.entries(groups)) {
+    const direction = directionOf(key);
+    const stats = { count: group.length, avgReturn: {}, hitRate: {} };
+    
+    for (const h of HORIZONS) {
+      const returns = group.map(r => r.forward[`${h}d`]).filter(v => v !== null);
+      stats.avgReturn[`${h}d`] = returns.length ? +(returns.reduce((s, v) => s + v, 0) / returns.length).toFixed(2) : null;
+      stats.hitRate[`${h}d`] = direction && returns.length
+        ? +(returns.filter(v => Math.sign(v) === direction).length / returns.length * 100).toFixed(1)
+        : null;
+    }
+    
+    const closed = group.filter(r => r.outcome === 'target1' || r.outcome === 'invalidated' || r.outcome === 'expired');
+    stats.plan = {
+      target1: group.filter(r => r.outcome === 'target1').length,
+      invalidated: group.filter(r => r.outcome === 'invalidated').length,
+      expired: group.filter(r => r.outcome === 'expired').length,
+      target1Rate: closed.length ? +(group.filter(r => r.outcome === 'target1').length / closed.length * 100).toFixed(1) : null
+    };
+    
+    summary[key] = stats;
+  }
+  return summary;
+}
+
+function buildReport(rows, profile) {
+  return {
+    generatedAt: new Date().toISOString(),
+    profile: scoringRules.getProfile(profile).name,
+    period: { from: rows[0]?.day || null, to: rows[rows.length - 1]?.day || null, days: rows.length },
+    bySignal: summarize(rows, r => r.signal, expectedDirection),
+    byBias: summarize(rows, r => r.bias, bias => bias === 'ACHAT' ? 1 : bias === 'VENTE' ? -1 : 0),
+    rows
+  };
+}
+
+function printReport(report) {
+  const fmt = v => v === null ? '   --' : (v >= 0 ? '+' : '') + v.toFixed(1);
+  console.log(`\n📊 Backtest ${report.period.from} → ${report.period.to} (${report.period.days} jours, profil ${report.profile})\n`);
+  
+  for (const [title, groups] of [['SIGNAL', report.bySignal], ['BIAS', report.byBias]]) {
+    console.log(`${title.padEnd(22)} n     ret1d  ret7d  ret30d  hit1d  hit7d  hit30d  T1/inval`);
+    for (const [key, s] of Object.entries(groups)) {
+      console.log(
+        key.padEnd(22) + String(s.count).padEnd(6) +
+        HORIZONS.map(h => fmt(s.avgReturn[`${h}d`]).padStart(6)).join(' ') + ' ' +
+        HORIZONS.map(h => (s.hitRate[`${h}d`] === null ? '--' : s.hitRate[`${h}d`] + '%').padStart(6)).join(' ') +
+        `  ${s.plan.target1}/${s.plan.invalidated}`
+      );
+    }
+    console.log('');
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  
+  if (args.command === 'record') {
+    await record(args);
+    return;
+  }
+  
+  const fixtures = loadFixtures(args.dir);
+  const rows = replay(fixtures, args);
+  const report = buildReport(rows, args.profile);
+  printReport(report);
+  
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify(report, null, 2));
+    console.log(`✅ Report saved to ${args.json}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
+}
+
+module.exports = { loadFixtures, snapshotAt, planOutcome, replay, buildReport };
@@ -0,0 +1,301 @@
+/**
+ * MAMOS DASHBOARD - Alert Engine
+ * Compares the new data.json with the previous one against the rules of config/alerts.json,
+ * de-duplicates and rate-limits what fired, then delivers to Telegram, Discord and webhooks.
+ * Alert texts are catalogue messages ("alert.*" in locales/<locale>.json, rule "messageId"),
+ * or a rule's own "message" translated by its French source; sent in the config "locale".
+ *
+ *   TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID   Telegram bot (TELEGRAM_API_URL to point at a stand-in)
+ *   DISCORD_WEBHOOK_URL                     Discord channel webhook
+ *   ALERT_WEBHOOK_URL                       any endpoint accepting a JSON POST
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('./http');
+const i18n = require('./i18n');
+const { writeFileAtomic } = require('./atomic');
+
+const CONFIG_PATH = process.env.ALERTS_CONFIG || path.join(__dirname, '..', '..', 'config', 'alerts.json');
+const STATE_FILE = '.alerts-state.json';
+
+const RULE_TYPES = ['change', 'cross', 'planLevel'];
+const CHANNELS = ['telegram', 'discord', 'webhook'];
+// Plan levels watched by "planLevel" rules, named by the "alert.planLevel.<level>" messages
+const PLAN_LEVELS = ['entryZone', 'invalidation', 'target1', 'target2'];
+
+// Sent alerts are remembered this long (longest cooldown that makes sense)
+const STATE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Read "a.b.c" from an object
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((o, key) => (o === null || o === undefined ? undefined : o[key]), obj);
+}
+
+// ============ CONFIG ============
+
+function validateRule(rule, where, errors) {
+  if (typeof rule.id !== 'string' || !rule.id) errors.push(`${where}.id: required string`);
+  if (rule.disabled) return;
+  if (!RULE_TYPES.includes(rule.type)) errors.push(`${where}.type: must be one of ${RULE_TYPES.join(', ')}`);
+  if (rule.type !== 'planLevel' && typeof rule.field !== 'string') errors.push(`${where}.field: required field path string`);
+  if (rule.messageId !== undefined && i18n.catalogue(i18n.DEFAULT_LOCALE).messages[rule.messageId] === undefined) {
+    errors.push(`${where}.messageId: unknown message "${rule.messageId}" (locales/${i18n.DEFAULT_LOCALE}.json)`);
+  }
+  if (rule.message !== undefined && typeof rule.message !== 'string') errors.push(`${where}.message: must be a string`);
+  if (rule.type !== 'planLevel' && rule.messageId === undefined && rule.message === undefined) errors.push(`${where}: "messageId" or "message" required`);
+  if (rule.type === 'cross' && typeof rule.above !== 'number' && typeof rule.below !== 'number') {
+    errors.push(`${where}: a "cross" rule needs "above" or "below" (number)`);
+  }
+  if (rule.type === 'planLevel' && rule.levels !== undefined) {
+    const unknown = [].concat(rule.levels).filter(l => !PLAN_LEVELS.includes(l));
+    if (unknown.length > 0) errors.push(`${where}.levels: unknown level(s) ${unknown.join(', ')} (expected ${PLAN_LEVELS.join(', ')})`);
+  }
+  if (rule.cooldownMinutes !== undefined && (typeof rule.cooldownMinutes !== 'number' || rule.cooldownMinutes < 0)) {
+    errors.push(`${where}.cooldownMinutes: must be a positive number`);
+  }
+  if (rule.channels !== undefined) {
+    const unknown = [].concat(rule.channels).filter(c => !CHANNELS.includes(c));
+    if (unknown.length > 0) errors.push(`${where}.channels: unknown channel(s) ${unknown.join(', ')} (expected ${CHANNELS.join(', ')})`);
+  }
+}
+
+// Load and validate the alert rules (throws with the full list of problems)
+function loadConfig(file = CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid alert rules (${file}): ${e.message}`);
+  }
+  
+  const errors = [];
+  if (!Array.isArray(config.rules)) errors.push('rules: must be an array');
+  else config.rules.forEach((rule, i) => validateRule(rule, `rules[${i}]`, errors));
+  for (const key of ['cooldownMinutes', 'maxPerHour']) {
+    if (typeof config[key] !== 'number' || config[key] < 0) errors.push(`${key}: must be a positive number`);
+  }
+  if (config.locale !== undefined && !i18n.locales().includes(config.locale)) {
+    errors.push(`locale: must be one of ${i18n.locales().join(', ')}`);
+  }
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid alert rules (${file}):\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  return { ...config, locale: config.locale || i18n.DEFAULT_LOCALE, rules: config.rules.filter(r => !r.disabled) };
+}
+
+// ============ EVALUATION ============
+
+// "$68,000 - $69,500" → 68000
+function parseLevel(text) {
+  const match = String(text ?? '').replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+// Message of an event: {value}, {previous}, {level}... from the event, any other {a.b} from the data
+// (placeholders read on the French text, the translations have the same ones)
+function eventMessage(rule, context, data, defaultId) {
+  const id = rule.messageId || (rule.message === undefined ? defaultId : undefined);
+  const template = id ? i18n.catalogue(i18n.DEFAULT_LOCALE).messages[id] : rule.message;
+  const params = {};
+  for (const [, field] of template.matchAll(/\{([\w.]+)\}/g)) {
+    params[field] = field in context ? context[field] : getPath(data, field) ?? null;
+  }
+  return id ? i18n.message(id, params) : i18n.source(rule.message, params);
+}
+
+// Texts of the data (signal labels...) are config texts: translated by their French source
+const valueParam = value => typeof value === 'string' ? i18n.source(value) : value;
+
+// Events of one rule: [{ key, value, previous, message }] (message: i18n message). key identifies the event for de-duplication.
+function evaluateRule(rule, current, previous) {
+  if (rule.type === 'change') {
+    const value = getPath(current, rule.field);
+    const before = getPath(previous, rule.field);
+    if (value === undefined || value === null || before === undefined || before === null || value === before) return [];
+    if (rule.to !== undefined && value !== rule.to) return [];
+    return [{ key: `${rule.id}:${value}`, value, previous: before, message: eventMessage(rule, { value: valueParam(value), previous: valueParam(before) }, current) }];
+  }
+  
+  if (rule.type === 'cross') {
+    const value = parseFloat(getPath(current, rule.field));
+    const before = parseFloat(getPath(previous, rule.field));
+    if (isNaN(value) || isNaN(before)) return [];
+    const events = [];
+    if (typeof rule.above === 'number' && before <= rule.above && value > rule.above) {
+      events.push({ key: `${rule.id}:above`, value, previous: before, message: eventMessage(rule, { value, previous: before, level: rule.above }, current) });
+    }
+    if (typeof rule.below === 'number' && before >= rule.below && value < rule.below) {
+      events.push({ key: `${rule.id}:below`, value, previous: before, message: eventMessage(rule, { value, previous: before, level: rule.below }, current) });
+    }
+    return events;
+  }
+  
+  // planLevel: the price went through a level of the plan published by the previous run
+  const price = current?.priceData?.current;
+  const before = previous?.priceData?.current;
+  const levels = previous?.tradingPlan?.levels;
+  if (typeof price !== 'number' || typeof before !== 'number' || !levels) return [];
+  
+  const events = [];
+  for (const name of [].concat(rule.levels || PLAN_LEVELS)) {
+    const level = parseLevel(levels[name]);
+    if (level === null) continue;
+    const up = before < level && price >= level;
+    const down = before > level && price <= level;
+    if (!up && !down) continue;
+    events.push({
+      key: `${rule.id}:${name}:${level}`,
+      value: price,
+      previous: before,
+      message: eventMessage(rule, {
+        emoji: up ? '📈' : '📉',
+        direction: i18n.message(up ? 'alert.planLevel.up' : 'alert.planLevel.down'),
+        name: i18n.message(`alert.planLevel.${name}`),
+        level: levels[name],
+        value: current.tradingPlan?.levels?.currentPrice || price
+      }, current, 'alert.planLevel')
+    });
+  }
+  return events;
+}
+
+// Every event fired between the previous and the current snapshot, its text in the locale (its message in i18n)
+function evaluateAlerts(rules, current, previous, locale = i18n.DEFAULT_LOCALE) {
+  if (!previous) return [];
+  return rules.flatMap(rule => evaluateRule(rule, current, previous).map(({ message, ...event }) => ({
+    rule: rule.id,
+    channels: rule.channels,
+    cooldownMinutes: rule.cooldownMinutes,
+    ...event,
+    message: i18n.render(message, locale),
+    i18n: { message }
+  })));
+}
+
+// ============ DE-DUPLICATION ============
+
+function loadState(file) {
+  try {
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {}
+  return { sent: [] };
+}
+
+// Drop events already sent within their cooldown, then keep at most maxPerHour sends per rolling hour
+function selectAlerts(alerts, state, { cooldownMinutes, maxPerHour }, now = http.now()) {
+  const recent = state.sent.filter(s => now - s.at < 60 * 60 * 1000).length;
+  const send = [];
+  const skipped = [];
+  for (const alert of alerts) {
+    const cooldown = (alert.cooldownMinutes ?? cooldownMinutes) * 60 * 1000;
+    if (state.sent.some(s => s.key === alert.key && now - s.at < cooldown) || send.some(a => a.key === alert.key)) {
+      skipped.push({ ...alert, reason: 'duplicate' });
+    } else if (recent + send.length >= maxPerHour) {
+      skipped.push({ ...alert, reason: 'rate_limited' });
+    } else {
+      send.push(alert);
+    }
+  }
+  return { send, skipped };
+}
+
+// ============ DELIVERY ============
+
+async function post(url, payload, name) {
+  const res = await http.request(url, { method: 'POST', body: JSON.stringify(payload), headers: { 'Content-Type': 'application/json' }, timeout: 10000 });
+  if (res.status >= 400) throw new Error(`${name}: HTTP ${res.status}`);
+}
+
+// Channels with their credentials set: name → send(alert).
+// Only live runs deliver: a recorded session would write the bot token and webhook URLs to its fixtures.
+function configuredChannels(mode = http.MODE) {
+  const channels = {};
+  if (mode !== 'live') return channels;
+  const telegramToken = http.secret('TELEGRAM_BOT_TOKEN');
+  const telegramChat = http.secret('TELEGRAM_CHAT_ID');
+  const discordUrl = http.secret('DISCORD_WEBHOOK_URL');
+  const webhookUrl = http.secret('ALERT_WEBHOOK_URL');
+  
+  if (telegramToken && telegramChat) {
+    const api = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+    channels.telegram = alert => post(`${api}/bot${telegramToken}/sendMessage`, { chat_id: telegramChat, text: alert.message, disable_web_page_preview: true }, 'Telegram');
+  }
+  if (discordUrl) {
+    channels.discord = alert => post(discordUrl, { username: 'Mamos Dashboard', content: alert.message }, 'Discord');
+  }
+  if (webhookUrl) {
+    channels.webhook = alert => post(webhookUrl, {
+      rule: alert.rule,
+      key: alert.key,
+      message: alert.message,
+      i18n: alert.i18n,
+      value: alert.value,
+      previous: alert.previous,
+      at: new Date(http.now()).toISOString()
+    }, 'Webhook');
+  }
+  return channels;
+}
+
+// Send one alert to its channels (every configured one by default) → { channel: 'ok' | error message }
+async function deliver(alert, channels) {
+  const results = {};
+  for (const [name, send] of Object.entries(channels)) {
+    if (alert.channels && !alert.channels.includes(name)) continue;
+    try {
+      await send(alert);
+      results[name] = 'ok';
+    } catch (e) {
+      results[name] = e.message;
+    }
+  }
+  return results;
+}
+
+/**
+ * Evaluate, filter and deliver the alerts of a run
+ * @param {Object} current - data.json being written
+ * @param {Object|null} previous - data.json of the previous run
+ * @param {Object} options - { config, statePath, channels } (defaults: config/alerts.json, .alerts-state.json, env credentials)
+ * @returns {Promise<{ sent: Array, skipped: Array }>}
+ */
+async function runAlerts(current, previous, options = {}) {
+  const config = options.config || loadConfig();
+  const file = options.statePath || http.statePath(STATE_FILE);
+  const channels = options.channels || configuredChannels();
+  const now = http.now();
+  
+  const state = loadState(file);
+  const { send, skipped } = selectAlerts(evaluateAlerts(config.rules, current, previous, config.locale), state, config, now);
+  if (send.length > 0 && Object.keys(channels).length === 0) {
+    console.log(`🔕 ${send.length} alert(s) fired but ${http.MODE === 'live' ? 'no channel is configured' : `nothing is sent in ${http.MODE} mode`}`);
+    return { sent: [], skipped: skipped.concat(send.map(a => ({ ...a, reason: 'no_channel' }))) };
+  }
+  
+  const sent = [];
+  for (const alert of send) {
+    const results = await deliver(alert, channels);
+    console.log(`🔔 ${alert.message} → ${Object.entries(results).map(([c, r]) => `${c}: ${r}`).join(', ')}`);
+    if (Object.values(results).includes('ok')) {
+      sent.push({ ...alert, results });
+      state.sent.push({ key: alert.key, at: now });
+    }
+  }
+  
+  state.sent = state.sent.filter(s => now - s.at < STATE_RETENTION_MS);
+  writeFileAtomic(file, JSON.stringify(state, null, 2));
+  return { sent, skipped };
+}
+
+module.exports = {
+  loadConfig,
+  parseLevel,
+  evaluateAlerts,
+  selectAlerts,
+  configuredChannels,
+  deliver,
+  runAlerts
+};
@@ -0,0 +1,148 @@
+/**
+ * MAMOS DASHBOARD - Article Store
+ * AI analyses of the news kept per article (.news-articles.json), so a run only sends the
+ * articles the model has never seen and publishes the others from the store. Articles are
+ * keyed by their canonical link (guid or title when there is none) and forgotten once they
+ * have been out of the feeds for the retention period (config/feeds.json retentionDays).
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const http = require('./http');
+const { writeFileAtomic } = require('./atomic');
+
+const STORE_FILE = '.news-articles.json';
+const STORE_VERSION = 1;
+
+// Analysis fields kept for an article (schemas/news-analysis.schema.json)
+const FIELDS = ['titleFr', 'summary', 'impact', 'priceEffect', 'importance', 'contextLink'];
+
+// Tracking parameters that change the link, not the article
+const TRACKING_PARAM = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|cmpid)$/i;
+
+// ============ IDS ============
+
+// Same article, same URL: lower-case host without www, no tracking params, fragment or trailing slash
+function canonicalLink(link) {
+  let url;
+  try { url = new URL(link.trim()); }
+  catch { return null; }
+  if (!/^https?:$/.test(url.protocol)) return null;
+  const params = Array.from(url.searchParams).filter(([key]) => !TRACKING_PARAM.test(key)).sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? '?' + new URLSearchParams(params).toString() : '';
+  return `${url.hostname.toLowerCase().replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}${query}`;
+}
+
+// Stable ID of an article: canonical link, else guid, else source + title
+function articleId(article) {
+  const link = article.link && canonicalLink(article.link);
+  if (link) return link;
+  const key = article.guid ? `guid:${article.guid.trim()}` : `title:${article.source || ''}:${article.title.trim().toLowerCase()}`;
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+}
+
+// IDs a story is known by: its article and the same story in the other feeds
+function storyIds(story) {
+  return [articleId(story)].concat((story.otherSources || []).map(o => articleId(o)));
+}
+
+// ============ STORE ============
+
+function load(file = http.statePath(STORE_FILE)) {
+  try {
+    if (fs.existsSync(file)) {
+      const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (store.version === STORE_VERSION) return store;
+      console.log(`🗄️ Article store version ${store.version} dropped (now ${STORE_VERSION})`);
+    }
+  } catch (e) {
+    console.error('Article store error:', e.message);
+  }
+  return { version: STORE_VERSION, articles: {}, narratives: {} };
+}
+
+function save(store, file = http.statePath(STORE_FILE)) {
+  writeFileAtomic(file, JSON.stringify(store));
+}
+
+// Analysis of a story in a locale, from any article of the story (null: never analyzed)
+function analysisOf(store, story, locale) {
+  for (const id of storyIds(story)) {
+    const analysis = store.articles[id]?.analyses[locale];
+    if (analysis) {
+      const { analyzedAt, ...fields } = analysis;
+      return fields;
+    }
+  }
+  return null;
+}
+
+function remember(store, article, locale, analysis, now) {
+  const id = articleId(article);
+  const entry = store.articles[id] || (store.articles[id] = {
+    title: article.title,
+    source: article.source,
+    link: article.link,
+    firstSeen: now,
+    lastSeen: now,
+    analyses: {}
+  });
+  entry.analyses[locale] = {
+    ...Object.fromEntries(FIELDS.filter(f => analysis[f] !== undefined).map(f => [f, analysis[f]])),
+    analyzedAt: now
+  };
+}
+
+// Articles still in the feeds are kept
+function touch(store, articles, now) {
+  for (const article of articles) {
+    const entry = store.articles[articleId(article)];
+    if (entry) entry.lastSeen = now;
+  }
+}
+
+// Digest of the market context a narrative was written from (the values its prompt reads)
+function contextDigest(context) {
+  return crypto.createHash('sha1').update(JSON.stringify(context ?? null)).digest('hex').slice(0, 16);
+}
+
+// Narrative already written for the same published stories in the same market context
+function narrativeOf(store, stories, context, locale) {
+  const saved = store.narratives[locale];
+  const ids = stories.map(articleId).join(' ');
+  return saved && saved.ids === ids && saved.context === contextDigest(context) ? saved.text : null;
+}
+
+function rememberNarrative(store, stories, context, locale, text, now) {
+  store.narratives[locale] = { ids: stories.map(articleId).join(' '), context: contextDigest(context), text, at: now };
+}
+
+/**
+ * Forget the articles out of the feeds for longer than the retention
+ * @returns {number} articles removed
+ */
+function prune(store, retentionMs, now) {
+  let removed = 0;
+  for (const [id, entry] of Object.entries(store.articles)) {
+    if (now - entry.lastSeen <= retentionMs) continue;
+    delete store.articles[id];
+    removed++;
+  }
+  for (const [locale, narrative] of Object.entries(store.narratives)) {
+    if (now - narrative.at > retentionMs) delete store.narratives[locale];
+  }
+  return removed;
+}
+
+module.exports = {
+  canonicalLink,
+  articleId,
+  load,
+  save,
+  analysisOf,
+  remember,
+  touch,
+  narrativeOf,
+  rememberNarrative,
+  prune
+};
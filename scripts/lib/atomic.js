@@ -0,0 +1,22 @@
+/**
+ * MAMOS DASHBOARD - Atomic file writes
+ * Published files (data.json, news.json...) and the state files the jobs share are written to
+ * a temporary file next to the target and renamed over it, so the dashboard or another job
+ * never reads half a file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function writeFileAtomic(file, content) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  try {
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+module.exports = { writeFileAtomic };
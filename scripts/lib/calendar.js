@@ -0,0 +1,102 @@
+/**
+ * MAMOS DASHBOARD - US Market Calendar
+ * NYSE trading days (weekends and exchange holidays) for the ETF flow schedule.
+ * Spot ETF flows are published by Farside after the US close: 22:00 UTC on trading days.
+ */
+
+// Hour (UTC) from which the flows of a trading day are published
+const ETF_PUBLICATION_HOUR = 22;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ymd = date => date.toISOString().split('T')[0];
+
+// nth weekday (0 = Sunday) of a month, n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month, 1));
+    return new Date(Date.UTC(year, month, 1 + ((weekday - first.getUTCDay() + 7) % 7) + (n - 1) * 7));
+  }
+  const last = new Date(Date.UTC(year, month + 1, 0));
+  return new Date(Date.UTC(year, month + 1, -((last.getUTCDay() - weekday + 7) % 7)));
+}
+
+// Easter Sunday (anonymous Gregorian algorithm)
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Fixed-date holiday moved to Friday / Monday when it falls on a weekend
+function observed(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  if (date.getUTCDay() === 6) return new Date(date.getTime() - DAY_MS);
+  if (date.getUTCDay() === 0) return new Date(date.getTime() + DAY_MS);
+  return date;
+}
+
+/**
+ * NYSE full-day holidays of a year
+ * @returns {string[]} YYYY-MM-DD dates
+ */
+function usMarketHolidays(year) {
+  const days = [
+    observed(year, 0, 1), // New Year's Day
+    nthWeekday(year, 0, 1, 3), // Martin Luther King Jr. Day
+    nthWeekday(year, 1, 1, 3), // Washington's Birthday
+    new Date(easter(year).getTime() - 2 * DAY_MS), // Good Friday
+    nthWeekday(year, 4, 1, -1), // Memorial Day
+    observed(year, 5, 19), // Juneteenth
+    observed(year, 6, 4), // Independence Day
+    nthWeekday(year, 8, 1, 1), // Labor Day
+    nthWeekday(year, 10, 4, 4), // Thanksgiving
+    observed(year, 11, 25) // Christmas
+  ];
+  // New Year's Day on a Saturday is not observed on the Friday before (end of the previous year)
+  return days.filter(d => d.getUTCFullYear() === year).map(ymd);
+}
+
+function isUSTradingDay(date) {
+  const day = date.getUTCDay();
+  if (day === 0 || day === 6) return false;
+  return !usMarketHolidays(date.getUTCFullYear()).includes(ymd(date));
+}
+
+// Latest time ETF flows were published (22:00 UTC of the last trading day) at `now`
+function lastETFPublication(now) {
+  let date = new Date(now);
+  date.setUTCHours(ETF_PUBLICATION_HOUR, 0, 0, 0);
+  if (date.getTime() > now) date = new Date(date.getTime() - DAY_MS);
+  while (!isUSTradingDay(date)) date = new Date(date.getTime() - DAY_MS);
+  return date.getTime();
+}
+
+// Next ETF publication strictly after `now`
+function nextETFPublication(now) {
+  let date = new Date(now);
+  date.setUTCHours(ETF_PUBLICATION_HOUR, 0, 0, 0);
+  if (date.getTime() <= now) date = new Date(date.getTime() + DAY_MS);
+  while (!isUSTradingDay(date)) date = new Date(date.getTime() + DAY_MS);
+  return date.getTime();
+}
+
+module.exports = {
+  ETF_PUBLICATION_HOUR,
+  usMarketHolidays,
+  isUSTradingDay,
+  lastETFPublication,
+  nextETFPublication
+};
@@ -0,0 +1,220 @@
+/**
+ * MAMOS DASHBOARD - CFTC COT Parser
+ * Traders in Financial Futures, futures only (weekly FinFutWk.txt and the yearly archives).
+ * Columns are read through the official CFTC column map, markets are matched by contract code.
+ * Weekly net positions are kept in a history to compute the COT Index (positioning percentile).
+ */
+
+// Official column order of the TFF "futures only" files (0-based)
+const COLUMNS = {
+  market: 0,
+  reportDate: 2,
+  contractCode: 3,
+  openInterest: 7,
+  dealerLong: 8,
+  dealerShort: 9,
+  dealerSpread: 10,
+  assetMgrLong: 11,
+  assetMgrShort: 12,
+  assetMgrSpread: 13,
+  levMoneyLong: 14,
+  levMoneyShort: 15,
+  levMoneySpread: 16,
+  otherLong: 17,
+  otherShort: 18,
+  otherSpread: 19,
+  totalReportableLong: 20,
+  totalReportableShort: 21,
+  nonReportableLong: 22,
+  nonReportableShort: 23,
+  changeOpenInterest: 24,
+  changeDealerLong: 25,
+  changeDealerShort: 26,
+  changeDealerSpread: 27,
+  changeAssetMgrLong: 28,
+  changeAssetMgrShort: 29,
+  changeAssetMgrSpread: 30,
+  changeLevMoneyLong: 31,
+  changeLevMoneyShort: 32,
+  changeLevMoneySpread: 33,
+  changeOtherLong: 34,
+  changeOtherShort: 35,
+  changeOtherSpread: 36,
+  changeNonReportableLong: 39,
+  changeNonReportableShort: 40
+};
+
+// Crypto markets of the report, by CFTC contract market code (unit = coins per contract)
+const CONTRACTS = {
+  BTC: { code: '133741', unit: 5 }, // 5 BTC per contract
+  MBT: { code: '133742', unit: 0.1 }, // Micro Bitcoin
+  ETH: { code: '146021', unit: 50 }, // Ether (cash settled)
+  MET: { code: '146022', unit: 0.1 } // Micro Ether
+};
+
+// Dashboard categories → TFF trader groups
+const CATEGORIES = {
+  dealers: { name: 'Dealers', icon: '🏦', long: 'dealerLong', short: 'dealerShort', changeLong: 'changeDealerLong', changeShort: 'changeDealerShort' },
+  assetManagers: { name: 'Institutions', icon: '🐋', long: 'assetMgrLong', short: 'assetMgrShort', changeLong: 'changeAssetMgrLong', changeShort: 'changeAssetMgrShort' },
+  leveragedFunds: { name: 'Hedge Funds', icon: '🦈', long: 'levMoneyLong', short: 'levMoneyShort', changeLong: 'changeLevMoneyLong', changeShort: 'changeLevMoneyShort' },
+  retail: { name: 'Other', icon: '🦐', long: 'otherLong', short: 'otherShort', changeLong: 'changeOtherLong', changeShort: 'changeOtherShort' }
+};
+
+// Split one CSV line, quoted fields may contain commas ("(CONTRACTS OF 5 BITCOIN)")
+function splitLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+  for (const char of line.replace(/\r$/, '')) {
+    if (char === '"') quoted = !quoted;
+    else if (char === ',' && !quoted) {
+      fields.push(current.trim());
+      current = '';
+    } else current += char;
+  }
+  fields.push(current.trim());
+  return fields;
+}
+
+// Named record of one report line (numbers default to 0 on short or missing columns)
+function parseRow(line) {
+  const fields = splitLine(line);
+  const row = {};
+  for (const [name, index] of Object.entries(COLUMNS)) {
+    const raw = fields[index];
+    if (name === 'market' || name === 'reportDate' || name === 'contractCode') row[name] = raw || '';
+    else row[name] = parseInt(raw) || 0;
+  }
+  return row;
+}
+
+// Contract key (BTC, MBT...) of a row, null for every other market
+function contractOf(row) {
+  const entry = Object.entries(CONTRACTS).find(([, c]) => c.code === row.contractCode);
+  return entry ? entry[0] : null;
+}
+
+// Every row of a known crypto market (a yearly archive holds one row per market and week)
+function parseRows(text) {
+  const rows = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const row = parseRow(line);
+    if (contractOf(row)) rows.push(row);
+  }
+  return rows;
+}
+
+// Every known crypto market of a weekly report → { BTC: row, MBT: row... }, header and other markets skipped
+function parseReport(text) {
+  const rows = {};
+  for (const row of parseRows(text)) {
+    const key = contractOf(row);
+    if (!rows[key]) rows[key] = row;
+  }
+  return rows;
+}
+
+function signalOf(long, short) {
+  if (long > short * 1.5) return 'bullish';
+  if (short > long * 1.5) return 'bearish';
+  return 'neutral';
+}
+
+const pct = (part, total) => total > 0 ? Math.round(part / total * 1000) / 10 : 0;
+
+// Dashboard view of one row: categories with shares, signals and week-over-week changes
+function buildCOT(row) {
+  const totalLong = Object.values(CATEGORIES).reduce((s, c) => s + row[c.long], 0);
+  const totalShort = Object.values(CATEGORIES).reduce((s, c) => s + row[c.short], 0);
+  
+  const categories = {};
+  for (const [key, c] of Object.entries(CATEGORIES)) {
+    const long = row[c.long];
+    const short = row[c.short];
+    categories[key] = {
+      name: c.name,
+      icon: c.icon,
+      long,
+      longPct: pct(long, totalLong),
+      short,
+      shortPct: pct(short, totalShort),
+      net: long - short,
+      signal: signalOf(long, short),
+      change: { long: row[c.changeLong], short: row[c.changeShort], net: row[c.changeLong] - row[c.changeShort] }
+    };
+  }
+  
+  return {
+    contract: contractOf(row),
+    contractSize: CONTRACTS[contractOf(row)]?.unit || null,
+    market: row.market,
+    asOf: row.reportDate,
+    openInterest: row.openInterest,
+    openInterestChange: row.changeOpenInterest,
+    categories
+  };
+}
+
+// ============ COT INDEX ============
+
+// Lookback windows of the COT Index, in weeks
+const INDEX_WINDOWS = { w26: 26, w52: 52, w156: 156 };
+
+// Net position of each category for one week: { asOf, net: { dealers, assetManagers... } }
+function historyEntry(row) {
+  const net = {};
+  for (const [key, c] of Object.entries(CATEGORIES)) net[key] = row[c.long] - row[c.short];
+  return { asOf: row.reportDate, net };
+}
+
+// Add rows to a history ({ BTC: [entry...] }, oldest first). A week already known is replaced.
+function mergeHistory(history, rows) {
+  const merged = { ...history };
+  for (const row of rows) {
+    const key = contractOf(row);
+    if (!key || !/^\d{4}-\d{2}-\d{2}$/.test(row.reportDate)) continue;
+    const weeks = (merged[key] || []).filter(e => e.asOf !== row.reportDate);
+    weeks.push(historyEntry(row));
+    merged[key] = weeks;
+  }
+  for (const key of Object.keys(merged)) merged[key].sort((a, b) => a.asOf.localeCompare(b.asOf));
+  return merged;
+}
+
+// Percentile (0-100) of the latest value among the window: 0 = lowest, 100 = highest.
+// null until the history covers the whole window.
+function cotIndex(values, weeks) {
+  if (values.length < weeks || weeks < 2) return null;
+  const window = values.slice(-weeks);
+  const current = window[window.length - 1];
+  const below = window.filter(v => v < current).length;
+  const equal = window.filter(v => v === current).length - 1;
+  return Math.round((below + equal / 2) / (weeks - 1) * 100);
+}
+
+// COT Index of every category as of cot.asOf → categories[key].index = { w26, w52, w156 }
+function addIndexes(cot, entries) {
+  const upTo = (entries || []).filter(e => e.asOf <= cot.asOf);
+  for (const [key, category] of Object.entries(cot.categories)) {
+    const values = upTo.map(e => e.net[key]);
+    category.index = {};
+    for (const [name, weeks] of Object.entries(INDEX_WINDOWS)) category.index[name] = cotIndex(values, weeks);
+  }
+  cot.history = { weeks: upTo.length, from: upTo[0]?.asOf || null };
+  return cot;
+}
+
+module.exports = {
+  COLUMNS,
+  CONTRACTS,
+  INDEX_WINDOWS,
+  splitLine,
+  parseRow,
+  parseRows,
+  parseReport,
+  buildCOT,
+  mergeHistory,
+  cotIndex,
+  addIndexes
+};
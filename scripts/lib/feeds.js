@@ -0,0 +1,308 @@
+/**
+ * MAMOS DASHBOARD - News Feeds
+ * Reads the feeds of config/feeds.json (RSS 0.9x/2.0, RSS 1.0/RDF, Atom and JSON Feed),
+ * with conditional GET (ETag / Last-Modified kept in .feeds-cache.json) and one report per feed
+ * for the "feeds" block of news.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('./http');
+const { writeFileAtomic } = require('./atomic');
+
+const CONFIG_PATH = process.env.FEEDS_CONFIG || path.join(__dirname, '..', '..', 'config', 'feeds.json');
+const CACHE_FILE = '.feeds-cache.json';
+
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_MAX_ITEMS = 20;
+const DEFAULT_RETENTION_DAYS = 7;
+const MAX_DESCRIPTION = 500;
+
+// ============ CONFIG ============
+
+function validateFeed(feed, where, errors, names) {
+  if (typeof feed.name !== 'string' || !feed.name) errors.push(`${where}.name: required string`);
+  else if (names.has(feed.name)) errors.push(`${where}.name: "${feed.name}" is already used`);
+  else names.add(feed.name);
+  if (typeof feed.url !== 'string' || !/^https?:\/\//.test(feed.url)) errors.push(`${where}.url: required http(s) URL`);
+  if (feed.weight !== undefined && (typeof feed.weight !== 'number' || feed.weight <= 0)) errors.push(`${where}.weight: must be a number > 0`);
+  if (feed.language !== undefined && !/^[a-z]{2}$/.test(feed.language)) errors.push(`${where}.language: must be a two-letter code (en, fr...)`);
+  if (feed.timeout !== undefined && (typeof feed.timeout !== 'number' || feed.timeout <= 0)) errors.push(`${where}.timeout: must be a number of ms > 0`);
+}
+
+// Load and validate the feed list (throws with the full list of problems)
+function loadConfig(file = CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid feeds config (${file}): ${e.message}`);
+  }
+  
+  const errors = [];
+  const names = new Set();
+  if (!Array.isArray(config.feeds)) errors.push('feeds: must be an array');
+  else config.feeds.forEach((feed, i) => validateFeed(feed, `feeds[${i}]`, errors, names));
+  if (config.maxItemsPerFeed !== undefined && (!Number.isInteger(config.maxItemsPerFeed) || config.maxItemsPerFeed < 1)) {
+    errors.push('maxItemsPerFeed: must be an integer >= 1');
+  }
+  if (config.retentionDays !== undefined && (typeof config.retentionDays !== 'number' || config.retentionDays <= 0)) {
+    errors.push('retentionDays: must be a number of days > 0');
+  }
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid feeds config (${file}):\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  return {
+    maxItemsPerFeed: config.maxItemsPerFeed || DEFAULT_MAX_ITEMS,
+    retentionDays: config.retentionDays || DEFAULT_RETENTION_DAYS,
+    feeds: config.feeds.filter(f => !f.disabled).map(f => ({ weight: 1, language: 'en', timeout: DEFAULT_TIMEOUT, ...f }))
+  };
+}
+
+// ============ XML ============
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', ndash: '–', mdash: '—', euro: '€' };
+
+// Named and numeric character references; unknown ones are left as written
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[ref.toLowerCase()] ?? match;
+  });
+}
+
+// Escaped HTML fragment → plain text: entities are decoded once, then the tags (closed or not) are
+// removed, so markup escaped twice stays escaped text
+function stripHtml(html) {
+  return decodeEntities(html)
+    .replace(/<script[\s\S]*?<\/script>|<style[\s\S]*?<\/style>/gi, ' ')
+    .replace(/<[a-z\/!?][^>]*(?:>|$)/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const TOKEN = /<!\[CDATA\[([\s\S]*?)(?:\]\]>|$)|<!--[\s\S]*?(?:-->|$)|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([A-Za-z_][\w.:-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|[^<]+|</g;
+const ATTRIBUTE = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+
+/**
+ * Lenient XML reader: names are lower-cased, unclosed elements are closed by their parent,
+ * stray closing tags are ignored and a lone "<" is kept as text. Feeds in the wild are rarely well-formed.
+ * Attribute values are decoded, text is kept as written (entities and CDATA alike) for stripHtml to decode once.
+ * @returns {{ name: string, attrs: Object, children: Array<Object|string> }} document root
+ */
+function parseXML(xml) {
+  const root = { name: '#document', attrs: {}, children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  
+  for (const [token, cdata, closing, opening, attrText, selfClosing] of xml.matchAll(TOKEN)) {
+    if (cdata !== undefined) {
+      top().children.push(cdata);
+    } else if (closing) {
+      const name = closing.toLowerCase();
+      const index = stack.map(n => n.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+    } else if (opening) {
+      const attrs = {};
+      for (const [, key, a, b, c] of (attrText || '').matchAll(ATTRIBUTE)) attrs[key.toLowerCase()] = decodeEntities(a ?? b ?? c);
+      const node = { name: opening.toLowerCase(), attrs, children: [] };
+      top().children.push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (token[0] !== '<' || token === '<') {
+      top().children.push(token);
+    }
+  }
+  return root;
+}
+
+// Text of a node and its descendants
+function textOf(node) {
+  if (!node) return '';
+  return node.children.map(c => typeof c === 'string' ? c : textOf(c)).join('');
+}
+
+function childrenNamed(node, names) {
+  return node.children.filter(c => typeof c !== 'string' && names.includes(c.name));
+}
+
+// First non-empty child text among names, in order of preference
+function childText(node, names) {
+  for (const name of names) {
+    const text = textOf(childrenNamed(node, [name])[0]).trim();
+    if (text) return text;
+  }
+  return '';
+}
+
+function descendantsNamed(node, names, out = []) {
+  for (const child of node.children) {
+    if (typeof child === 'string') continue;
+    if (names.includes(child.name)) out.push(child);
+    else descendantsNamed(child, names, out);
+  }
+  return out;
+}
+
+// ============ FEEDS ============
+
+// ISO date, '' when missing or unreadable
+function isoDate(text) {
+  const time = text ? new Date(text.trim()).getTime() : NaN;
+  return Number.isNaN(time) ? '' : new Date(time).toISOString();
+}
+
+// Only web links reach the page
+const webLink = link => /^https?:\/\//i.test(link.trim()) ? link.trim() : '';
+
+function item(title, link, date, description, guid) {
+  return {
+    title: stripHtml(title),
+    link: webLink(link),
+    guid: guid.trim(),
+    date: isoDate(date),
+    description: stripHtml(description).slice(0, MAX_DESCRIPTION)
+  };
+}
+
+// Atom: rel="alternate" (or no rel) link, RSS: <link> text or a permalink <guid>
+function itemLink(node) {
+  const links = childrenNamed(node, ['link', 'atom:link']);
+  const alternate = links.find(l => l.attrs.href && (!l.attrs.rel || l.attrs.rel === 'alternate')) || links.find(l => l.attrs.href);
+  if (alternate) return alternate.attrs.href;
+  const text = links.map(textOf).find(t => t.trim());
+  if (text) return decodeEntities(text);
+  const guid = childrenNamed(node, ['guid'])[0];
+  return guid && guid.attrs.ispermalink !== 'false' ? webLink(decodeEntities(textOf(guid))) : '';
+}
+
+function parseXMLFeed(xml) {
+  const root = parseXML(xml);
+  return descendantsNamed(root, ['item', 'entry'])
+    .map(node => item(
+      childText(node, ['title', 'dc:title']),
+      itemLink(node),
+      decodeEntities(childText(node, ['pubdate', 'dc:date', 'published', 'updated', 'issued', 'modified'])),
+      childText(node, ['description', 'summary', 'content:encoded', 'content']),
+      decodeEntities(childText(node, ['guid', 'id']))
+    ))
+    .filter(i => i.title);
+}
+
+// https://www.jsonfeed.org/version/1.1/
+function parseJSONFeed(text) {
+  let feed;
+  try { feed = JSON.parse(text); }
+  catch { return []; }
+  if (!Array.isArray(feed?.items)) return [];
+  return feed.items
+    .filter(i => i && typeof i === 'object')
+    .map(i => item(
+      String(i.title || ''),
+      String(i.url || i.external_url || ''),
+      String(i.date_published || i.date_modified || ''),
+      String(i.summary || i.content_text || i.content_html || ''),
+      String(i.id ?? '')
+    ))
+    .filter(i => i.title);
+}
+
+/**
+ * Items of a feed, whatever its format
+ * @param {string} text - body of the feed
+ * @returns {Array<{ title: string, link: string, guid: string, date: string, description: string }>} date in ISO ('' if unknown)
+ */
+function parseFeed(text) {
+  const body = (text || '').replace(/^\uFEFF/, '').trim();
+  return body.startsWith('{') ? parseJSONFeed(body) : parseXMLFeed(body);
+}
+
+// ============ FETCH ============
+
+function loadCache(file) {
+  try {
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {}
+  return {};
+}
+
+// One feed → { items, report }. A 304 serves the items kept from the previous download.
+async function fetchFeed(feed, cache, maxItems) {
+  const started = http.now();
+  const previous = cache[feed.url];
+  const report = (status, extra) => ({
+    status,
+    url: feed.url,
+    language: feed.language,
+    items: 0,
+    latencyMs: http.now() - started,
+    error: null,
+    lastSuccess: previous?.lastSuccess ? new Date(previous.lastSuccess).toISOString() : null,
+    ...extra
+  });
+  
+  const headers = {};
+  if (previous?.items) {
+    if (previous.etag) headers['If-None-Match'] = previous.etag;
+    if (previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+  }
+  
+  try {
+    const res = await http.request(feed.url, { headers, timeout: feed.timeout });
+    if (res.status === 304 && previous?.items) {
+      previous.lastSuccess = http.now();
+      return { items: previous.items, report: report('not_modified', { items: previous.items.length, lastSuccess: new Date(http.now()).toISOString() }) };
+    }
+    if (res.status >= 400) throw new Error(`HTTP ${res.status}`);
+    
+    const items = parseFeed(res.body.toString('utf8')).slice(0, maxItems);
+    if (items.length === 0) throw new Error(`no RSS, Atom or JSON Feed items (HTTP ${res.status}, ${res.headers['content-type'] || 'no content-type'})`);
+    
+    cache[feed.url] = { etag: res.headers.etag, lastModified: res.headers['last-modified'], lastSuccess: http.now(), items };
+    return { items, report: report('ok', { items: items.length, lastSuccess: new Date(http.now()).toISOString() }) };
+  } catch (e) {
+    console.error(`${feed.name} feed error:`, e.message);
+    return { items: [], report: report('error', { error: e.message }) };
+  }
+}
+
+/**
+ * Download every feed in parallel
+ * @param {Object} config - loadConfig() result
+ * @param {Object} options - { cachePath } (default: .feeds-cache.json)
+ * @returns {Promise<{ items: Object[], reports: Object }>} items tagged with source, language and weight; reports by feed name
+ */
+async function fetchAll(config, { cachePath = http.statePath(CACHE_FILE) } = {}) {
+  const cache = loadCache(cachePath);
+  const results = await Promise.all(config.feeds.map(feed => fetchFeed(feed, cache, config.maxItemsPerFeed)));
+  
+  // Feeds no longer configured are forgotten
+  const urls = new Set(config.feeds.map(f => f.url));
+  for (const url of Object.keys(cache)) if (!urls.has(url)) delete cache[url];
+  try {
+    writeFileAtomic(cachePath, JSON.stringify(cache));
+  } catch (e) {
+    console.error('Feeds cache error:', e.message);
+  }
+  
+  const items = [];
+  const reports = {};
+  config.feeds.forEach((feed, i) => {
+    items.push(...results[i].items.map(n => ({ ...n, source: feed.name, language: feed.language, weight: feed.weight })));
+    reports[feed.name] = results[i].report;
+  });
+  return { items, reports };
+}
+
+module.exports = {
+  loadConfig,
+  decodeEntities,
+  stripHtml,
+  parseXML,
+  parseFeed,
+  fetchAll
+};
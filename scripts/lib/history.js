@@ -0,0 +1,193 @@
+/**
+ * MAMOS DASHBOARD - History Store
+ * Keeps a compact time series of every data.json snapshot
+ * Raw snapshots go to history/YYYY-MM-DD.jsonl, older days are compacted to history/daily.jsonl
+ * (history/ sits next to data.json, in OUTPUT_DIR; HISTORY_DIR overrides it)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./atomic');
+
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(process.env.OUTPUT_DIR || path.join(__dirname, '..', '..'), 'history');
+const COMPACT_FILE = 'daily.jsonl';
+const INDEX_FILE = 'index.json';
+
+// Raw (15 min) snapshots are kept this long, then reduced to one record per day
+const RAW_RETENTION_DAYS = parseInt(process.env.HISTORY_RAW_DAYS) || 30;
+// Daily records are kept this long
+const COMPACT_RETENTION_DAYS = parseInt(process.env.HISTORY_COMPACT_DAYS) || 730;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UNITS = { K: 1e3, M: 1e6, B: 1e9, T: 1e12 };
+
+// Parse "5.34B", "-0.0035", "77,472", "0.01%" → number, K/M/B/T suffixes applied (5.34B → 5340000000)
+function num(value) {
+  if (value === null || value === undefined) return undefined;
+  if (typeof value === 'number') return value;
+  const match = String(value).replace(/[,\s$]/g, '').match(/^(-?\d*\.?\d+)([KMBT])?/i);
+  if (!match) return undefined;
+  const n = parseFloat(match[1]);
+  return match[2] ? Math.round(n * UNITS[match[2].toUpperCase()]) : n;
+}
+
+// Metrics stored for each snapshot (name → extractor)
+const METRICS = {
+  price: d => d.priceData?.current,
+  fearGreed: d => d.fearGreed?.current,
+  fundingBtc: d => num(d.funding?.btc?.current),
+  fundingEth: d => num(d.funding?.eth),
+  oiUsd: d => num(d.openInterest?.usd),
+  oiChange24h: d => d.openInterest?.change24h,
+  takerRatio: d => num(d.longShort?.takerBuySellRatio),
+  cotInstNet: d => d.cot?.categories?.assetManagers?.net,
+  cotHfNet: d => d.cot?.categories?.leveragedFunds?.net,
+  etfDaily: d => d.etf?.daily,
+  etfWeekly: d => d.etf?.weekly,
+  hashrate: d => num(d.hashrate?.current),
+  hashrateTrend: d => d.hashrate?.trend,
+  mvrv: d => num(d.mvrv?.value),
+  hlFunding: d => num(d.hyperliquid?.btc?.funding),
+  whalesLongPct: d => num(d.whales?.longPct),
+  scoreBull: d => d.analysis?.score?.bull,
+  scoreBear: d => d.analysis?.score?.bear,
+  score: d => d.analysis?.score?.net,
+  signal: d => d.analysis?.signal,
+  label: d => d.analysis?.label,
+  bias: d => d.tradingPlan?.bias?.direction
+};
+
+function dayKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+function rawFile(day) {
+  return path.join(HISTORY_DIR, `${day}.jsonl`);
+}
+
+function readJSONL(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => { try { return JSON.parse(line); } catch { return null; } })
+    .filter(Boolean);
+}
+
+function listRawDays() {
+  if (!fs.existsSync(HISTORY_DIR)) return [];
+  return fs.readdirSync(HISTORY_DIR)
+    .map(f => f.match(/^(\d{4}-\d{2}-\d{2})\.jsonl$/)?.[1])
+    .filter(Boolean)
+    .sort();
+}
+
+// Build the compact record stored for one snapshot
+function buildRecord(snapshot) {
+  const record = { t: snapshot.updatedAt || new Date().toISOString() };
+  for (const [name, extract] of Object.entries(METRICS)) {
+    const value = extract(snapshot);
+    if (value !== undefined && value !== null) record[name] = value;
+  }
+  return record;
+}
+
+// Append one data.json snapshot, then apply retention rules
+function appendSnapshot(snapshot) {
+  if (!fs.existsSync(HISTORY_DIR)) fs.mkdirSync(HISTORY_DIR, { recursive: true });
+  
+  const record = buildRecord(snapshot);
+  fs.appendFileSync(rawFile(dayKey(record.t)), JSON.stringify(record) + '\n');
+  
+  compact(new Date(record.t));
+  writeIndex();
+  return record;
+}
+
+// Reduce raw days older than RAW_RETENTION_DAYS to their last snapshot (daily close)
+// and drop daily records older than COMPACT_RETENTION_DAYS
+function compact(now = new Date()) {
+  const rawCutoff = dayKey(now.getTime() - RAW_RETENTION_DAYS * DAY_MS);
+  const compactCutoff = dayKey(now.getTime() - COMPACT_RETENTION_DAYS * DAY_MS);
+  const compactPath = path.join(HISTORY_DIR, COMPACT_FILE);
+  
+  const expired = listRawDays().filter(day => day < rawCutoff);
+  let daily = readJSONL(compactPath);
+  const before = daily.length;
+  
+  for (const day of expired) {
+    const records = readJSONL(rawFile(day));
+    if (records.length > 0) {
+      daily = daily.filter(r => dayKey(r.t) !== day);
+      daily.push({ ...records[records.length - 1], samples: records.length });
+    }
+    fs.unlinkSync(rawFile(day));
+  }
+  
+  daily = daily.filter(r => dayKey(r.t) >= compactCutoff).sort((a, b) => a.t.localeCompare(b.t));
+  
+  if (expired.length > 0 || daily.length !== before) {
+    writeFileAtomic(compactPath, daily.map(r => JSON.stringify(r)).join('\n') + (daily.length ? '\n' : ''));
+    console.log(`🗄️ History: compacted ${expired.length} day(s), ${daily.length} daily records kept`);
+  }
+}
+
+// Index used by the frontend to know which files to load
+function writeIndex() {
+  const daily = readJSONL(path.join(HISTORY_DIR, COMPACT_FILE));
+  writeFileAtomic(path.join(HISTORY_DIR, INDEX_FILE), JSON.stringify({
+    updatedAt: new Date().toISOString(),
+    metrics: Object.keys(METRICS),
+    compact: { file: COMPACT_FILE, from: daily[0]?.t || null, to: daily[daily.length - 1]?.t || null },
+    days: listRawDays()
+  }, null, 2));
+}
+
+// ============ LOADER API ============
+
+// All records between two dates (inclusive), oldest first
+function loadRange(from, to = new Date()) {
+  const fromTs = new Date(from).getTime();
+  const toTs = new Date(to).getTime();
+  const inRange = r => {
+    const ts = new Date(r.t).getTime();
+    return ts >= fromTs && ts <= toTs;
+  };
+  
+  const fromDay = dayKey(fromTs);
+  const toDay = dayKey(toTs);
+  const rawDays = listRawDays().filter(day => day >= fromDay && day <= toDay);
+  
+  const daily = readJSONL(path.join(HISTORY_DIR, COMPACT_FILE)).filter(inRange);
+  const raw = rawDays.flatMap(day => readJSONL(rawFile(day))).filter(inRange);
+  
+  return daily.concat(raw).sort((a, b) => a.t.localeCompare(b.t));
+}
+
+// Time series of one metric: [{ t, v }]
+function query(metric, { from, to } = {}) {
+  if (!METRICS[metric]) throw new Error(`Unknown history metric: ${metric}`);
+  return loadRange(from || 0, to || new Date())
+    .filter(r => r[metric] !== undefined)
+    .map(r => ({ t: r.t, v: r[metric] }));
+}
+
+// Last known value of a metric at a given date ("what was the signal last Tuesday")
+function valueAt(metric, date) {
+  const series = query(metric, { from: 0, to: date });
+  return series.length > 0 ? series[series.length - 1] : null;
+}
+
+if (require.main === module) {
+  // Usage: node scripts/lib/history.js <metric> [from] [to]
+  const [metric, from, to] = process.argv.slice(2);
+  if (!metric) {
+    console.log('Metrics:', Object.keys(METRICS).join(', '));
+    process.exit(0);
+  }
+  const series = from && !to ? [valueAt(metric, from)].filter(Boolean) : query(metric, { from, to });
+  series.forEach(p => console.log(`${p.t}  ${p.v}`));
+}
+
+module.exports = { METRICS, buildRecord, appendSnapshot, compact, loadRange, query, valueAt };
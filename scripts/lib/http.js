@@ -0,0 +1,267 @@
+/**
+ * MAMOS DASHBOARD - HTTP Client
+ * Single request helper shared by every script, with record/replay for offline runs
+ *
+ *   HTTP_MODE=record HTTP_FIXTURES=fixtures/run1 node scripts/update-data.js   # capture upstream responses
+ *   HTTP_MODE=replay HTTP_FIXTURES=fixtures/run1 OUTPUT_DIR=/tmp/out node scripts/update-data.js
+ *
+ * Replay serves every response from the fixtures, pins the clock to the recording time
+ * and works on a private copy of the cache files, so the same fixtures give the same output.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const MODE = process.env.HTTP_MODE || 'live';
+const FIXTURES_DIR = path.resolve(process.env.HTTP_FIXTURES || path.join(ROOT, 'fixtures', 'http'));
+const SESSION_FILE = path.join(FIXTURES_DIR, 'session.json');
+const DEFAULT_TIMEOUT = 15000;
+const USER_AGENT = 'MamosDashboard/2.0';
+
+// One clock per script, so update-data and update-news can share a fixtures dir
+const SCRIPT = require.main?.filename ? path.basename(require.main.filename, '.js') : 'node';
+
+if (!['live', 'record', 'replay'].includes(MODE)) {
+  throw new Error(`Invalid HTTP_MODE "${MODE}" (expected live, record or replay)`);
+}
+
+// ============ SESSION ============
+
+let session = null;
+let replayStateDir = null;
+
+function loadSession() {
+  if (session) return session;
+  if (MODE === 'replay') {
+    if (!fs.existsSync(SESSION_FILE)) throw new Error(`No recorded session in ${FIXTURES_DIR} (run with HTTP_MODE=record first)`);
+    session = JSON.parse(fs.readFileSync(SESSION_FILE, 'utf8'));
+  } else if (MODE === 'record') {
+    fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+    session = fs.existsSync(SESSION_FILE) ? JSON.parse(fs.readFileSync(SESSION_FILE, 'utf8')) : { clocks: {}, secrets: {} };
+    session.clocks[SCRIPT] = new Date().toISOString();
+    saveSession();
+  } else {
+    session = { clocks: {}, secrets: {} };
+  }
+  return session;
+}
+
+function saveSession() {
+  fs.writeFileSync(SESSION_FILE, JSON.stringify(session, null, 2));
+}
+
+// The recorded clock is the start of the run
+if (MODE === 'record') loadSession();
+
+// Current time in ms (recording time of this script in replay mode)
+function now() {
+  if (MODE !== 'replay') return Date.now();
+  const recorded = loadSession().clocks[SCRIPT];
+  if (!recorded) throw new Error(`No recorded clock for ${SCRIPT} in ${SESSION_FILE}`);
+  return new Date(recorded).getTime();
+}
+
+// API key from the environment. Replay only needs to know whether it was set when recording
+// (the value never reaches the fixtures).
+function secret(name) {
+  const s = loadSession();
+  if (MODE === 'replay') return s.secrets[name] ? 'replay' : undefined;
+  if (MODE === 'record') {
+    s.secrets[name] = Boolean(process.env[name]);
+    saveSession();
+  }
+  return process.env[name];
+}
+
+// Path of a repo-root state file (.etf-cache.json...). Record keeps a copy of the file as it was
+// before the run; replay starts from that copy in a temporary dir and never touches the real one.
+function statePath(file) {
+  const real = path.join(ROOT, file);
+  const recorded = path.join(FIXTURES_DIR, 'state', file);
+  
+  if (MODE === 'record') {
+    loadSession();
+    if (!session.states?.includes(file)) {
+      session.states = (session.states || []).concat(file);
+      saveSession();
+      fs.mkdirSync(path.dirname(recorded), { recursive: true });
+      if (fs.existsSync(real)) fs.copyFileSync(real, recorded);
+      else if (fs.existsSync(recorded)) fs.unlinkSync(recorded);
+    }
+    return real;
+  }
+  
+  if (MODE === 'replay') {
+    if (!replayStateDir) replayStateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mamos-replay-'));
+    const copy = path.join(replayStateDir, file);
+    if (!fs.existsSync(copy) && fs.existsSync(recorded)) fs.copyFileSync(recorded, copy);
+    return copy;
+  }
+  
+  return real;
+}
+
+// ============ FIXTURES ============
+
+// Fixture file name for a request (method + url + body) or a capture key
+function fixtureName(key, host) {
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+  return `${host.replace(/[^\w.-]/g, '_')}-${hash}.json`;
+}
+
+function requestFixtureName(method, url, body) {
+  return fixtureName(`${method} ${url}${body ? '\n' + body : ''}`, new URL(url).hostname);
+}
+
+function captureFixtureName(key) {
+  return fixtureName(key, 'capture');
+}
+
+function isText(buffer) {
+  return Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer);
+}
+
+function writeFixture(file, fixture) {
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+}
+
+function readFixture(file, description) {
+  if (!fs.existsSync(file)) throw new Error(`No recorded response for ${description} in ${FIXTURES_DIR}`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// ============ REQUESTS ============
+
+function send(url, { method, headers, body, timeout }) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(url);
+    const client = parsedUrl.protocol === 'http:' ? http : https;
+    const req = client.request({
+      hostname: parsedUrl.hostname,
+      port: parsedUrl.port || undefined,
+      path: parsedUrl.pathname + parsedUrl.search,
+      method,
+      headers: { 'User-Agent': USER_AGENT, ...headers }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.setTimeout(timeout, () => { req.destroy(); reject(new Error('Timeout')); });
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+// Raw request → { status, headers, body: Buffer }. Request headers (API keys) are not part of the fixture key.
+async function request(url, options = {}) {
+  const method = options.method || 'GET';
+  const body = options.body === undefined || typeof options.body === 'string' || Buffer.isBuffer(options.body)
+    ? options.body
+    : JSON.stringify(options.body);
+  const file = path.join(FIXTURES_DIR, requestFixtureName(method, url, body));
+  
+  if (MODE === 'replay') {
+    const fixture = readFixture(file, `${method} ${url}`);
+    if (fixture.error) throw new Error(fixture.error);
+    return {
+      status: fixture.status,
+      headers: fixture.headers || {},
+      body: Buffer.from(fixture.response, fixture.encoding)
+    };
+  }
+  
+  let res;
+  try {
+    res = await send(url, { method, headers: options.headers, body, timeout: options.timeout || DEFAULT_TIMEOUT });
+  } catch (e) {
+    // Network failures are part of the run too (they decide fallbacks)
+    if (MODE === 'record') writeFixture(file, { method, url, body, error: e.message });
+    throw e;
+  }
+  
+  if (MODE === 'record') {
+    const text = isText(res.body);
+    writeFixture(file, {
+      method,
+      url,
+      body,
+      status: res.status,
+      headers: { 'content-type': res.headers['content-type'], etag: res.headers.etag, 'last-modified': res.headers['last-modified'] },
+      encoding: text ? 'utf8' : 'base64',
+      response: res.body.toString(text ? 'utf8' : 'base64')
+    });
+  }
+  return res;
+}
+
+// Body as JSON when it parses, as text otherwise (APIs answer errors in HTML)
+async function getJSON(url, options = {}) {
+  const text = (await request(url, options)).body.toString('utf8');
+  try { return JSON.parse(text); }
+  catch { return text; }
+}
+
+async function getText(url, options = {}) {
+  return (await request(url, options)).body.toString('utf8');
+}
+
+async function getBuffer(url, options = {}) {
+  const res = await request(url, options);
+  if (res.status >= 400) throw new Error(`HTTP ${res.status} for ${url}`);
+  return res.body;
+}
+
+// POST a JSON payload, the answer must be JSON
+async function postJSON(url, payload, headers = {}) {
+  const res = await request(url, { method: 'POST', body: JSON.stringify(payload), headers: { 'Content-Type': 'application/json', ...headers } });
+  try {
+    return JSON.parse(res.body.toString('utf8'));
+  } catch {
+    throw new Error(`Invalid JSON from ${new URL(url).hostname} (HTTP ${res.status})`);
+  }
+}
+
+// Record/replay anything that is not a plain request (curl, headless browser...).
+// The produced value must be JSON serialisable.
+async function capture(key, producer) {
+  const file = path.join(FIXTURES_DIR, captureFixtureName(key));
+  if (MODE === 'replay') {
+    const fixture = readFixture(file, key);
+    if (fixture.error) throw new Error(fixture.error);
+    return fixture.value;
+  }
+  if (MODE !== 'record') return producer();
+  
+  try {
+    const value = await producer();
+    writeFixture(file, { key, value });
+    return value;
+  } catch (e) {
+    writeFixture(file, { key, error: e.message });
+    throw e;
+  }
+}
+
+module.exports = {
+  MODE,
+  FIXTURES_DIR,
+  now,
+  secret,
+  statePath,
+  request,
+  getJSON,
+  getText,
+  getBuffer,
+  postJSON,
+  capture,
+  requestFixtureName,
+  captureFixtureName
+};
@@ -0,0 +1,87 @@
+/**
+ * MAMOS DASHBOARD - Messages
+ * Catalogues of every generated text, shared with index.html (locales/<locale>.json).
+ * data.json keeps its texts in French (the default locale) and publishes, next to them,
+ * the messages they were rendered from (an "i18n" map: field → message) so the dashboard
+ * can render them in the visitor's language:
+ *
+ *   { id, params }       text of the scripts, catalogue "messages"
+ *   { source, params }   text written in config/ (labels, reasons), translated by its French
+ *                        source in the catalogue "config" section (untranslated = French)
+ *
+ * A param can itself be a message.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', '..', 'locales');
+const DEFAULT_LOCALE = 'fr';
+
+const catalogues = {};
+
+function catalogue(locale) {
+  if (!catalogues[locale]) catalogues[locale] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), 'utf8'));
+  return catalogues[locale];
+}
+
+// Every locale with a catalogue, the default one first
+function locales() {
+  const available = fs.readdirSync(LOCALES_DIR).filter(f => f.endsWith('.json')).map(f => f.replace('.json', ''));
+  return [DEFAULT_LOCALE].concat(available.filter(l => l !== DEFAULT_LOCALE).sort());
+}
+
+function message(id, params) {
+  return params ? { id, params } : { id };
+}
+
+function source(text, params) {
+  return params ? { source: text, params } : { source: text };
+}
+
+// "{name}" placeholders (dotted paths allowed) replaced by their param
+function format(template, params = {}, locale = DEFAULT_LOCALE) {
+  return template.replace(/\{([\w.]+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined) return match;
+    if (value !== null && typeof value === 'object') return render(value, locale);
+    return value === null ? '?' : String(value);
+  });
+}
+
+// Text of a message in a locale (a missing translation falls back on French)
+function render(msg, locale = DEFAULT_LOCALE) {
+  if (msg.source !== undefined) return format(catalogue(locale).config?.[msg.source] ?? msg.source, msg.params, locale);
+  const template = catalogue(locale).messages[msg.id] ?? catalogue(DEFAULT_LOCALE).messages[msg.id];
+  if (template === undefined) throw new Error(`Unknown message "${msg.id}"`);
+  return format(template, msg.params, locale);
+}
+
+// Shortcut for a scripts message rendered right away (prompts, stories)
+function t(id, params, locale = DEFAULT_LOCALE) {
+  return render(message(id, params), locale);
+}
+
+/**
+ * French texts of some fields and their messages, to spread into an object:
+ * { ...texts({ interpretation: message('data.mvrv.neutral', { mvrv }) }) }
+ * → { interpretation: '⚪ MVRV 2.10 - Zone neutre.', i18n: { interpretation: { id, params } } }
+ */
+function texts(fields) {
+  const out = {};
+  for (const [field, msg] of Object.entries(fields)) out[field] = render(msg);
+  out.i18n = fields;
+  return out;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  catalogue,
+  locales,
+  message,
+  source,
+  format,
+  render,
+  t,
+  texts
+};
@@ -0,0 +1,135 @@
+/**
+ * MAMOS DASHBOARD - Technical Indicators
+ * RSI, MACD, moving averages, Bollinger bands and realized volatility
+ * from daily klines (Binance format, oldest first). Values are null until the series is long enough.
+ */
+
+const round = (value, decimals = 2) => value === null || isNaN(value) ? null : Number(value.toFixed(decimals));
+
+// Simple moving average of the last `period` values
+function sma(values, period) {
+  if (values.length < period) return null;
+  return values.slice(-period).reduce((s, v) => s + v, 0) / period;
+}
+
+// Exponential moving average series (seeded with the SMA of the first `period` values)
+function ema(values, period) {
+  if (values.length < period) return [];
+  const k = 2 / (period + 1);
+  const series = [values.slice(0, period).reduce((s, v) => s + v, 0) / period];
+  for (const value of values.slice(period)) series.push(value * k + series[series.length - 1] * (1 - k));
+  return series;
+}
+
+// Wilder's RSI
+function rsi(closes, period = 14) {
+  if (closes.length <= period) return null;
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change > 0) gain += change;
+    else loss -= change;
+  }
+  gain /= period;
+  loss /= period;
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+  return loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+}
+
+// MACD line, signal line and histogram. cross = direction of a signal-line cross on the last candle.
+function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  const slowEma = ema(closes, slow);
+  if (slowEma.length < signalPeriod + 1) return null;
+  const fastEma = ema(closes, fast).slice(slow - fast);
+  const line = slowEma.map((v, i) => fastEma[i] - v);
+  const signal = ema(line, signalPeriod);
+  const histogram = signal.map((v, i) => line[i + signalPeriod - 1] - v);
+  
+  const last = histogram[histogram.length - 1];
+  const previous = histogram[histogram.length - 2];
+  let cross = null;
+  if (previous <= 0 && last > 0) cross = 'bullish';
+  else if (previous >= 0 && last < 0) cross = 'bearish';
+  
+  return { line: line[line.length - 1], signal: signal[signal.length - 1], histogram: last, cross };
+}
+
+// Bollinger bands: SMA ± `deviations` standard deviations. percentB = position of the price (0 = lower band, 1 = upper band)
+function bollinger(closes, period = 20, deviations = 2) {
+  const middle = sma(closes, period);
+  if (middle === null) return null;
+  const std = Math.sqrt(closes.slice(-period).reduce((s, v) => s + (v - middle) ** 2, 0) / period);
+  const upper = middle + deviations * std;
+  const lower = middle - deviations * std;
+  const price = closes[closes.length - 1];
+  return { upper, middle, lower, width: (upper - lower) / middle * 100, percentB: upper > lower ? (price - lower) / (upper - lower) : 0.5 };
+}
+
+// Annualized realized volatility (%) of the last `period` daily log returns (crypto trades 365 days a year)
+function realizedVolatility(closes, period = 30) {
+  if (closes.length <= period) return null;
+  const returns = closes.slice(-period - 1).slice(1).map((c, i) => Math.log(c / closes[closes.length - period - 1 + i]));
+  const mean = returns.reduce((s, r) => s + r, 0) / period;
+  const variance = returns.reduce((s, r) => s + (r - mean) ** 2, 0) / (period - 1);
+  return Math.sqrt(variance * 365) * 100;
+}
+
+// Short-term volatility against its 90 day norm: expansion above 1.3x, compression under 0.7x
+function volatilityRegime(short, long) {
+  if (short === null || long === null || long === 0) return null;
+  if (short / long > 1.3) return 'high';
+  if (short / long < 0.7) return 'low';
+  return 'normal';
+}
+
+/**
+ * Every indicator of a daily series
+ * @param {Array} klines - Binance daily klines, oldest first (200+ for the 200-day average)
+ * @returns {Object} { rsi, macd, ma, bollinger, volatility } with prices rounded to `decimals`
+ */
+function computeIndicators(klines, decimals = 2) {
+  const closes = (klines || []).map(k => parseFloat(k[4]));
+  const price = closes[closes.length - 1];
+  
+  const ma = { ma20: sma(closes, 20), ma50: sma(closes, 50), ma200: sma(closes, 200) };
+  let trend = null;
+  if (ma.ma50 !== null && ma.ma200 !== null) {
+    if (price > ma.ma50 && ma.ma50 > ma.ma200) trend = 'bullish';
+    else if (price < ma.ma50 && ma.ma50 < ma.ma200) trend = 'bearish';
+    else trend = 'neutral';
+  }
+  
+  const m = macd(closes);
+  const b = bollinger(closes);
+  const vol7d = realizedVolatility(closes, 7);
+  const vol30d = realizedVolatility(closes, 30);
+  const vol90d = realizedVolatility(closes, 90);
+  
+  return {
+    rsi: round(rsi(closes), 1),
+    macd: m && { line: round(m.line, decimals), signal: round(m.signal, decimals), histogram: round(m.histogram, decimals), cross: m.cross },
+    ma: { ma20: round(ma.ma20, decimals), ma50: round(ma.ma50, decimals), ma200: round(ma.ma200, decimals), trend },
+    bollinger: b && { upper: round(b.upper, decimals), middle: round(b.middle, decimals), lower: round(b.lower, decimals), width: round(b.width, 1), percentB: round(b.percentB, 2) },
+    volatility: {
+      realized7d: round(vol7d, 1),
+      realized30d: round(vol30d, 1),
+      realized90d: round(vol90d, 1),
+      regime: volatilityRegime(vol7d, vol90d)
+    }
+  };
+}
+
+module.exports = {
+  sma,
+  ema,
+  rsi,
+  macd,
+  bollinger,
+  realizedVolatility,
+  computeIndicators
+};
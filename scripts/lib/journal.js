@@ -0,0 +1,133 @@
+/**
+ * MAMOS DASHBOARD - Signal Journal
+ * Records every change of the analysis signal, the plan bias and a few key sub-signals
+ * (COT setup, funding, trend) with the time, the BTC price and the reasons behind it.
+ * Published next to data.json as signals-history.json for the dashboard timeline.
+ */
+
+const fs = require('fs');
+const i18n = require('./i18n');
+const { writeFileAtomic } = require('./atomic');
+
+// Transitions kept in the file (newest first)
+const MAX_TRANSITIONS = 500;
+
+// Same reading of the COT as generateTradingPlan() and the battle section
+function cotSetup(data) {
+  const cot = data.cot?.categories;
+  if (!cot) return undefined;
+  const instBullish = cot.assetManagers.net > 0;
+  const hfBullish = cot.leveragedFunds.net > 0;
+  if (instBullish && !hfBullish) return 'squeeze_setup';
+  if (!instBullish && hfBullish) return 'smart_money_sells';
+  return instBullish ? 'consensus_bullish' : 'consensus_bearish';
+}
+
+// Tracked signals: value = what a transition is about, label = how the dashboard shows it
+// (messages data.journal.*, published in French with their i18n map)
+const TRACKED = {
+  signal: {
+    name: i18n.message('data.journal.name.signal'),
+    value: d => d.analysis?.signal,
+    label: d => i18n.message('data.journal.label.signal', { emoji: d.analysis.emoji, label: d.analysis.i18n?.label ?? d.analysis.label })
+  },
+  bias: {
+    name: i18n.message('data.journal.name.bias'),
+    value: d => d.tradingPlan?.bias.direction,
+    label: d => i18n.message('data.journal.label.bias', {
+      emoji: d.tradingPlan.bias.emoji,
+      direction: i18n.source(d.tradingPlan.bias.direction),
+      strength: d.tradingPlan.bias.i18n?.strength ?? d.tradingPlan.bias.strength
+    })
+  },
+  cot: {
+    name: i18n.message('data.journal.name.cot'),
+    value: cotSetup,
+    label: d => i18n.message(`data.journal.cot.${cotSetup(d)}`)
+  },
+  funding: {
+    name: i18n.message('data.journal.name.funding'),
+    value: d => d.funding?.signal,
+    label: d => i18n.message('data.journal.label.funding', { signal: d.funding.signal, funding: d.funding.btc?.current })
+  },
+  trend: {
+    name: i18n.message('data.journal.name.trend'),
+    value: d => d.priceData?.indicators?.ma.trend,
+    label: d => i18n.message(`data.journal.trend.${d.priceData.indicators.ma.trend}`)
+  }
+};
+
+function loadJournal(file) {
+  try {
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {}
+  return { updatedAt: null, current: {}, transitions: [] };
+}
+
+/**
+ * Journal updated with one snapshot (data.json). The first value seen for a signal only
+ * starts its "since"; later changes are recorded as transitions.
+ * @returns {{ journal: Object, changes: Array }} new journal and the transitions of this snapshot
+ */
+function recordTransitions(journal, snapshot, now = Date.now()) {
+  const at = new Date(now).toISOString();
+  const current = { ...journal.current };
+  const changes = [];
+  
+  for (const [key, tracked] of Object.entries(TRACKED)) {
+    const value = tracked.value(snapshot);
+    if (value === undefined || value === null) continue;
+    const message = tracked.label(snapshot);
+    const label = i18n.render(message);
+    const before = current[key];
+    
+    if (before && before.value !== value) {
+      const signals = snapshot.analysis?.signals || [];
+      changes.push({
+        at,
+        key,
+        name: i18n.render(tracked.name),
+        from: before.value,
+        fromLabel: before.label,
+        to: value,
+        toLabel: label,
+        previousSince: before.since,
+        price: snapshot.priceData?.current ?? null,
+        score: snapshot.analysis?.score.net ?? null,
+        reasons: signals.map(s => s.reason),
+        i18n: {
+          name: tracked.name,
+          // Entries written before the messages are shown as they were
+          fromLabel: before.i18n?.label ?? i18n.source(before.label),
+          toLabel: message,
+          reasons: signals.map(s => s.i18n?.reason ?? i18n.source(s.reason))
+        }
+      });
+    }
+    current[key] = {
+      value,
+      label,
+      i18n: { label: message },
+      since: before && before.value === value ? before.since : at,
+      price: before && before.value === value ? before.price : snapshot.priceData?.current ?? null
+    };
+  }
+  
+  return {
+    journal: {
+      updatedAt: at,
+      current,
+      transitions: changes.concat(journal.transitions || []).slice(0, MAX_TRANSITIONS)
+    },
+    changes
+  };
+}
+
+// Load, record and save in one go → transitions of this snapshot
+function updateJournal(file, snapshot, now = Date.now()) {
+  const { journal, changes } = recordTransitions(loadJournal(file), snapshot, now);
+  writeFileAtomic(file, JSON.stringify(journal, null, 2));
+  return changes;
+}
+
+module.exports = { TRACKED, loadJournal, recordTransitions, updateJournal };
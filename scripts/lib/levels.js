@@ -0,0 +1,144 @@
+/**
+ * MAMOS DASHBOARD - Support / Resistance Engine
+ * Swing pivots on 4h, daily and weekly klines, grouped into price zones
+ * and ranked by strength (touches weighted by timeframe and volume)
+ */
+
+const i18n = require('./i18n');
+
+// Timeframes read by the engine: Binance interval → candles fetched, pivot span, weight of a touch
+const TIMEFRAMES = {
+  '4h': { limit: 180, span: 3, weight: 1 }, // 30 days
+  '1d': { limit: 250, span: 3, weight: 2 }, // 8 months (200-day average of the indicators)
+  '1w': { limit: 104, span: 2, weight: 3 } // 2 years
+};
+
+// Zones further than this from the price are ignored (fraction of price)
+const MAX_DISTANCE = 0.25;
+// Zone width: half the daily ATR (never below the asset step)
+const ATR_TOLERANCE = 0.5;
+// Levels kept on each side of the price
+const MAX_LEVELS = 3;
+
+// Binance klines [openTime, open, high, low, close, volume...] → candles
+function toCandles(klines) {
+  return (klines || []).map(k => ({
+    time: k[0],
+    open: parseFloat(k[1]),
+    high: parseFloat(k[2]),
+    low: parseFloat(k[3]),
+    close: parseFloat(k[4]),
+    volume: parseFloat(k[5]) || 0
+  }));
+}
+
+// Swing highs / lows: the extreme of `span` candles on each side.
+// Volume is relative to the average of the series (1 = average candle).
+function findPivots(candles, span, timeframe) {
+  const avgVolume = candles.reduce((s, c) => s + c.volume, 0) / (candles.length || 1);
+  const pivots = [];
+  
+  for (let i = span; i < candles.length - span; i++) {
+    const c = candles[i];
+    const around = candles.slice(i - span, i).concat(candles.slice(i + 1, i + span + 1));
+    const volume = avgVolume > 0 ? c.volume / avgVolume : 1;
+    if (around.every(o => c.high > o.high)) pivots.push({ type: 'high', price: c.high, time: c.time, volume, timeframe });
+    if (around.every(o => c.low < o.low)) pivots.push({ type: 'low', price: c.low, time: c.time, volume, timeframe });
+  }
+  return pivots;
+}
+
+// Average true range of the last `period` candles
+function atr(candles, period = 14) {
+  const ranges = candles.slice(1).map((c, i) => Math.max(
+    c.high - c.low,
+    Math.abs(c.high - candles[i].close),
+    Math.abs(c.low - candles[i].close)
+  )).slice(-period);
+  return ranges.length > 0 ? ranges.reduce((s, r) => s + r, 0) / ranges.length : 0;
+}
+
+// Group pivots into zones at most `tolerance` wide (sorted by price, from the lowest pivot of each zone)
+function clusterPivots(pivots, tolerance) {
+  const sorted = [...pivots].sort((a, b) => a.price - b.price);
+  const clusters = [];
+  for (const pivot of sorted) {
+    const last = clusters[clusters.length - 1];
+    if (last && pivot.price - last[0].price <= tolerance) last.push(pivot);
+    else clusters.push([pivot]);
+  }
+  return clusters;
+}
+
+// Strength of a zone: each touch counts its timeframe weight, scaled by its volume (0.5x to 2x)
+function scoreCluster(cluster) {
+  return cluster.reduce((s, p) => s + TIMEFRAMES[p.timeframe].weight * Math.min(2, Math.max(0.5, p.volume)), 0);
+}
+
+// Human readable rationale of a level (shown in the dashboard), as a message
+function describe(cluster, side) {
+  const timeframes = Object.keys(TIMEFRAMES).filter(tf => cluster.some(p => p.timeframe === tf));
+  const avgVolume = cluster.reduce((s, p) => s + p.volume, 0) / cluster.length;
+  const flipped = cluster.filter(p => p.type === (side === 'support' ? 'high' : 'low')).length;
+  
+  const id = flipped === cluster.length ? (side === 'support' ? 'data.level.zoneFormerResistance' : 'data.level.zoneFormerSupport') : 'data.level.zone';
+  return i18n.message(id, {
+    touches: i18n.message(cluster.length > 1 ? 'data.level.touches' : 'data.level.touch', { count: cluster.length }),
+    timeframes: timeframes.join(', '),
+    volume: avgVolume.toFixed(1)
+  });
+}
+
+/**
+ * Ranked supports and resistances around `price`
+ * @param {number} price - current price
+ * @param {Object} klines - Binance klines by interval ({ '4h': [...], '1d': [...], '1w': [...] }, any subset)
+ * @param {Object} options - { step: rounding of the levels, decimals }
+ * @returns {{ supports: Array, resistances: Array, tolerance: number }} strongest levels, nearest first
+ */
+function computeLevels(price, klines, { step = 1, decimals = 0 } = {}) {
+  const pivots = [];
+  for (const [timeframe, config] of Object.entries(TIMEFRAMES)) {
+    if (klines[timeframe]) pivots.push(...findPivots(toCandles(klines[timeframe]), config.span, timeframe));
+  }
+  
+  const daily = toCandles(klines['1d']);
+  const tolerance = Math.max(step, atr(daily) * ATR_TOLERANCE);
+  const round = value => Number((Math.round(value / step) * step).toFixed(decimals));
+  
+  const zones = clusterPivots(pivots.filter(p => Math.abs(p.price - price) / price <= MAX_DISTANCE), tolerance)
+    .map(cluster => {
+      // Volume weighted price of the zone
+      const weightOf = p => p.volume || 1;
+      const level = cluster.reduce((s, p) => s + p.price * weightOf(p), 0) / cluster.reduce((s, p) => s + weightOf(p), 0);
+      return { cluster, price: round(level), score: Math.round(scoreCluster(cluster) * 10) / 10 };
+    });
+  
+  const pick = (side, filter, order) => zones
+    .filter(z => filter(z.price))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_LEVELS)
+    .sort(order)
+    .map(z => ({
+      price: z.price,
+      score: z.score,
+      touches: z.cluster.length,
+      timeframes: Object.keys(TIMEFRAMES).filter(tf => z.cluster.some(p => p.timeframe === tf)),
+      ...i18n.texts({ reason: describe(z.cluster, side) })
+    }));
+  
+  return {
+    supports: pick('support', level => level < price, (a, b) => b.price - a.price),
+    resistances: pick('resistance', level => level > price, (a, b) => a.price - b.price),
+    tolerance: round(tolerance)
+  };
+}
+
+module.exports = {
+  TIMEFRAMES,
+  toCandles,
+  findPivots,
+  atr,
+  clusterPivots,
+  computeLevels
+};
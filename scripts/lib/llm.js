@@ -0,0 +1,159 @@
+/**
+ * MAMOS DASHBOARD - LLM Client
+ * One client for every OpenAI-compatible chat endpoint (Groq, OpenAI, a local Ollama or
+ * llama.cpp server), with a token budget per call, retries and a content-addressed cache:
+ * the same prompt with the same settings is only paid once.
+ *
+ *   LLM_BASE_URL   endpoint root (default Groq; http://localhost:11434/v1 for Ollama)
+ *   LLM_API_KEY    bearer token (GROQ_API_KEY is still read for Groq)
+ *   LLM_MODEL      model name (default llama-3.1-8b-instant)
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const http = require('./http');
+const { writeFileAtomic } = require('./atomic');
+
+const DEFAULT_BASE_URL = 'https://api.groq.com/openai/v1';
+const DEFAULT_MODEL = 'llama-3.1-8b-instant';
+
+const CACHE_FILE = '.llm-cache.json';
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 200;
+
+const RETRIES = 2;
+const RETRY_DELAY_MS = 1000;
+const RETRY_AFTER_MAX_MS = 30000;
+const TIMEOUT_MS = 60000;
+
+// Endpoint, key and model of this run
+function config() {
+  const baseUrl = (process.env.LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  return {
+    baseUrl,
+    apiKey: http.secret('LLM_API_KEY') || (baseUrl === DEFAULT_BASE_URL ? http.secret('GROQ_API_KEY') : undefined),
+    model: process.env.LLM_MODEL || DEFAULT_MODEL
+  };
+}
+
+// A hosted endpoint needs a key; a custom one (local server) may not
+function available() {
+  const { baseUrl, apiKey } = config();
+  return Boolean(apiKey) || baseUrl !== DEFAULT_BASE_URL;
+}
+
+// Rough token count (about 4 characters per token for Latin text)
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// ============ CACHE ============
+
+function cacheKey(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+function loadCache(file) {
+  try {
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {}
+  return {};
+}
+
+// The data and news jobs share the file: the new entries are merged into its current content
+// and written atomically. Newest entries kept, expired ones dropped.
+function saveCache(file, added, now) {
+  const entries = Object.entries({ ...loadCache(file), ...added })
+    .filter(([, entry]) => now - entry.at < CACHE_TTL_MS)
+    .sort((a, b) => b[1].at - a[1].at)
+    .slice(0, CACHE_MAX_ENTRIES);
+  writeFileAtomic(file, JSON.stringify(Object.fromEntries(entries)));
+}
+
+// ============ REQUEST ============
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// POST with retries on network errors, 429 and 5xx (Retry-After honoured)
+async function post(url, payload, headers, retries) {
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    let delay = RETRY_DELAY_MS * 2 ** attempt;
+    try {
+      const res = await http.request(url, { method: 'POST', body: JSON.stringify(payload), headers, timeout: TIMEOUT_MS });
+      const text = res.body.toString('utf8');
+      if (res.status < 400) {
+        try {
+          return JSON.parse(text);
+        } catch {
+          throw Object.assign(new Error(`Invalid JSON from ${new URL(url).host} (HTTP ${res.status})`), { final: true });
+        }
+      }
+      lastError = new Error(`${new URL(url).host}: HTTP ${res.status} ${text.slice(0, 200)}`);
+      if (res.status !== 429 && res.status < 500) throw Object.assign(lastError, { final: true });
+      const retryAfter = parseFloat(res.headers['retry-after']);
+      if (!isNaN(retryAfter)) delay = Math.min(retryAfter * 1000, RETRY_AFTER_MAX_MS);
+    } catch (e) {
+      if (e.final) throw e;
+      lastError = e;
+    }
+    if (attempt < retries) {
+      console.log(`🔁 LLM: ${lastError.message}, retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Chat completion of one prompt
+ * @param {string} prompt - user message
+ * @param {Object} options - { maxTokens: completion budget, maxPromptTokens?, temperature?, system?, retries?, cache?: false, cachePath? }
+ * @returns {Promise<string>} trimmed answer (throws when over budget, unavailable or failed)
+ */
+async function complete(prompt, options = {}) {
+  const { baseUrl, apiKey, model } = config();
+  if (!available()) throw new Error('LLM: no endpoint configured (LLM_API_KEY / GROQ_API_KEY or LLM_BASE_URL)');
+  if (!options.maxTokens) throw new Error('LLM: maxTokens is required');
+  
+  const messages = (options.system ? [{ role: 'system', content: options.system }] : []).concat({ role: 'user', content: prompt });
+  const promptTokens = estimateTokens(messages.map(m => m.content).join('\n'));
+  if (options.maxPromptTokens && promptTokens > options.maxPromptTokens) {
+    throw new Error(`LLM: prompt over budget (~${promptTokens} tokens > ${options.maxPromptTokens})`);
+  }
+  
+  const payload = { model, messages, temperature: options.temperature ?? 0.7, max_tokens: options.maxTokens };
+  const useCache = options.cache !== false;
+  const cachePath = options.cachePath || http.statePath(CACHE_FILE);
+  const key = cacheKey({ baseUrl, ...payload });
+  const cache = useCache ? loadCache(cachePath) : {};
+  const now = http.now();
+  
+  if (cache[key] && now - cache[key].at < CACHE_TTL_MS) {
+    console.log(`💾 LLM cache hit (${model}, ~${promptTokens} tokens saved)`);
+    return cache[key].content;
+  }
+  
+  const response = await post(`${baseUrl}/chat/completions`, payload, {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+  }, options.retries ?? RETRIES);
+  
+  const content = response.choices?.[0]?.message?.content?.trim();
+  if (!content) throw new Error(`LLM: empty answer from ${model}`);
+  
+  const usage = response.usage;
+  console.log(`🤖 LLM ${model}: ${usage ? `${usage.prompt_tokens} + ${usage.completion_tokens} tokens` : `~${promptTokens} prompt tokens`}`);
+  
+  if (useCache) {
+    saveCache(cachePath, { [key]: { at: now, model, content } }, now);
+  }
+  return content;
+}
+
+module.exports = {
+  config,
+  available,
+  estimateTokens,
+  complete
+};
@@ -0,0 +1,176 @@
+/**
+ * MAMOS DASHBOARD - AI News Analysis
+ * Runs the model on the news prompt and keeps only what matches schemas/news-analysis.schema.json.
+ * A reply that does not parse, or articles whose entry breaks the schema, get one repair pass
+ * (the model sees its reply and the errors). An article still invalid after it falls back alone;
+ * the rest of the batch is kept (read by lib/news-classifier). Rejections are counted in
+ * .news-analysis-stats.json.
+ */
+
+const fs = require('fs');
+const http = require('./http');
+const i18n = require('./i18n');
+const llm = require('./llm');
+const newsClassifier = require('./news-classifier');
+const schema = require('./schema');
+const { writeFileAtomic } = require('./atomic');
+
+const STATS_FILE = '.news-analysis-stats.json';
+
+// Latest rejection reasons kept with the counters
+const MAX_REJECTIONS = 20;
+// Previous reply quoted in the repair prompt
+const MAX_QUOTED_REPLY = 6000;
+
+const FIELDS = ['titleFr', 'summary', 'impact', 'priceEffect', 'importance', 'contextLink'];
+const COUNTERS = ['items', 'accepted', 'repaired', 'fallback', 'parseFailures', 'failedCalls'];
+
+// Article the model did not analyse correctly: read by the lexicon instead
+// (flagged, so it is analysed again next run)
+function fallback(item, locale) {
+  return { ...item, ...newsClassifier.analysis(item, locale), fallback: true };
+}
+
+// ============ CHECKS ============
+
+// JSON array of a reply, markdown fences and surrounding prose ignored
+function parseReply(content) {
+  const text = content.replace(/```(?:json)?/gi, '');
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  if (start === -1 || end < start) throw new Error('no JSON array in the reply');
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+/**
+ * Entries of a reply checked one by one
+ * @param {string} content - raw reply of the model
+ * @param {number} count - articles in the prompt
+ * @returns {{ parsed: boolean, valid: Object, errors: Object }} valid entries and errors by article index (1-based)
+ */
+function checkReply(content, count) {
+  const itemSchema = schema.loadSchema('news-analysis').items;
+  const valid = {};
+  const errors = {};
+  
+  let reply;
+  try {
+    reply = parseReply(content);
+  } catch (e) {
+    for (let index = 1; index <= count; index++) errors[index] = [`reply: ${e.message}`];
+    return { parsed: false, valid, errors };
+  }
+  
+  for (const entry of Array.isArray(reply) ? reply : []) {
+    const index = entry?.index;
+    if (!Number.isInteger(index) || index < 1 || index > count || valid[index]) continue;
+    const problems = schema.validate(entry, itemSchema, `news ${index}`);
+    if (problems.length === 0) {
+      valid[index] = Object.fromEntries(FIELDS.filter(f => entry[f] !== undefined).map(f => [f, entry[f]]));
+      delete errors[index];
+    } else if (!errors[index]) {
+      errors[index] = problems;
+    }
+  }
+  for (let index = 1; index <= count; index++) {
+    if (!valid[index] && !errors[index]) errors[index] = [`news ${index}: missing from the reply`];
+  }
+  return { parsed: true, valid, errors };
+}
+
+function repairPrompt(prompt, content, errors, locale) {
+  return i18n.t('prompt.news.repair', {
+    prompt,
+    reply: content.slice(0, MAX_QUOTED_REPLY),
+    indexes: Object.keys(errors).join(', '),
+    errors: Object.values(errors).flat().map(e => `- ${e}`).join('\n')
+  }, locale);
+}
+
+// ============ STATS ============
+
+function loadStats(file) {
+  try {
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {}
+  return null;
+}
+
+/**
+ * Add a run to the counters of the state file
+ * @returns {Object} totals since the first run, with rejectionRate (share of articles whose first analysis was rejected)
+ */
+function recordStats(file, run, rejections, now) {
+  const stats = loadStats(file) || { since: new Date(now).toISOString(), runs: 0, ...Object.fromEntries(COUNTERS.map(c => [c, 0])), rejections: [] };
+  stats.runs++;
+  for (const counter of COUNTERS) stats[counter] += run[counter];
+  stats.rejections = rejections.map(reason => ({ at: new Date(now).toISOString(), reason })).concat(stats.rejections).slice(0, MAX_REJECTIONS);
+  writeFileAtomic(file, JSON.stringify(stats, null, 2));
+  
+  const { rejections: _, ...total } = stats;
+  total.rejectionRate = total.items > 0 ? Math.round((total.items - total.accepted) / total.items * 1000) / 1000 : null;
+  return total;
+}
+
+// ============ ANALYSIS ============
+
+/**
+ * Analysis of the news by the model, article by article
+ * @param {Object[]} newsItems - articles of the prompt, in order ({ title, description, ... })
+ * @param {string} prompt - asks for the array of schemas/news-analysis.schema.json
+ * @param {Object} options - lib/llm complete() options, statsPath and the locale of the prompt (repair pass)
+ * @returns {Promise<{ news: Object[], stats: { run: Object, total: Object } }>}
+ */
+async function analyze(newsItems, prompt, { statsPath = http.statePath(STATS_FILE), locale, ...options } = {}) {
+  const count = newsItems.length;
+  if (count === 0) return { news: [], stats: null };
+  
+  const run = Object.fromEntries(COUNTERS.map(c => [c, 0]));
+  run.items = count;
+  const rejections = [];
+  let valid = {};
+  
+  try {
+    const content = await llm.complete(prompt, options);
+    const first = checkReply(content, count);
+    valid = first.valid;
+    run.accepted = Object.keys(valid).length;
+    if (!first.parsed) run.parseFailures++;
+    
+    if (run.accepted < count) {
+      rejections.push(...Object.values(first.errors).flat());
+      console.log(`🔧 AI analysis rejected for news ${Object.keys(first.errors).join(', ')}, asking for a repair`);
+      const repair = checkReply(await llm.complete(repairPrompt(prompt, content, first.errors, locale), {
+        ...options,
+        temperature: 0,
+        maxPromptTokens: options.maxPromptTokens && options.maxPromptTokens + options.maxTokens + 500
+      }), count);
+      if (!repair.parsed) run.parseFailures++;
+      for (const index of Object.keys(first.errors)) {
+        if (!repair.valid[index]) continue;
+        valid[index] = repair.valid[index];
+        run.repaired++;
+      }
+    }
+  } catch (e) {
+    run.failedCalls++;
+    rejections.push(`call: ${e.message}`);
+    console.error('AI analysis error:', e.message);
+  }
+  
+  const news = newsItems.map((n, i) => {
+    if (valid[i + 1]) return { ...n, ...valid[i + 1] };
+    run.fallback++;
+    return fallback(n, locale);
+  });
+  
+  const total = recordStats(statsPath, run, rejections, http.now());
+  console.log(`🧪 AI analysis: ${run.accepted}/${count} accepted, ${run.repaired} repaired, ${run.fallback} fallback (${Math.round(total.rejectionRate * 100)}% rejected since ${total.since.split('T')[0]})`);
+  return { news, stats: { run, total } };
+}
+
+module.exports = {
+  parseReply,
+  checkReply,
+  analyze
+};
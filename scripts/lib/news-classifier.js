@@ -0,0 +1,165 @@
+/**
+ * MAMOS DASHBOARD - News Classifier
+ * Offline reading of an article with the lexicon of config/news-lexicon.json: weighted
+ * bullish/bearish terms (English and French, a negated term does not count), entities that make a
+ * story matter (ETF, SEC, hacks, halving...) and importance rules. It analyses the news
+ * when the model is unavailable or fails, and checks the model's impact otherwise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const i18n = require('./i18n');
+const { amounts } = require('./news-clusters');
+
+const LEXICON_PATH = process.env.NEWS_LEXICON || path.join(__dirname, '..', '..', 'config', 'news-lexicon.json');
+
+// |score| from which an article leans one way (a title term counts twice)
+const IMPACT_THRESHOLD = 1.5;
+const TITLE_WEIGHT = 2;
+// A negation cancels a term up to this many words after it ("SEC does not approve")
+const NEGATION_WINDOW = 3;
+const SUMMARY_LENGTH = 200;
+
+// ============ LEXICON ============
+
+function words(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Load, validate and compile the lexicon (throws with the full list of problems)
+function loadLexicon(file = LEXICON_PATH) {
+  let lexicon;
+  try {
+    lexicon = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid news lexicon (${file}): ${e.message}`);
+  }
+  
+  const errors = [];
+  for (const [term, weight] of Object.entries(lexicon.terms || {})) {
+    if (typeof weight !== 'number' || weight === 0) errors.push(`terms["${term}"]: must be a non-zero number`);
+  }
+  if (!lexicon.terms) errors.push('terms: required object');
+  if (!Array.isArray(lexicon.negations)) errors.push('negations: must be an array');
+  if (!Array.isArray(lexicon.entities)) errors.push('entities: must be an array');
+  else lexicon.entities.forEach((e, i) => {
+    if (typeof e.name !== 'string' || !e.name) errors.push(`entities[${i}].name: required string`);
+    if (!Array.isArray(e.terms) || e.terms.length === 0) errors.push(`entities[${i}].terms: must be a non-empty array`);
+    if (typeof e.importance !== 'number') errors.push(`entities[${i}].importance: must be a number`);
+  });
+  const rules = lexicon.importance || {};
+  for (const key of ['base', 'offTopicPenalty', 'strongScore', 'strongScoreBoost']) {
+    if (typeof rules[key] !== 'number') errors.push(`importance.${key}: must be a number`);
+  }
+  if (!Array.isArray(rules.topics)) errors.push('importance.topics: must be an array');
+  if (!Array.isArray(rules.amounts)) errors.push('importance.amounts: must be an array');
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid news lexicon (${file}):\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  return {
+    // Longest phrases first, so "record outflows" wins over "outflows"
+    terms: Object.entries(lexicon.terms)
+      .map(([text, weight]) => ({ text, words: words(text), weight }))
+      .sort((a, b) => b.words.length - a.words.length),
+    negations: new Set(lexicon.negations.flatMap(words)),
+    entities: lexicon.entities.map(e => ({ name: e.name, importance: e.importance, terms: e.terms.map(words) })),
+    importance: { ...rules, topics: new Set(rules.topics.flatMap(words)) }
+  };
+}
+
+let defaultLexicon = null;
+
+function lexiconOrDefault(lexicon) {
+  if (lexicon) return lexicon;
+  if (!defaultLexicon) defaultLexicon = loadLexicon();
+  return defaultLexicon;
+}
+
+// ============ CLASSIFICATION ============
+
+function phraseAt(list, phrase, index) {
+  return phrase.every((w, k) => list[index + k] === w);
+}
+
+// Lexicon terms of a text, non-overlapping, with their weight (0 when negated)
+function matchTerms(list, lexicon) {
+  const taken = new Array(list.length).fill(false);
+  const matches = [];
+  for (const term of lexicon.terms) {
+    for (let i = 0; i + term.words.length <= list.length; i++) {
+      if (taken[i] || !phraseAt(list, term.words, i)) continue;
+      const negated = list.slice(Math.max(0, i - NEGATION_WINDOW), i).some(w => lexicon.negations.has(w));
+      matches.push({ index: i, term: term.text, weight: negated ? 0 : term.weight });
+      for (let k = 0; k < term.words.length; k++) taken[i + k] = true;
+    }
+  }
+  return matches.sort((a, b) => a.index - b.index);
+}
+
+// First sentence of the description (the title when there is none)
+function summarize(article) {
+  const text = (article.description || '').trim();
+  const sentence = text.split(/(?<=[.!?])\s+/)[0] || article.title;
+  return sentence.length > SUMMARY_LENGTH ? sentence.slice(0, SUMMARY_LENGTH - 1).trimEnd() + '…' : sentence;
+}
+
+/**
+ * Reading of an article by the lexicon
+ * @param {Object} article - { title, description }
+ * @param {Object} [lexicon] - loadLexicon() result (default: config/news-lexicon.json)
+ * @returns {{ impact: string, importance: number, score: number, terms: string[], entities: string[], summary: string }}
+ */
+function classify(article, lexicon) {
+  lexicon = lexiconOrDefault(lexicon);
+  const title = words(article.title);
+  const description = words(article.description || '');
+  const titleMatches = matchTerms(title, lexicon);
+  const descriptionMatches = matchTerms(description, lexicon);
+  const score = Math.round((TITLE_WEIGHT * titleMatches.reduce((sum, m) => sum + m.weight, 0) + descriptionMatches.reduce((sum, m) => sum + m.weight, 0)) * 10) / 10;
+  
+  const all = title.concat(['.'], description);
+  const entities = lexicon.entities.filter(e => e.terms.some(phrase => all.some((w, i) => phraseAt(all, phrase, i))));
+  
+  const rules = lexicon.importance;
+  let importance = rules.base + entities.reduce((sum, e) => sum + e.importance, 0);
+  if (entities.length === 0 && !all.some(w => rules.topics.has(w))) importance -= rules.offTopicPenalty;
+  if (Math.abs(score) >= rules.strongScore) importance += rules.strongScoreBoost;
+  const largest = Math.max(0, ...amounts(`${article.title} ${article.description || ''}`).filter(a => !a.endsWith('%')).map(Number));
+  importance += Math.max(0, ...rules.amounts.filter(a => largest >= a.min).map(a => a.boost));
+  
+  return {
+    impact: score >= IMPACT_THRESHOLD ? 'bullish' : score <= -IMPACT_THRESHOLD ? 'bearish' : 'neutre',
+    importance: Math.min(5, Math.max(1, Math.round(importance))),
+    score,
+    terms: [...new Set(titleMatches.concat(descriptionMatches).map(m => m.weight * Math.sign(score) > 0 ? m.term : null).filter(Boolean))],
+    entities: entities.map(e => e.name),
+    summary: summarize(article)
+  };
+}
+
+// Analysis fields of schemas/news-analysis.schema.json written from the lexicon, in a locale
+function analysis(article, locale = i18n.DEFAULT_LOCALE, lexicon) {
+  const result = classify(article, lexicon);
+  return {
+    titleFr: article.title,
+    summary: result.summary,
+    impact: result.impact,
+    priceEffect: i18n.t(`data.news.rules.${result.impact}`, { terms: result.terms.slice(0, 3).join(', ') }, locale),
+    importance: result.importance,
+    contextLink: ''
+  };
+}
+
+// The model and the lexicon see the price going opposite ways
+function disagree(impact, rulesImpact) {
+  return (impact === 'bullish' && rulesImpact === 'bearish') || (impact === 'bearish' && rulesImpact === 'bullish');
+}
+
+module.exports = {
+  loadLexicon,
+  classify,
+  analysis,
+  disagree
+};
@@ -0,0 +1,211 @@
+/**
+ * MAMOS DASHBOARD - News Clustering
+ * Groups the articles of every feed that cover the same story before the AI analysis,
+ * so one event costs one analysis and one slot of news.json. Articles are compared on
+ * their words (weighted by rarity in the batch) and on the entities they name (tickers,
+ * companies, amounts); clustering only depends on the articles, never on feed order.
+ */
+
+// Same story: similarity at or above this
+const THRESHOLD = 0.38;
+// Articles further apart than this are never the same story
+const MAX_GAP_MS = 48 * 60 * 60 * 1000;
+
+const TEXT_WEIGHT = 0.6;
+const ENTITY_WEIGHT = 0.4;
+
+// Extra importance given by the other sources covering the story (+1 per source, up to +2)
+const MAX_COVERAGE_BOOST = 2;
+
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being below between both but by can could did do does doing down during each few for from further had has have having he her here hers him his how i if in into is it its just like may me more most my new no nor not now of off on once only or other our out over own said same says she should so some still such than that the their them then there these they this those through to too under until up very was we were what when where which while who why will with would you your
+au aux avec ce ces cette dans de des du elle en est et il ils la le les leur lui mais mes mon ne nos notre on ou par pas plus pour qu que qui sa se ses son sont sur ta te tes ton un une vos votre
+`.trim().split(/\s+/));
+
+// Different names of the same entity
+const ALIASES = {
+  bitcoin: 'btc',
+  xbt: 'btc',
+  ether: 'eth',
+  ethereum: 'eth',
+  etfs: 'etf',
+  solana: 'sol',
+  ripple: 'xrp',
+  blackrock: 'ibit',
+  fed: 'fomc'
+};
+
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, millions: 1e6, b: 1e9, bn: 1e9, billion: 1e9, billions: 1e9, milliard: 1e9, milliards: 1e9 };
+
+// ============ FEATURES ============
+
+function fold(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// "$187M", "$187 million" and "187,000,000" are the same amount; "69K", "$69,000" and "69 000 $" too
+function amounts(text) {
+  const found = [];
+  const pattern = /\$?(\d{1,3}(?:[,\s]\d{3})+|\d+(?:[.,]\d+)?)\s*(k|m|bn|b|thousand|millions?|billions?|milliards?|%)?(?![\w])/gi;
+  for (const [, number, unit] of text.matchAll(pattern)) {
+    const value = parseFloat(/^\d{1,3}([,\s]\d{3})+$/.test(number) ? number.replace(/[,\s]/g, '') : number.replace(',', '.'));
+    if (unit === '%') found.push(`${value}%`);
+    else found.push(String(Math.round(value * (MULTIPLIERS[unit?.toLowerCase()] || 1))));
+  }
+  return found;
+}
+
+// Significant words, accents folded, plural "s" dropped, aliases applied
+function tokenize(text) {
+  return fold(text)
+    .replace(/'s\b/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length >= 3 && !STOPWORDS.has(w) && !/^\d/.test(w))
+    .map(w => ALIASES[w] || (w.length > 4 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w))
+    .map(w => ALIASES[w] || w);
+}
+
+// Named things: known assets, acronyms and tickers, capitalised words inside a sentence, amounts.
+// In a Title Case headline every word is capitalised, only acronyms count there.
+function entities(text) {
+  const names = [];
+  for (const sentence of text.split(/[.!?:;]\s+|\s+[-–—]\s+/)) {
+    const words = sentence.split(/\s+/).map(word => word.replace(/^[^\w$]+|[^\w]+$/g, '').replace(/'s$/, ''));
+    const titleCase = words.filter(w => /^[A-Z]/.test(w)).length > words.length / 2;
+    words.forEach((clean, i) => {
+      if (ALIASES[fold(clean)] || /^\$?[A-Z][A-Z0-9]{1,9}s?$/.test(clean) || (!titleCase && i > 0 && /^[A-Z][a-z]+[A-Za-z]*$/.test(clean))) {
+        const name = fold(clean.replace(/^\$/, ''));
+        if (!STOPWORDS.has(name)) names.push(ALIASES[name] || name);
+      }
+    });
+  }
+  return new Set(names.concat(amounts(text)));
+}
+
+// Term frequencies of an article, the title counting twice
+function features(article) {
+  const terms = new Map();
+  for (const token of tokenize(article.title).concat(tokenize(article.title), tokenize(article.description || ''))) {
+    terms.set(token, (terms.get(token) || 0) + 1);
+  }
+  return { terms, entities: entities(`${article.title}. ${article.description || ''}`) };
+}
+
+// ============ SIMILARITY ============
+
+// Rarer words weigh more: log((N + 1) / (df + 1)) + 1 over the batch
+function inverseFrequencies(featureList) {
+  const df = new Map();
+  for (const f of featureList) for (const term of f.terms.keys()) df.set(term, (df.get(term) || 0) + 1);
+  const idf = new Map();
+  for (const [term, count] of df) idf.set(term, Math.log((featureList.length + 1) / (count + 1)) + 1);
+  return idf;
+}
+
+function cosine(a, b, idf) {
+  let dot = 0, normA = 0, normB = 0;
+  for (const [term, count] of a) {
+    const w = count * (idf.get(term) || 1);
+    normA += w * w;
+    if (b.has(term)) dot += w * b.get(term) * (idf.get(term) || 1);
+  }
+  for (const [term, count] of b) normB += (count * (idf.get(term) || 1)) ** 2;
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const x of a) if (b.has(x)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * How much two articles look like the same story (0-1)
+ * @param {Object} a - features() of an article
+ * @param {Object} b - features() of another article
+ * @param {Map} idf - inverseFrequencies() of the batch
+ */
+function similarity(a, b, idf) {
+  return TEXT_WEIGHT * cosine(a.terms, b.terms, idf) + ENTITY_WEIGHT * jaccard(a.entities, b.entities);
+}
+
+// ============ CLUSTERS ============
+
+const time = article => {
+  const t = new Date(article.date).getTime();
+  return Number.isNaN(t) ? null : t;
+};
+
+// Chronological, then by source and link, so the input order never matters
+function compareArticles(a, b) {
+  return (time(a) ?? Infinity) - (time(b) ?? Infinity) || (a.source || '').localeCompare(b.source || '') || (a.link || '').localeCompare(b.link || '') || a.title.localeCompare(b.title);
+}
+
+// Heaviest feed first, then the newest article
+function compareRepresentatives(a, b) {
+  return (b.weight || 1) - (a.weight || 1) || (time(b) ?? -Infinity) - (time(a) ?? -Infinity) || compareArticles(a, b);
+}
+
+/**
+ * Group the articles of a batch by story. In chronological order, each article joins the story
+ * holding its closest article (at or above THRESHOLD, within MAX_GAP_MS), or starts a new one;
+ * the same link is always the same story.
+ * @param {Object[]} articles - lib/feeds fetchAll() items ({ title, description, link, date, source, weight })
+ * @returns {Object[]} one article per story (heaviest feed, then newest) with coverage (distinct sources)
+ *   and otherSources ([{ source, title, link }]), in chronological order of the stories
+ */
+function cluster(articles, { threshold = THRESHOLD } = {}) {
+  const sorted = articles.slice().sort(compareArticles);
+  const all = sorted.map(features);
+  const idf = inverseFrequencies(all);
+  const stories = [];
+  
+  const score = (i, j) => {
+    if (sorted[i].link && sorted[i].link === sorted[j].link) return Infinity;
+    const [a, b] = [time(sorted[i]), time(sorted[j])];
+    if (a !== null && b !== null && Math.abs(a - b) > MAX_GAP_MS) return 0;
+    return similarity(all[i], all[j], idf);
+  };
+  
+  sorted.forEach((article, i) => {
+    let best = null;
+    let bestScore = threshold;
+    for (const story of stories) {
+      const closest = Math.max(...story.members.map(j => score(i, j)));
+      if (closest >= bestScore) {
+        best = story;
+        bestScore = closest;
+      }
+    }
+    if (best) best.members.push(i);
+    else stories.push({ members: [i] });
+  });
+  
+  return stories.map(story => {
+    const members = story.members.map(i => sorted[i]);
+    const [representative, ...others] = members.slice().sort(compareRepresentatives);
+    return {
+      ...representative,
+      coverage: new Set(members.map(m => m.source)).size,
+      otherSources: others.filter(o => o.link !== representative.link).map(o => ({ source: o.source, title: o.title, link: o.link }))
+    };
+  });
+}
+
+// Importance of an analyzed story, raised by the other sources covering it
+function boostImportance(importance, coverage = 1) {
+  return Math.min(5, importance + Math.min(MAX_COVERAGE_BOOST, Math.max(0, coverage - 1)));
+}
+
+module.exports = {
+  THRESHOLD,
+  amounts,
+  tokenize,
+  entities,
+  features,
+  similarity,
+  inverseFrequencies,
+  cluster,
+  boostImportance
+};
@@ -0,0 +1,196 @@
+/**
+ * MAMOS DASHBOARD - News Impact Tracker
+ * Follows the BTC price after every published article (.news-impact.json): price at publication,
+ * then 1h, 4h and 24h later, read from Binance hourly candles so a missed run is caught up later.
+ * The realized move is compared with the impact the article was given; the report (hit rate per
+ * horizon, source, impact label and analyzer over the last 30 days) is published in news.json
+ * as impactReport.
+ */
+
+const fs = require('fs');
+const http = require('./http');
+const articleStore = require('./article-store');
+const { writeFileAtomic } = require('./atomic');
+
+const STATE_FILE = '.news-impact.json';
+
+// Hourly candles of the last 8 days: articles published earlier are never measured
+const CANDLES_URL = 'https://api.binance.com/api/v3/klines?symbol=BTCUSDT&interval=1h&limit=200';
+
+const HORIZONS = { '1h': 1, '4h': 4, '24h': 24 };
+
+// A move within ±this (%) is flat: a "neutre" call is right, a directional call is wrong
+const FLAT_MOVE_PCT = { '1h': 0.3, '4h': 0.6, '24h': 1.5 };
+
+// Articles counted in the report, older ones are forgotten
+const REPORT_DAYS = 30;
+// Articles listed in the report
+const RECENT_ARTICLES = 10;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function loadState(file) {
+  try {
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {}
+  return { articles: [] };
+}
+
+// ============ PRICES ============
+
+// Open of the hourly candle holding the time (Binance klines: [openTime, open, high, low, close, ...]), null when not covered
+function priceAt(candles, time) {
+  const candle = (candles || []).find(c => c[0] <= time && time < c[0] + HOUR);
+  return candle ? parseFloat(candle[1]) : null;
+}
+
+// Was the call right? Directional calls need a move beyond the flat band their way
+function hit(impact, movePct, horizon) {
+  const flat = FLAT_MOVE_PCT[horizon];
+  if (impact === 'bullish') return movePct > flat;
+  if (impact === 'bearish') return movePct < -flat;
+  return Math.abs(movePct) <= flat;
+}
+
+// ============ TRACKING ============
+
+// New tracked article from a published news.json item
+function openArticle(item, now) {
+  const published = Date.parse(item.date);
+  return {
+    id: articleStore.articleId({ link: item.link, source: item.source, title: item.titleOriginal || item.title }),
+    title: item.titleOriginal || item.title,
+    source: item.source || null,
+    link: item.link,
+    publishedAt: new Date(Number.isNaN(published) || published > now ? now : published).toISOString(),
+    analyzer: item.analyzer || 'ai',
+    impact: item.impact,
+    importance: item.importance,
+    prices: { publication: null, ...Object.fromEntries(Object.keys(HORIZONS).map(h => [h, null])) },
+    moves: {},
+    hits: {}
+  };
+}
+
+/**
+ * Record the articles published by this run. The call of an article already tracked follows
+ * its analysis (a lexicon reading replaced by the model's) until its first horizon is measured.
+ * @returns {Object[]} articles added
+ */
+function trackArticles(state, news, now) {
+  const added = [];
+  for (const item of news) {
+    const opened = openArticle(item, now);
+    const tracked = state.articles.find(a => a.id === opened.id);
+    if (!tracked) {
+      state.articles.unshift(opened);
+      added.push(opened);
+    } else if (Object.keys(tracked.moves).length === 0) {
+      Object.assign(tracked, { analyzer: opened.analyzer, impact: opened.impact, importance: opened.importance });
+    }
+  }
+  return added;
+}
+
+/**
+ * Fill the prices the candles now cover, then the moves and hits of each horizon
+ * @returns {Object[]} articles with a horizon measured in this run
+ */
+function measureArticles(state, candles, now) {
+  const measured = [];
+  for (const article of state.articles) {
+    const start = Date.parse(article.publishedAt);
+    if (article.prices.publication === null) article.prices.publication = priceAt(candles, start);
+    let changed = false;
+    for (const [horizon, hours] of Object.entries(HORIZONS)) {
+      if (article.prices[horizon] === null && start + hours * HOUR <= now) article.prices[horizon] = priceAt(candles, start + hours * HOUR);
+      if (article.moves[horizon] !== undefined || article.prices[horizon] === null || article.prices.publication === null) continue;
+      const move = (article.prices[horizon] - article.prices.publication) / article.prices.publication * 100;
+      article.moves[horizon] = Math.round(move * 100) / 100;
+      article.hits[horizon] = hit(article.impact, move, horizon);
+      changed = true;
+    }
+    if (changed) measured.push(article);
+  }
+  return measured;
+}
+
+// ============ REPORT ============
+
+const round1 = n => Math.round(n * 10) / 10;
+
+// Calls, hits, hit rate (%) and average move (%) of a group, per horizon
+function tally(articles) {
+  const result = { articles: articles.length };
+  for (const horizon of Object.keys(HORIZONS)) {
+    const scored = articles.filter(a => a.hits[horizon] !== undefined);
+    const hits = scored.filter(a => a.hits[horizon]).length;
+    result[horizon] = {
+      calls: scored.length,
+      hits,
+      hitRate: scored.length > 0 ? Math.round(hits / scored.length * 100) : null,
+      avgMovePct: scored.length > 0 ? round1(scored.reduce((s, a) => s + a.moves[horizon], 0) / scored.length) : null
+    };
+  }
+  return result;
+}
+
+function groupBy(articles, key) {
+  const groups = {};
+  for (const a of articles) (groups[a[key] || 'unknown'] = groups[a[key] || 'unknown'] || []).push(a);
+  return Object.fromEntries(Object.entries(groups).map(([name, list]) => [name, tally(list)]));
+}
+
+// news.json summary: overall, per source, impact label and analyzer, and the latest articles
+function summarize(articles, now) {
+  const counted = articles.filter(a => now - Date.parse(a.publishedAt) <= REPORT_DAYS * DAY);
+  return {
+    days: REPORT_DAYS,
+    since: counted.length > 0 ? counted[counted.length - 1].publishedAt : null,
+    flatMovePct: FLAT_MOVE_PCT,
+    ...tally(counted),
+    bySource: groupBy(counted, 'source'),
+    byImpact: groupBy(counted, 'impact'),
+    byAnalyzer: groupBy(counted, 'analyzer'),
+    recent: counted.slice(0, RECENT_ARTICLES).map(a => ({
+      title: a.title,
+      source: a.source,
+      publishedAt: a.publishedAt,
+      analyzer: a.analyzer,
+      impact: a.impact,
+      price: a.prices.publication,
+      moves: a.moves,
+      hits: a.hits
+    }))
+  };
+}
+
+/**
+ * Load, update and save the tracker for one run
+ * @param {Object[]} news - news.json items published by this run
+ * @param {Array|null} candles - Binance BTCUSDT hourly klines (CANDLES_URL), null when they could not be fetched
+ * @returns {{ report: Object, added: Array, measured: Array }} impactReport for news.json and what changed in this run
+ */
+function updateImpact(news, candles, now = http.now(), file = http.statePath(STATE_FILE)) {
+  const state = loadState(file);
+  const added = trackArticles(state, news, now);
+  const measured = measureArticles(state, candles, now);
+  state.articles = state.articles
+    .filter(a => now - Date.parse(a.publishedAt) <= REPORT_DAYS * DAY)
+    .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt));
+  writeFileAtomic(file, JSON.stringify(state, null, 2));
+  return { report: summarize(state.articles, now), added, measured };
+}
+
+module.exports = {
+  CANDLES_URL,
+  HORIZONS,
+  FLAT_MOVE_PCT,
+  priceAt,
+  hit,
+  trackArticles,
+  measureArticles,
+  summarize,
+  updateImpact
+};
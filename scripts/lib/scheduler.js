@@ -0,0 +1,170 @@
+/**
+ * MAMOS DASHBOARD - Job Scheduler
+ * Cadences, run locks and run history of the jobs started by scripts/scheduler.js.
+ * A job is due when it has not started since the latest slot of its schedule
+ * (so a restarted daemon catches up on what it missed), or when a failed run can be retried.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const calendar = require('./calendar');
+const { writeFileAtomic } = require('./atomic');
+
+const ROOT = path.join(__dirname, '..', '..');
+const STATE_FILE = '.scheduler-state.json';
+
+const MIN = 60 * 1000;
+
+// ============ SCHEDULES ============
+
+// Every `minutes`, aligned on the clock (every(15) → :00, :15, :30, :45 UTC)
+function every(minutes) {
+  const period = minutes * MIN;
+  return {
+    describe: `every ${minutes >= 60 ? minutes / 60 + 'h' : minutes + ' min'}`,
+    last: now => Math.floor(now / period) * period,
+    next: now => Math.floor(now / period) * period + period
+  };
+}
+
+// After each US session: 22:00 UTC on NYSE trading days (weekends and holidays skipped)
+const usTradingDays = {
+  describe: `${calendar.ETF_PUBLICATION_HOUR}:00 UTC on US trading days`,
+  last: calendar.lastETFPublication,
+  next: calendar.nextETFPublication
+};
+
+/**
+ * Should a job start now?
+ * @param {Object} job - { schedule, retries?, retryMinutes? }
+ * @param {Object} run - state of the job ({ lastStart, lastEnd, lastStatus, attempts })
+ */
+function isDue(job, run = {}, now = Date.now()) {
+  const slot = job.schedule.last(now);
+  if (!run.lastStart || run.lastStart < slot) return true;
+  
+  // Failed since this slot: retry a few times, spaced out
+  if (run.lastStatus === 'ok' || run.lastStatus === 'running' || !run.lastEnd) return false;
+  return (run.attempts || 0) <= (job.retries || 0) && now - run.lastEnd >= (job.retryMinutes || 0) * MIN;
+}
+
+// ============ STATE ============
+
+function loadState(dir = ROOT) {
+  try {
+    const file = path.join(dir, STATE_FILE);
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {}
+  return { jobs: {} };
+}
+
+// Re-read before each update: the daemon and a manual "run" share the file
+function updateState(dir, name, changes) {
+  const state = loadState(dir);
+  state.jobs[name] = { ...state.jobs[name], ...changes };
+  writeFileAtomic(path.join(dir, STATE_FILE), JSON.stringify(state, null, 2));
+  return state.jobs[name];
+}
+
+// ============ LOCKS ============
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Take the run lock of a job (a file created exclusively). A lock left by a dead
+ * process or older than `maxAge` is taken over.
+ * @returns {Function|null} release function, or null if the job is already running
+ */
+function acquireLock(name, { dir = ROOT, maxAge = 60 * MIN, now = Date.now() } = {}) {
+  const file = path.join(dir, `.scheduler-${name}.lock`);
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(file, JSON.stringify({ pid: process.pid, startedAt: now }), { flag: 'wx' });
+      return () => fs.rmSync(file, { force: true });
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    
+    let lock = null;
+    try {
+      lock = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {}
+    if (lock && isAlive(lock.pid) && now - lock.startedAt < maxAge) return null;
+    console.log(`🔓 ${name}: taking over a stale lock${lock ? ` (pid ${lock.pid})` : ''}`);
+    fs.rmSync(file, { force: true });
+  }
+  return null;
+}
+
+// ============ RUNS ============
+
+/**
+ * Run one job as a child process (node <script>) under its lock
+ * @param {string} name - job name
+ * @param {Object} job - { script, timeoutMinutes }
+ * @param {Object} options - { dir: lock and state directory }
+ * @returns {Promise<{ status: 'ok' | 'failed' | 'timeout' | 'locked', code?: number, durationMs?: number }>}
+ */
+function runJob(name, job, { dir = ROOT } = {}) {
+  const started = Date.now();
+  const timeout = (job.timeoutMinutes || 10) * MIN;
+  const release = acquireLock(name, { dir, maxAge: timeout * 2, now: started });
+  if (!release) {
+    console.log(`⏭️ ${name}: already running, skipped`);
+    return Promise.resolve({ status: 'locked' });
+  }
+  
+  const previous = loadState(dir).jobs[name] || {};
+  const sameSlot = previous.lastStart >= job.schedule.last(started);
+  updateState(dir, name, { lastStart: started, lastStatus: 'running', attempts: sameSlot ? (previous.attempts || 0) + 1 : 1 });
+  console.log(`▶️ ${name}: ${path.basename(job.script)} (${new Date(started).toISOString()})`);
+  
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [job.script], { stdio: 'inherit' });
+    let timedOut = false;
+    let done = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+    }, timeout);
+    
+    // 'error' (spawn failed) and 'exit' can both fire
+    const finish = (status, code) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      const durationMs = Date.now() - started;
+      updateState(dir, name, {
+        lastEnd: Date.now(),
+        lastStatus: status,
+        lastDurationMs: durationMs,
+        ...(status === 'ok' ? { lastSuccess: Date.now() } : {})
+      });
+      release();
+      console.log(`${status === 'ok' ? '✅' : '❌'} ${name}: ${status}${code ? ` (exit ${code})` : ''} in ${Math.round(durationMs / 1000)}s`);
+      resolve({ status, code, durationMs });
+    };
+    child.on('error', e => {
+      console.error(`${name}: ${e.message}`);
+      finish('failed', null);
+    });
+    child.on('exit', code => finish(timedOut ? 'timeout' : code === 0 ? 'ok' : 'failed', code));
+  });
+}
+
+module.exports = {
+  every,
+  usTradingDays,
+  isDue,
+  loadState,
+  acquireLock,
+  runJob
+};
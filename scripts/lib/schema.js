@@ -0,0 +1,117 @@
+/**
+ * MAMOS DASHBOARD - Output Schemas
+ * Validates data.json / news.json against schemas/*.schema.json before they are published
+ * (and the AI news analysis before it is used, see lib/news-analysis).
+ * Supports the JSON Schema keywords the schemas use: type, enum, const, properties, required,
+ * additionalProperties, items, minimum, maximum, minLength, maxLength, pattern and local $ref (#/$defs/...).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMAS_DIR = path.join(__dirname, '..', '..', 'schemas');
+
+const schemas = {};
+
+// Parsed schema of an output file ('data' → schemas/data.schema.json)
+function loadSchema(name) {
+  if (!schemas[name]) schemas[name] = JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, `${name}.schema.json`), 'utf8'));
+  return schemas[name];
+}
+
+// schemaVersion written in (and required by) the files of a schema
+function versionOf(name) {
+  return loadSchema(name).properties.schemaVersion.const;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// ============ VALIDATION ============
+
+function check(value, schema, where, root, errors) {
+  if (schema.$ref) {
+    const def = schema.$ref.replace('#/$defs/', '');
+    if (!root.$defs?.[def]) throw new Error(`Unknown schema reference ${schema.$ref}`);
+    return check(value, root.$defs[def], where, root, errors);
+  }
+  
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${where}: expected ${types.join(' | ')}, got ${value === undefined ? 'nothing' : JSON.stringify(value)}`);
+      return;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) errors.push(`${where}: must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${where}: must be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}, got ${JSON.stringify(value)}`);
+  
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where}: must be >= ${schema.minimum}, got ${value}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where}: must be <= ${schema.maximum}, got ${value}`);
+  }
+  
+  if (typeof value === 'string') {
+    // Characters, not UTF-16 units (emojis count as one)
+    const length = Array.from(value).length;
+    if (schema.minLength !== undefined && length < schema.minLength) errors.push(`${where}: must be at least ${schema.minLength} characters, got ${length}`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) errors.push(`${where}: must be at most ${schema.maxLength} characters, got ${length}`);
+  }
+  
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${where}: must match ${schema.pattern}, got ${JSON.stringify(value)}`);
+  }
+  
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => check(item, schema.items, `${where}[${i}]`, root, errors));
+  }
+  
+  // Undefined properties are checked as JSON.stringify() writes them: absent
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${where}.${key}: required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      const sub = schema.properties?.[key] ?? schema.additionalProperties;
+      if (sub === false) errors.push(`${where}.${key}: not allowed`);
+      else if (sub && sub !== true) check(item, sub, `${where}.${key}`, root, errors);
+    }
+  }
+}
+
+/**
+ * Every schema violation of `value` (empty when valid)
+ * @param {*} value - parsed JSON
+ * @param {Object} schema - JSON Schema (root, for $ref)
+ * @returns {string[]} messages like "data.cot.categories.assetManagers.net: expected number, got \"12\""
+ */
+function validate(value, schema, where = 'data') {
+  const errors = [];
+  check(value, schema, where, schema, errors);
+  return errors;
+}
+
+// Throw with the full list of problems if `value` does not match schemas/<name>.schema.json
+function assertValid(value, name, file = `${name}.json`) {
+  const errors = validate(value, loadSchema(name), name);
+  if (errors.length > 0) {
+    throw new Error(`Refusing to publish ${file} (schema v${versionOf(name)}):\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
+module.exports = {
+  loadSchema,
+  versionOf,
+  validate,
+  assertValid
+};
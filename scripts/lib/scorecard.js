@@ -0,0 +1,186 @@
+/**
+ * MAMOS DASHBOARD - Trading Plan Scorecard
+ * Stores every distinct plan published for BTC / ETH / SOL and follows the price of the
+ * next runs until a target, the invalidation or the end of the plan horizon.
+ * The summary (win rate per bias and strength) is published in data.json as trackRecord.
+ */
+
+const fs = require('fs');
+const http = require('./http');
+const { writeFileAtomic } = require('./atomic');
+
+const STATE_FILE = '.plan-scorecard.json';
+
+// Plans kept in the state file (newest first)
+const MAX_PLANS = 1000;
+// Plans listed in the data.json summary
+const RECENT_PLANS = 10;
+
+// A plan that reached neither a target nor its invalidation expires with its horizon (by horizon id)
+const HORIZON_HOURS = { short: 72, medium: 14 * 24, long: 28 * 24 };
+const DEFAULT_HORIZON_HOURS = 14 * 24;
+
+// Scenario traded by each bias (PRUDENCE / NEUTRE plans take no position and are not scored)
+const SCENARIO_OF_BIAS = { ACHAT: 'long', VENTE: 'short' };
+
+const HOUR = 60 * 60 * 1000;
+
+function loadState(file) {
+  try {
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {}
+  return { plans: [] };
+}
+
+// ============ TRACKING ============
+
+// Same asset, bias and levels = same plan
+function planKey(asset, plan) {
+  const scenario = plan.scenarios?.[SCENARIO_OF_BIAS[plan.bias.direction]];
+  if (!scenario || scenario.targets.length === 0) return null;
+  return [asset, plan.bias.direction, plan.bias.strength, scenario.entryZone.join('-'), scenario.stop, scenario.targets.map(t => t.price).join('-')].join(':');
+}
+
+// New tracked plan from a published trading plan
+function openPlan(asset, plan, price, now) {
+  const scenario = plan.scenarios[SCENARIO_OF_BIAS[plan.bias.direction]];
+  const openedAt = new Date(now).toISOString();
+  return {
+    id: `${asset}:${openedAt}`,
+    key: planKey(asset, plan),
+    asset,
+    bias: plan.bias.direction,
+    strength: plan.bias.strength,
+    direction: scenario.direction,
+    horizon: plan.horizon.id,
+    openedAt,
+    expiresAt: new Date(now + (HORIZON_HOURS[plan.horizon.id] || DEFAULT_HORIZON_HOURS) * HOUR).toISOString(),
+    openPrice: price,
+    entryZone: scenario.entryZone,
+    entry: scenario.entry,
+    stop: scenario.stop,
+    targets: scenario.targets.map(t => t.price),
+    status: 'open',
+    target1At: null,
+    outcome: null,
+    closedAt: null,
+    hoursToOutcome: null
+  };
+}
+
+/**
+ * Tracked plan after one more price. A plan that hit its first target keeps
+ * running for the second one and closes as "target1" on invalidation or expiry.
+ * @returns {Object} the plan, with outcome set once it is closed
+ */
+function followPlan(tracked, price, now) {
+  if (tracked.outcome || typeof price !== 'number') return tracked;
+  
+  const long = tracked.direction === 'long';
+  const reached = level => (long ? price >= level : price <= level);
+  const at = new Date(now).toISOString();
+  const hoursSince = iso => Math.round((Date.parse(iso) - Date.parse(tracked.openedAt)) / HOUR * 10) / 10;
+  const close = (outcome, decidedAt) => ({ ...tracked, status: 'closed', outcome, closedAt: at, hoursToOutcome: hoursSince(decidedAt) });
+  const [target1, target2] = tracked.targets;
+  
+  if (long ? price <= tracked.stop : price >= tracked.stop) {
+    return tracked.target1At ? close('target1', tracked.target1At) : close('invalidated', at);
+  }
+  if (target2 !== undefined && reached(target2)) return close('target2', at);
+  if (!tracked.target1At && reached(target1)) {
+    if (target2 === undefined) return close('target1', at);
+    return { ...tracked, status: 'target1', target1At: at };
+  }
+  if (now >= Date.parse(tracked.expiresAt)) {
+    return tracked.target1At ? close('target1', tracked.target1At) : close('expired', at);
+  }
+  return tracked;
+}
+
+// Follow the running plans with the current prices, then record the plans published by this run
+function recordPlans(state, assets, now) {
+  const priceOf = asset => assets[asset]?.priceData?.current;
+  const plans = state.plans.map(p => followPlan(p, priceOf(p.asset), now));
+  
+  const added = [];
+  for (const [asset, a] of Object.entries(assets)) {
+    if (!a?.tradingPlan || typeof priceOf(asset) !== 'number') continue;
+    const key = planKey(asset, a.tradingPlan);
+    if (!key || plans.some(p => !p.outcome && p.key === key)) continue;
+    added.push(openPlan(asset, a.tradingPlan, priceOf(asset), now));
+  }
+  
+  return { plans: added.concat(plans).slice(0, MAX_PLANS), added };
+}
+
+// ============ SUMMARY ============
+
+const WINS = ['target1', 'target2'];
+
+// Counts and win rate of a group of plans. Win rate = targets hit / (targets hit + invalidated), expired plans aside.
+function tally(plans) {
+  const count = outcome => plans.filter(p => p.outcome === outcome).length;
+  const wins = count('target1') + count('target2');
+  const decided = plans.filter(p => p.outcome && p.outcome !== 'expired');
+  return {
+    plans: plans.length,
+    open: plans.filter(p => !p.outcome).length,
+    target1: count('target1'),
+    target2: count('target2'),
+    invalidated: count('invalidated'),
+    expired: count('expired'),
+    winRate: decided.length > 0 ? Math.round(wins / decided.length * 100) : null,
+    avgHoursToOutcome: decided.length > 0 ? Math.round(decided.reduce((s, p) => s + p.hoursToOutcome, 0) / decided.length * 10) / 10 : null
+  };
+}
+
+// data.json summary: overall, per bias and strength, and the latest plans
+function summarize(plans) {
+  const groups = [];
+  for (const p of plans) {
+    if (!groups.some(g => g.bias === p.bias && g.strength === p.strength)) groups.push({ bias: p.bias, strength: p.strength });
+  }
+  
+  return {
+    since: plans.length > 0 ? plans[plans.length - 1].openedAt : null,
+    ...tally(plans),
+    groups: groups.map(g => ({ ...g, ...tally(plans.filter(p => p.bias === g.bias && p.strength === g.strength)) })),
+    recent: plans.slice(0, RECENT_PLANS).map(p => ({
+      asset: p.asset,
+      bias: p.bias,
+      strength: p.strength,
+      direction: p.direction,
+      openedAt: p.openedAt,
+      entry: p.entry,
+      stop: p.stop,
+      targets: p.targets,
+      status: p.status,
+      outcome: p.outcome,
+      hoursToOutcome: p.hoursToOutcome,
+      won: p.outcome ? WINS.includes(p.outcome) : null
+    }))
+  };
+}
+
+/**
+ * Load, update and save the scorecard for one run
+ * @param {Object} assets - data.json assets ({ BTC: { priceData, tradingPlan }, ... })
+ * @returns {{ summary: Object, added: Array, closed: Array }} trackRecord for data.json and what changed in this run
+ */
+function updateScorecard(assets, now = http.now(), file = http.statePath(STATE_FILE)) {
+  const state = loadState(file);
+  const { plans, added } = recordPlans(state, assets, now);
+  const closed = plans.filter(p => p.outcome && !state.plans.some(o => o.id === p.id && o.outcome));
+  writeFileAtomic(file, JSON.stringify({ plans }, null, 2));
+  return { summary: summarize(plans), added, closed };
+}
+
+module.exports = {
+  HORIZON_HOURS,
+  planKey,
+  openPlan,
+  followPlan,
+  recordPlans,
+  summarize,
+  updateScorecard
+};
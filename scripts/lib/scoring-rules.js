@@ -0,0 +1,265 @@
+/**
+ * MAMOS DASHBOARD - Scoring Rules
+ * Loads the declarative rules used by generateAnalysis() / generateTradingPlan()
+ * from config/scoring-rules.json, resolves named profiles and evaluates them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const i18n = require('./i18n');
+
+const RULES_PATH = process.env.SCORING_RULES || path.join(__dirname, '..', '..', 'config', 'scoring-rules.json');
+
+const OPERATORS = {
+  lt: (v, x) => v < x,
+  lte: (v, x) => v <= x,
+  gt: (v, x) => v > x,
+  gte: (v, x) => v >= x,
+  eq: (v, x) => v === x,
+  ne: (v, x) => v !== x,
+  in: (v, x) => x.includes(v)
+};
+
+const SIGNAL_TYPES = ['bullish', 'bearish'];
+const PROFILE_KEYS = ['extends', 'description', 'rules', 'weights', 'labels', 'plan'];
+
+let cache = null;
+
+// Read "a.b.c" from an object
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((o, key) => (o === null || o === undefined ? undefined : o[key]), obj);
+}
+
+// ============ VALIDATION ============
+
+function validateScoreTiers(tiers, where, extraKeys, errors) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    errors.push(`${where}: must be a non-empty array`);
+    return;
+  }
+  tiers.forEach((tier, i) => {
+    for (const key of ['minScore', 'maxScore']) {
+      if (tier[key] !== undefined && typeof tier[key] !== 'number') errors.push(`${where}[${i}].${key}: must be a number`);
+    }
+    for (const key of extraKeys) {
+      if (typeof tier[key] !== 'string') errors.push(`${where}[${i}].${key}: required string`);
+    }
+  });
+  const last = tiers[tiers.length - 1];
+  if (last.minScore !== undefined || last.maxScore !== undefined) {
+    errors.push(`${where}: last entry must have no minScore/maxScore (catch-all)`);
+  }
+}
+
+function validateCondition(condition, where, errors) {
+  if (!condition || typeof condition !== 'object' || Object.keys(condition).length === 0) {
+    errors.push(`${where}: must be an object of { "field.path": { operator: value } }`);
+    return;
+  }
+  for (const [field, predicate] of Object.entries(condition)) {
+    if (!predicate || typeof predicate !== 'object' || Object.keys(predicate).length === 0) {
+      errors.push(`${where}."${field}": must be an object like { "lte": 15 }`);
+      continue;
+    }
+    for (const [op, operand] of Object.entries(predicate)) {
+      if (!OPERATORS[op]) {
+        errors.push(`${where}."${field}": unknown operator "${op}" (expected ${Object.keys(OPERATORS).join(', ')})`);
+      } else if (op === 'in' && !Array.isArray(operand)) {
+        errors.push(`${where}."${field}".in: must be an array`);
+      }
+    }
+  }
+}
+
+function validateRule(rule, where, errors) {
+  if (typeof rule.id !== 'string' || !rule.id) errors.push(`${where}.id: required string`);
+  if (rule.disabled) return;
+  if (rule.requires !== undefined && typeof rule.requires !== 'string') errors.push(`${where}.requires: must be a field path string`);
+  if (rule.defaults !== undefined && (typeof rule.defaults !== 'object' || Array.isArray(rule.defaults))) {
+    errors.push(`${where}.defaults: must be an object`);
+  }
+  if (!Array.isArray(rule.cases) || rule.cases.length === 0) {
+    errors.push(`${where}.cases: must be a non-empty array`);
+    return;
+  }
+  rule.cases.forEach((c, i) => {
+    const caseWhere = `${where}.cases[${i}]`;
+    if (!c.when && !c.any) errors.push(`${caseWhere}: needs "when" or "any"`);
+    if (c.when) validateCondition(c.when, `${caseWhere}.when`, errors);
+    if (c.any) {
+      if (!Array.isArray(c.any) || c.any.length === 0) errors.push(`${caseWhere}.any: must be a non-empty array`);
+      else c.any.forEach((cond, j) => validateCondition(cond, `${caseWhere}.any[${j}]`, errors));
+    }
+    if (!SIGNAL_TYPES.includes(c.type)) errors.push(`${caseWhere}.type: must be one of ${SIGNAL_TYPES.join(', ')}`);
+    if (typeof c.weight !== 'number' || c.weight < 0) errors.push(`${caseWhere}.weight: must be a positive number`);
+    if (typeof c.reason !== 'string' || !c.reason) errors.push(`${caseWhere}.reason: required string`);
+  });
+}
+
+// Validate a fully resolved profile
+function validateProfile(name, profile, errors) {
+  const where = `profiles.${name}`;
+  if (!Array.isArray(profile.rules)) errors.push(`${where}.rules: must be an array`);
+  else profile.rules.forEach((rule, i) => validateRule(rule, `${where}.rules[${i}]`, errors));
+  
+  for (const [id, factor] of Object.entries(profile.weights || {})) {
+    if (typeof factor !== 'number' || factor < 0) errors.push(`${where}.weights.${id}: must be a positive number`);
+    else if (Array.isArray(profile.rules) && !profile.rules.some(r => r.id === id)) {
+      errors.push(`${where}.weights.${id}: no rule with this id`);
+    }
+  }
+  
+  validateScoreTiers(profile.labels, `${where}.labels`, ['signal', 'label', 'emoji'], errors);
+  
+  const plan = profile.plan || {};
+  if (typeof plan.cotOverrides !== 'boolean') errors.push(`${where}.plan.cotOverrides: must be true or false`);
+  if (typeof plan.squeezeMinScore !== 'number') errors.push(`${where}.plan.squeezeMinScore: must be a number`);
+  validateScoreTiers(plan.bias, `${where}.plan.bias`, ['direction', 'emoji', 'strength', 'level'], errors);
+}
+
+// ============ PROFILES ============
+
+// Merge a child profile over its parent: rules replaced by id, weights/plan merged, labels replaced
+function mergeProfile(parent, child) {
+  const rules = parent.rules.map(rule => (child.rules || []).find(r => r.id === rule.id) || rule);
+  for (const rule of child.rules || []) {
+    if (!rules.some(r => r.id === rule.id)) rules.push(rule);
+  }
+  return {
+    description: child.description || parent.description,
+    rules: rules.filter(r => !r.disabled),
+    weights: { ...parent.weights, ...child.weights },
+    labels: child.labels || parent.labels,
+    plan: { ...parent.plan, ...child.plan }
+  };
+}
+
+function resolveProfile(profiles, name, seen = []) {
+  const raw = profiles[name];
+  if (seen.includes(name)) throw new Error(`profiles.${name}: circular "extends" (${seen.concat(name).join(' → ')})`);
+  if (!raw.extends) {
+    return { description: raw.description, rules: (raw.rules || []).filter(r => !r.disabled), weights: raw.weights || {}, labels: raw.labels, plan: raw.plan };
+  }
+  if (!profiles[raw.extends]) throw new Error(`profiles.${name}.extends: unknown profile "${raw.extends}"`);
+  return mergeProfile(resolveProfile(profiles, raw.extends, seen.concat(name)), raw);
+}
+
+// Load, resolve and validate every profile (throws with the full list of problems)
+function loadRules(file = RULES_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid scoring rules (${file}): ${e.message}`);
+  }
+  
+  if (!config.profiles || typeof config.profiles !== 'object' || Object.keys(config.profiles).length === 0) {
+    throw new Error(`Invalid scoring rules (${file}): "profiles" must contain at least one profile`);
+  }
+  
+  const errors = [];
+  const profiles = {};
+  for (const name of Object.keys(config.profiles)) {
+    const unknown = Object.keys(config.profiles[name]).filter(k => !PROFILE_KEYS.includes(k));
+    if (unknown.length > 0) errors.push(`profiles.${name}: unknown key(s) ${unknown.join(', ')} (expected ${PROFILE_KEYS.join(', ')})`);
+    try {
+      const profile = resolveProfile(config.profiles, name);
+      validateProfile(name, profile, errors);
+      profiles[name] = { name, ...profile };
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+  
+  const defaultProfile = config.defaultProfile || Object.keys(profiles)[0];
+  if (!profiles[defaultProfile]) errors.push(`defaultProfile: unknown profile "${defaultProfile}"`);
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid scoring rules (${file}):\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  return { defaultProfile, profiles };
+}
+
+function getRules() {
+  if (!cache) cache = loadRules();
+  return cache;
+}
+
+// Profile by name (defaults to SCORING_PROFILE env, then the file's defaultProfile)
+function getProfile(name) {
+  const rules = getRules();
+  const wanted = name || process.env.SCORING_PROFILE || rules.defaultProfile;
+  if (!rules.profiles[wanted]) {
+    throw new Error(`Unknown scoring profile "${wanted}" (available: ${Object.keys(rules.profiles).join(', ')})`);
+  }
+  return rules.profiles[wanted];
+}
+
+function listProfiles() {
+  return Object.keys(getRules().profiles);
+}
+
+// ============ EVALUATION ============
+
+function matchesCondition(condition, data, defaults) {
+  return Object.entries(condition).every(([field, predicate]) => {
+    let value = getPath(data, field);
+    if (value === undefined || value === null) value = defaults[field];
+    if (value === undefined || value === null) return false;
+    
+    return Object.entries(predicate).every(([op, operand]) => {
+      // Numeric strings ("0.95", "-0.0035") compare as numbers
+      const v = typeof operand === 'number' && typeof value === 'string' ? parseFloat(value) : value;
+      if (typeof operand === 'number' && isNaN(v)) return false;
+      return OPERATORS[op](v, operand);
+    });
+  });
+}
+
+// Values of the "{field}" placeholders of a reason (missing = null, shown as "?")
+function reasonParams(template, data) {
+  const fields = [...template.matchAll(/\{([\w.]+)\}/g)].map(m => m[1]);
+  if (fields.length === 0) return undefined;
+  return Object.fromEntries(fields.map(field => [field, getPath(data, field) ?? null]));
+}
+
+// Run every rule group (first matching case wins in each group)
+function evaluateRules(profile, data) {
+  const signals = [];
+  let bullScore = 0, bearScore = 0;
+  
+  for (const rule of profile.rules) {
+    if (rule.requires && !getPath(data, rule.requires)) continue;
+    const defaults = rule.defaults || {};
+    const match = rule.cases.find(c =>
+      (!c.when || matchesCondition(c.when, data, defaults)) &&
+      (!c.any || c.any.some(cond => matchesCondition(cond, data, defaults)))
+    );
+    if (!match) continue;
+    
+    const factor = profile.weights[rule.id] ?? 1;
+    const weight = Math.round(match.weight * factor * 10) / 10;
+    if (weight === 0) continue;
+    
+    signals.push({ type: match.type, weight, ...i18n.texts({ reason: i18n.source(match.reason, reasonParams(match.reason, data)) }) });
+    if (match.type === 'bullish') bullScore += weight;
+    else bearScore += weight;
+  }
+  
+  return {
+    signals,
+    bullScore: Math.round(bullScore * 10) / 10,
+    bearScore: Math.round(bearScore * 10) / 10
+  };
+}
+
+// First tier whose minScore/maxScore matches the score
+function pickTier(tiers, score) {
+  return tiers.find(t =>
+    (t.minScore === undefined || score >= t.minScore) &&
+    (t.maxScore === undefined || score <= t.maxScore)
+  );
+}
+
+module.exports = { loadRules, getProfile, listProfiles, evaluateRules, pickTier };
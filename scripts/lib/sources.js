@@ -0,0 +1,135 @@
+/**
+ * MAMOS DASHBOARD - Source Registry
+ * Every upstream fetcher is declared once (upstream, TTL, timeout, fallback chain)
+ * and each run reports per-source health for the "sources" block of data.json
+ */
+
+const fs = require('fs');
+const http = require('./http');
+const { writeFileAtomic } = require('./atomic');
+
+const CACHE_FILE = '.sources-cache.json';
+
+const DEFAULT_TIMEOUT = 20000;
+const DEFAULT_MAX_STALE = 24 * 60 * 60 * 1000;
+
+const registry = new Map();
+
+// def: { name, upstream, fetch, ttl?, timeout?, maxStale?, fallbacks?: [{ name, upstream, fetch, static? }] }
+function register(def) {
+  if (!def.name || typeof def.fetch !== 'function') throw new Error('Source needs a name and a fetch function');
+  if (registry.has(def.name)) throw new Error(`Source "${def.name}" is already registered`);
+  registry.set(def.name, {
+    ttl: 0,
+    timeout: DEFAULT_TIMEOUT,
+    maxStale: DEFAULT_MAX_STALE,
+    fallbacks: [],
+    ...def
+  });
+}
+
+function list() {
+  return Array.from(registry.values());
+}
+
+function loadCache() {
+  try {
+    const file = http.statePath(CACHE_FILE);
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {}
+  return {};
+}
+
+function saveCache(cache) {
+  try {
+    writeFileAtomic(http.statePath(CACHE_FILE), JSON.stringify(cache));
+  } catch (e) {
+    console.error('Sources cache error:', e.message);
+  }
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label}: timeout after ${ms}ms`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Run one source through its chain: TTL cache → primary → fallbacks → last known value
+async function runSource(def, cache) {
+  const started = http.now();
+  const previous = cache[def.name];
+  const report = (status, extra) => ({
+    status,
+    upstream: def.upstream,
+    latencyMs: http.now() - started,
+    error: null,
+    lastSuccess: previous?.lastSuccess ? new Date(previous.lastSuccess).toISOString() : null,
+    ...extra
+  });
+  
+  if (def.ttl > 0 && previous?.lastSuccess && http.now() - previous.lastSuccess < def.ttl) {
+    return { value: previous.value, report: report('cached') };
+  }
+  
+  const chain = [{ name: 'primary', upstream: def.upstream, fetch: def.fetch }].concat(def.fallbacks);
+  const errors = [];
+  
+  for (const [i, step] of chain.entries()) {
+    try {
+      const value = await withTimeout(Promise.resolve().then(() => step.fetch()), def.timeout, step.upstream || def.upstream);
+      if (value === null || value === undefined) throw new Error(`${step.upstream || def.upstream}: empty response`);
+      
+      // Fetchers can flag their own stale data (e.g. ETF cache served when CoinGlass is down)
+      if (value.stale) {
+        return { value, report: report('stale', { upstream: step.upstream || def.upstream, error: errors[0] || value.error || 'stale data' }) };
+      }
+      
+      // Static fallbacks are placeholders, never remembered as a success
+      const extra = { upstream: step.upstream || def.upstream, error: errors[0] || null };
+      if (!step.static) {
+        cache[def.name] = { lastSuccess: http.now(), value };
+        extra.lastSuccess = new Date(http.now()).toISOString();
+      }
+      if (i === 0) return { value, report: report('ok', extra) };
+      return { value, report: report('fallback', { ...extra, via: step.name }) };
+    } catch (e) {
+      console.error(`${def.name} (${step.name}) error:`, e.message);
+      errors.push(e.message);
+    }
+  }
+  
+  // Everything failed: serve the last successful value if it is not too old, flagged as stale
+  if (previous?.value && http.now() - previous.lastSuccess < def.maxStale) {
+    console.log(`${def.name}: serving last known value from ${new Date(previous.lastSuccess).toISOString()}`);
+    const value = typeof previous.value === 'object' ? { ...previous.value, stale: true } : previous.value;
+    return { value, report: report('stale', { error: errors[0] }) };
+  }
+  
+  return { value: null, report: report('error', { error: errors[0] }) };
+}
+
+// Run a batch of sources in parallel → { values: { name: value }, reports: { name: report } }
+async function run(names) {
+  const cache = loadCache();
+  const defs = names.map(name => {
+    const def = registry.get(name);
+    if (!def) throw new Error(`Unknown source "${name}"`);
+    return def;
+  });
+  
+  const results = await Promise.all(defs.map(def => runSource(def, cache)));
+  saveCache(cache);
+  
+  const values = {}, reports = {};
+  defs.forEach((def, i) => {
+    values[def.name] = results[i].value;
+    reports[def.name] = results[i].report;
+  });
+  return { values, reports };
+}
+
+module.exports = { register, list, run };
@@ -0,0 +1,45 @@
+/**
+ * MAMOS DASHBOARD - Minimal ZIP reader
+ * Enough to read the CFTC yearly archives (stored or deflated entries)
+ */
+
+const zlib = require('zlib');
+
+// Returns [{ name, data: Buffer }] for every file in the archive
+function unzip(buffer) {
+  // End of central directory record is in the last 64KB + 22 bytes
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a zip archive');
+  
+  const entries = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const files = [];
+  
+  for (let n = 0; n < entries; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    
+    // Local header has its own name/extra lengths
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    
+    if (method === 0) files.push({ name, data: raw });
+    else if (method === 8) files.push({ name, data: zlib.inflateRawSync(raw) });
+    else throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  
+  return files;
+}
+
+module.exports = { unzip };
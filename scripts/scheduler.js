@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * MAMOS DASHBOARD - Scheduler
+ * One long-running process owning the cadence of every job (replaces the crontab)
+ *
+ *   node scripts/scheduler.js             run the daemon
+ *   node scripts/scheduler.js run <job>   run one job now (skipped if it is already running)
+ *   node scripts/scheduler.js list        jobs with their last and next run
+ *
+ * Jobs run one process each (node <script>) under a lock file,
+ * and never overlap with themselves. Their outputs are written atomically (lib/atomic).
+ */
+
+const path = require('path');
+const scheduler = require('./lib/scheduler');
+
+// Seconds between two checks of the daemon
+const TICK_MS = 30 * 1000;
+
+const JOBS = {
+  data: {
+    script: path.join(__dirname, 'update-data.js'),
+    schedule: scheduler.every(15),
+    timeoutMinutes: 10
+  },
+  // Only articles never analyzed go to the model (lib/article-store), the others are free
+  news: {
+    script: path.join(__dirname, 'update-news.js'),
+    schedule: scheduler.every(15),
+    timeoutMinutes: 10
+  },
+  // Farside publishes the flows after the US close, sometimes late: retried hourly
+  etf: {
+    script: path.join(__dirname, 'scrape-etf.js'),
+    schedule: scheduler.usTradingDays,
+    timeoutMinutes: 5,
+    retries: 3,
+    retryMinutes: 60
+  }
+};
+
+function list() {
+  const state = scheduler.loadState();
+  const now = Date.now();
+  for (const [name, job] of Object.entries(JOBS)) {
+    const run = state.jobs[name] || {};
+    const last = run.lastStart ? `${new Date(run.lastStart).toISOString()} (${run.lastStatus})` : 'never';
+    console.log(`${name.padEnd(5)} ${job.schedule.describe.padEnd(30)} last: ${last.padEnd(36)} next: ${new Date(scheduler.isDue(job, run, now) ? now : job.schedule.next(now)).toISOString()}`);
+  }
+}
+
+function daemon() {
+  const running = new Set();
+  
+  const tick = () => {
+    const state = scheduler.loadState();
+    for (const [name, job] of Object.entries(JOBS)) {
+      if (running.has(name) || !scheduler.isDue(job, state.jobs[name])) continue;
+      running.add(name);
+      scheduler.runJob(name, job).finally(() => running.delete(name));
+    }
+  };
+  
+  console.log(`⏰ Scheduler started (pid ${process.pid}): ${Object.keys(JOBS).join(', ')}`);
+  list();
+  tick();
+  const timer = setInterval(tick, TICK_MS);
+  
+  // Stop scheduling; running jobs finish (or hit their timeout) before the process exits
+  const stop = signal => {
+    console.log(`🛑 ${signal}: no new job${running.size ? `, waiting for ${Array.from(running).join(', ')}` : ''}`);
+    clearInterval(timer);
+  };
+  process.once('SIGINT', () => stop('SIGINT'));
+  process.once('SIGTERM', () => stop('SIGTERM'));
+}
+
+async function main() {
+  const [command = 'start', name] = process.argv.slice(2);
+  
+  if (command === 'start') return daemon();
+  if (command === 'list') return list();
+  if (command === 'run') {
+    if (!JOBS[name]) throw new Error(`Unknown job "${name}" (expected ${Object.keys(JOBS).join(', ')})`);
+    const { status } = await scheduler.runJob(name, JOBS[name]);
+    process.exitCode = status === 'ok' ? 0 : 1;
+    return;
+  }
+  throw new Error(`Unknown command "${command}" (expected start, run <job>, list)`);
+}
+
+if (require.main === module) {
+  main().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
+}
+
+module.exports = { JOBS };
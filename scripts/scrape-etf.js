@@ -1,15 +1,15 @@
 #!/usr/bin/env node
 /**
  * ETF FLOWS SCRAPER - Farside.co.uk
- * Runs daily after US market close (22:00 UTC / 06:00 WITA)
+ * Run by the scheduler after the US close (22:00 UTC / 06:00 WITA on NYSE trading days)
  * Bypasses Cloudflare with real browser
  */
 
-const puppeteer = require('puppeteer');
 const fs = require('fs');
-const path = require('path');
+const http = require('./lib/http');
+const { writeFileAtomic } = require('./lib/atomic');
 
-const CACHE_PATH = path.join(__dirname, '..', '.etf-cache.json');
+const CACHE_PATH = http.statePath('.etf-cache.json');
 const URL = 'https://farside.co.uk/?p=997';
 
 // Parse Farside number format: (xxx) = negative, xxx = positive
@@ -22,16 +22,77 @@ function parseNumber(text) {
   return isNegative ? -value : value;
 }
 
-async function scrapeETFFlows() {
-  console.log('🚀 Starting ETF scraper...');
+// Find main ETF table (contains IBIT, FBTC and date rows)
+function findETFTable(tables) {
+  const months = /\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\b/;
+  return tables.find(rows => {
+    const text = rows.map(cells => cells.join(' ')).join('\n');
+    return text.includes('IBIT') && text.includes('FBTC') && months.test(text);
+  }) || null;
+}
+
+// Daily rows of the ETF table: [{ date, totalRaw }], oldest first
+function extractDailyFlows(rows) {
+  const dailyData = [];
   
-  let browser;
-  try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
-    });
+  // Process each row looking for date rows
+  for (const cells of rows) {
+    if (cells.length < 3) continue;
+    
+    const firstCell = cells[0] || '';
     
+    // Check if this is a date row (format: "27 Jan 2026" or "14 Feb 2026")
+    const dateMatch = firstCell.match(/(\d{1,2})\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d{4})/i);
+    
+    if (dateMatch) {
+      // Get the last cell (Total column)
+      dailyData.push({
+        date: firstCell,
+        totalRaw: cells[cells.length - 1] || '0'
+      });
+    }
+  }
+  
+  return dailyData;
+}
+
+// Cache entry from the daily rows (data is chronological, most recent at bottom)
+function summarizeFlows(data, now = http.now()) {
+  const parsedData = data.map(d => ({
+    date: d.date,
+    total: parseNumber(d.totalRaw)
+  }));
+  
+  const recentDays = parsedData.slice(-10);
+  const latestDay = recentDays[recentDays.length - 1];
+  const last5Days = recentDays.slice(-5);
+  const weeklyTotal = last5Days.reduce((sum, d) => sum + d.total, 0);
+  
+  return {
+    fetchDate: new Date(now).toISOString().split('T')[0],
+    fetchTime: new Date(now).toISOString(),
+    data: {
+      date: latestDay.date,
+      daily: Math.round(latestDay.total * 10) / 10,
+      weekly: Math.round(weeklyTotal * 10) / 10,
+      dailyHistory: last5Days.map(d => ({ date: d.date, flow: Math.round(d.total * 10) / 10 })),
+      trend: latestDay.total > 0 ? 'positive_daily' : 'negative_daily',
+      source: 'farside'
+    }
+  };
+}
+
+// Load the Farside page in a real browser → tables as rows of cell texts
+async function loadFarsideTables() {
+  // Only needed for live scraping (replay serves the recorded rows)
+  const puppeteer = require('puppeteer');
+  
+  const browser = await puppeteer.launch({
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+  });
+  
+  try {
     const page = await browser.newPage();
     await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
     
@@ -41,85 +102,40 @@ async function scrapeETFFlows() {
     
     console.log('🔍 Extracting data...');
     
-    const data = await page.evaluate(() => {
-      const tables = document.querySelectorAll('table');
-      let etfTable = null;
-      
-      // Find main ETF table (contains IBIT and date rows)
-      for (const table of tables) {
-        const text = table.innerText;
-        if (text.includes('IBIT') && text.includes('FBTC') && text.includes('Jan') || text.includes('Feb')) {
-          etfTable = table;
-          break;
-        }
-      }
-      
-      if (!etfTable) return null;
-      
-      const rows = Array.from(etfTable.querySelectorAll('tr'));
-      const dailyData = [];
-      
-      // Process each row looking for date rows
-      for (const row of rows) {
-        const cells = Array.from(row.querySelectorAll('td, th'));
-        if (cells.length < 3) continue;
-        
-        const firstCell = cells[0]?.innerText?.trim() || '';
-        
-        // Check if this is a date row (format: "27 Jan 2026" or "14 Feb 2026")
-        const dateMatch = firstCell.match(/(\d{1,2})\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d{4})/i);
-        
-        if (dateMatch) {
-          // Get the last cell (Total column)
-          const totalCell = cells[cells.length - 1]?.innerText?.trim() || '0';
-          
-          dailyData.push({
-            date: firstCell,
-            totalRaw: totalCell
-          });
-        }
-      }
-      
-      return dailyData;
-    });
+    // Plain cell texts, parsed on the Node side (findETFTable / extractDailyFlows)
+    return await page.evaluate(() => Array.from(document.querySelectorAll('table')).map(table =>
+      Array.from(table.querySelectorAll('tr')).map(row =>
+        Array.from(row.querySelectorAll('td, th')).map(cell => cell.innerText?.trim() || '')
+      )
+    ));
+  } finally {
+    await browser.close();
+  }
+}
+
+async function scrapeETFFlows() {
+  console.log('🚀 Starting ETF scraper...');
+  
+  try {
+    const tables = await http.capture(`farside ${URL}`, loadFarsideTables);
+    const etfTable = findETFTable(tables || []);
+    const data = etfTable ? extractDailyFlows(etfTable) : [];
     
-    if (!data || data.length === 0) {
+    if (data.length === 0) {
       throw new Error('Could not parse ETF table');
     }
     
-    // Parse the extracted data
-    const parsedData = data.map(d => ({
-      date: d.date,
-      total: parseNumber(d.totalRaw)
-    }));
-    
-    // Get most recent days (data is chronological, most recent at bottom)
-    const recentDays = parsedData.slice(-10);
-    const latestDay = recentDays[recentDays.length - 1];
-    const last5Days = recentDays.slice(-5);
-    const weeklyTotal = last5Days.reduce((sum, d) => sum + d.total, 0);
+    const result = summarizeFlows(data);
+    const { daily, weekly, dailyHistory } = result.data;
     
     console.log('📊 Recent daily flows (oldest to newest):');
-    last5Days.forEach(d => console.log(`   ${d.date}: ${d.total > 0 ? '+' : ''}${d.total.toFixed(1)}M`));
-    
-    const result = {
-      fetchDate: new Date().toISOString().split('T')[0],
-      fetchTime: new Date().toISOString(),
-      data: {
-        date: latestDay.date,
-        daily: Math.round(latestDay.total * 10) / 10,
-        weekly: Math.round(weeklyTotal * 10) / 10,
-        dailyHistory: last5Days.map(d => ({ date: d.date, flow: Math.round(d.total * 10) / 10 })),
-        trend: latestDay.total > 0 ? 'positive_daily' : 'negative_daily',
-        source: 'farside'
-      }
-    };
+    dailyHistory.forEach(d => console.log(`   ${d.date}: ${d.flow > 0 ? '+' : ''}${d.flow.toFixed(1)}M`));
     
     // Save to cache
-    fs.writeFileSync(CACHE_PATH, JSON.stringify(result, null, 2));
+    writeFileAtomic(CACHE_PATH, JSON.stringify(result, null, 2));
     console.log('✅ ETF data saved!');
-    console.log(`   Latest: ${latestDay.date} → ${latestDay.total > 0 ? '+' : ''}${latestDay.total.toFixed(1)}M`);
-    console.log(`   Weekly (5d): ${weeklyTotal > 0 ? '+' : ''}${weeklyTotal.toFixed(1)}M`);
+    console.log(`   Latest: ${result.data.date} → ${daily > 0 ? '+' : ''}${daily.toFixed(1)}M`);
+    console.log(`   Weekly (5d): ${weekly > 0 ? '+' : ''}${weekly.toFixed(1)}M`);
     
     return result;
     
@@ -132,8 +148,6 @@ async function scrapeETFFlows() {
     }
     
     throw error;
-  } finally {
-    if (browser) await browser.close();
   }
 }
 
@@ -143,4 +157,4 @@ if (require.main === module) {
     .catch(() => process.exit(1));
 }
 
-module.exports = { scrapeETFFlows };
+module.exports = { parseNumber, findETFTable, extractDailyFlows, summarizeFlows, scrapeETFFlows };
@@ -5,461 +5,473 @@
  * Runs every 15 minutes via cron
  */
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const http = require('./lib/http');
+const history = require('./lib/history');
+const scoringRules = require('./lib/scoring-rules');
+const sources = require('./lib/sources');
+const cftc = require('./lib/cot');
+const { unzip } = require('./lib/unzip');
+const levelsEngine = require('./lib/levels');
+const indicators = require('./lib/indicators');
+const alerts = require('./lib/alerts');
+const journal = require('./lib/journal');
+const scorecard = require('./lib/scorecard');
+const schema = require('./lib/schema');
+const calendar = require('./lib/calendar');
+const { writeFileAtomic } = require('./lib/atomic');
+const llm = require('./lib/llm');
+const i18n = require('./lib/i18n');
 
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const OUTPUT_PATH = path.join(__dirname, '..', 'data.json');
+const OUTPUT_PATH = path.join(process.env.OUTPUT_DIR || path.join(__dirname, '..'), 'data.json');
+const JOURNAL_PATH = path.join(path.dirname(OUTPUT_PATH), 'signals-history.json');
 
+// GET → parsed JSON (or raw text), recorded/replayed by lib/http
 function fetch(url, options = {}) {
-  return new Promise((resolve, reject) => {
-    const parsedUrl = new URL(url);
-    const req = https.request({
-      hostname: parsedUrl.hostname,
-      path: parsedUrl.pathname + parsedUrl.search,
-      method: 'GET',
-      headers: { 'User-Agent': 'MamosDashboard/2.0', ...options.headers }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try { resolve(JSON.parse(data)); } 
-        catch { resolve(data); }
-      });
-    });
-    req.on('error', reject);
-    req.setTimeout(15000, () => { req.destroy(); reject(new Error('Timeout')); });
-    req.end();
-  });
+  return http.getJSON(url, options);
 }
 
+// Error describing an unexpected upstream response (Binance { code, msg }, HTML error page...)
+function unexpected(response, upstream) {
+  const detail = response?.msg || response?.message || response?.error ||
+    (typeof response === 'string' ? response.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 100) : null);
+  return new Error(`${upstream}: ${detail || 'unexpected response'}`);
+}
+
+// ============ ASSETS ============
+
+// Assets with their own levels, derivatives and plan (assets section of data.json).
+// step: rounding of support/resistance levels, decimals: price precision, entryWidth: size of the entry zone
+const ASSETS = {
+  BTC: { key: 'BTC', symbol: 'BTCUSDT', hyperliquid: 'BTC', step: 100, decimals: 0, entryWidth: 1500 },
+  ETH: { key: 'ETH', symbol: 'ETHUSDT', hyperliquid: 'ETH', step: 10, decimals: 0, entryWidth: 60 },
+  SOL: { key: 'SOL', symbol: 'SOLUSDT', hyperliquid: 'SOL', step: 0.5, decimals: 2, entryWidth: 3 }
+};
+
 // ============ DATA FETCHERS ============
 
-// Fetch BTC Price + Key Levels for actionable analysis
-async function fetchPriceData() {
-  try {
-    const [ticker, klines] = await Promise.all([
-      fetch('https://api.binance.com/api/v3/ticker/24hr?symbol=BTCUSDT'),
-      fetch('https://api.binance.com/api/v3/klines?symbol=BTCUSDT&interval=1d&limit=14')
-    ]);
-    
-    const price = parseFloat(ticker.lastPrice);
-    const high24h = parseFloat(ticker.highPrice);
-    const low24h = parseFloat(ticker.lowPrice);
-    const change24h = parseFloat(ticker.priceChangePercent);
-    
-    // Calculate key levels from recent candles
-    const candles = klines.map(k => ({
-      open: parseFloat(k[1]),
-      high: parseFloat(k[2]),
-      low: parseFloat(k[3]),
-      close: parseFloat(k[4])
-    }));
-    
-    // Find significant levels
-    const allHighs = candles.map(c => c.high);
-    const allLows = candles.map(c => c.low);
-    const weekHigh = Math.max(...allHighs.slice(-7));
-    const weekLow = Math.min(...allLows.slice(-7));
-    const recentSwingLow = Math.min(...allLows.slice(-3));
-    const recentSwingHigh = Math.max(...allHighs.slice(-3));
-    
-    // Key support/resistance levels
-    const support1 = Math.round(low24h / 100) * 100; // Round to 100
-    const support2 = Math.round(recentSwingLow / 100) * 100;
-    const support3 = Math.round(weekLow / 100) * 100;
-    const resistance1 = Math.round(high24h / 100) * 100;
-    const resistance2 = Math.round(recentSwingHigh / 100) * 100;
-    const resistance3 = Math.round(weekHigh / 100) * 100;
-    
-    // Determine bias based on price position
-    const midRange = (weekHigh + weekLow) / 2;
-    const bias = price > midRange ? 'bullish' : 'bearish';
-    const pricePosition = price > resistance1 ? 'above_resistance' : 
-                          price < support1 ? 'below_support' : 'in_range';
-    
-    return {
-      current: Math.round(price),
-      high24h: Math.round(high24h),
-      low24h: Math.round(low24h),
-      change24h: change24h.toFixed(2),
-      weekHigh: Math.round(weekHigh),
-      weekLow: Math.round(weekLow),
-      supports: [support1, support2, support3].filter((v, i, a) => a.indexOf(v) === i).sort((a,b) => b-a).slice(0, 3),
-      resistances: [resistance1, resistance2, resistance3].filter((v, i, a) => a.indexOf(v) === i).sort((a,b) => a-b).slice(0, 3),
-      bias,
-      pricePosition
-    };
-  } catch (e) {
-    console.error('Price data error:', e.message);
-    return null;
-  }
+// Fetch Price + Key Levels for actionable analysis
+async function fetchPriceData(asset = ASSETS.BTC) {
+  const intervals = Object.entries(levelsEngine.TIMEFRAMES);
+  const [ticker, ...series] = await Promise.all([
+    fetch(`https://api.binance.com/api/v3/ticker/24hr?symbol=${asset.symbol}`),
+    ...intervals.map(([interval, tf]) => fetch(`https://api.binance.com/api/v3/klines?symbol=${asset.symbol}&interval=${interval}&limit=${tf.limit}`))
+  ]);
+  
+  if (!ticker?.lastPrice) throw unexpected(ticker, 'Binance ticker');
+  const klines = {};
+  intervals.forEach(([interval], i) => {
+    if (!Array.isArray(series[i])) throw unexpected(series[i], `Binance ${interval} klines`);
+    klines[interval] = series[i];
+  });
+  return computePriceLevels(ticker, klines, asset);
 }
 
-// Fetch Bitcoin Hashrate with proper trend analysis
-async function fetchHashrate() {
-  let hashrates = [];
-  let source = 'unknown';
+// Key levels from a 24h ticker + klines (Binance format), either { '4h', '1d', '1w' } or daily klines alone
+function computePriceLevels(ticker, klines, asset = ASSETS.BTC) {
+  const series = Array.isArray(klines) ? { '1d': klines } : klines;
+  const price = parseFloat(ticker.lastPrice);
+  const high24h = parseFloat(ticker.highPrice);
+  const low24h = parseFloat(ticker.lowPrice);
+  const change24h = parseFloat(ticker.priceChangePercent);
   
-  // Try mempool.space first
-  try {
-    const data = await fetch('https://mempool.space/api/v1/mining/hashrate/1w');
-    if (data?.hashrates && data.hashrates.length > 0) {
-      hashrates = data.hashrates.map(h => h.avgHashrate / 1e18); // Convert to EH/s
-      source = 'mempool';
-    }
-  } catch (e) {
-    console.log('Mempool hashrate failed, trying blockchain.info...');
-  }
+  const daily = levelsEngine.toCandles(series['1d']);
+  const weekHigh = Math.max(...daily.slice(-7).map(c => c.high));
+  const weekLow = Math.min(...daily.slice(-7).map(c => c.low));
   
-  // Fallback to blockchain.info
-  if (hashrates.length === 0) {
-    try {
-      const data = await fetch('https://api.blockchain.info/charts/hash-rate?timespan=1week&format=json');
-      if (data?.values && data.values.length > 0) {
-        // blockchain.info returns TH/s, convert to EH/s (divide by 1e6)
-        hashrates = data.values.map(v => v.y / 1e6);
-        source = 'blockchain.info';
-        console.log('Using blockchain.info for hashrate');
+  // Ranked levels from swing pivots, rounded to the asset step (100 for BTC)
+  const level = value => Number((Math.round(value / asset.step) * asset.step).toFixed(asset.decimals));
+  const rounded = value => Number(value.toFixed(asset.decimals));
+  const levels = levelsEngine.computeLevels(price, series, asset);
+  
+  // Not enough pivots (new high or low, short history): the 24h and period extremes complete each side
+  const complete = (ranked, extremes, isValid) => {
+    for (const [value, id] of extremes) {
+      if (ranked.length >= 2) break;
+      const candidate = level(value);
+      if (isValid(candidate) && !ranked.some(l => l.price === candidate)) {
+        ranked.push({ price: candidate, score: 0, touches: 0, timeframes: [], ...i18n.texts({ reason: i18n.message(id) }) });
       }
-    } catch (e) {
-      console.log('Blockchain.info hashrate also failed:', e.message);
     }
+  };
+  complete(levels.supports, [[low24h, 'data.level.low24h'], [Math.min(...daily.map(c => c.low)), 'data.level.lowPeriod']], v => v <= price);
+  complete(levels.resistances, [[high24h, 'data.level.high24h'], [Math.max(...daily.map(c => c.high)), 'data.level.highPeriod']], v => v >= price);
+  levels.supports.sort((a, b) => b.price - a.price);
+  levels.resistances.sort((a, b) => a.price - b.price);
+  
+  // Determine bias based on price position
+  const midRange = (weekHigh + weekLow) / 2;
+  const bias = price > midRange ? 'bullish' : 'bearish';
+  const pricePosition = price > level(high24h) ? 'above_resistance' : 
+                        price < level(low24h) ? 'below_support' : 'in_range';
+  
+  return {
+    asset: asset.key,
+    current: rounded(price),
+    high24h: rounded(high24h),
+    low24h: rounded(low24h),
+    change24h: change24h.toFixed(2),
+    weekHigh: rounded(weekHigh),
+    weekLow: rounded(weekLow),
+    supports: levels.supports.map(l => l.price),
+    resistances: levels.resistances.map(l => l.price),
+    levels,
+    indicators: indicators.computeIndicators(series['1d'], asset.decimals),
+    bias,
+    pricePosition
+  };
+}
+
+// Fetch Bitcoin Hashrate from mempool.space (1 week, EH/s)
+async function fetchHashrate() {
+  const data = await fetch('https://mempool.space/api/v1/mining/hashrate/1w');
+  if (data?.hashrates && data.hashrates.length > 0) {
+    return buildHashrate(data.hashrates.map(h => h.avgHashrate / 1e18)); // Convert to EH/s
   }
+  throw unexpected(data, 'mempool.space');
+}
+
+// Fallback to blockchain.info
+async function fetchHashrateBlockchainInfo() {
+  const data = await fetch('https://api.blockchain.info/charts/hash-rate?timespan=1week&format=json');
+  if (data?.values && data.values.length > 0) {
+    // blockchain.info returns TH/s, convert to EH/s (divide by 1e6)
+    return buildHashrate(data.values.map(v => v.y / 1e6));
+  }
+  throw unexpected(data, 'blockchain.info');
+}
+
+// Hashrate trend analysis from a series in EH/s (oldest first)
+function buildHashrate(hashrates) {
+  const current = hashrates[hashrates.length - 1];
+  const yesterday = hashrates[hashrates.length - 2] || current;
+  const weekAgo = hashrates[0];
+  const peak = Math.max(...hashrates);
   
-  try {
-    if (hashrates.length > 0) {
-      const current = hashrates[hashrates.length - 1];
-      const yesterday = hashrates[hashrates.length - 2] || current;
-      const weekAgo = hashrates[0];
-      const peak = Math.max(...hashrates);
-      
-      // Calculate trends
-      const changeFromPeak = ((current - peak) / peak * 100).toFixed(1);
-      const change7d = ((current - weekAgo) / weekAgo * 100).toFixed(1);
-      const change24h = ((current - yesterday) / yesterday * 100).toFixed(1);
-      
-      // Determine trend - prioritize SHORT-TERM over weekly
-      let trend, interpretation, signal;
-      
-      const isDropping = parseFloat(change24h) < -2 && parseFloat(changeFromPeak) < -5;
-      const isCrashing = parseFloat(changeFromPeak) < -15;
-      const isRising = parseFloat(change24h) > 2 && parseFloat(change7d) > 5;
-      
-      let priceImpact = '';
-      
-      if (isCrashing) {
-        trend = 'crashing';
-        interpretation = '🔴 Hashrate en chute libre (' + changeFromPeak + '% depuis le pic). Mineurs en grande difficulté.';
-        priceImpact = '⚠️ <strong>Impact prix :</strong> Les mineurs vendent du BTC pour payer leurs factures → pression vendeuse à court terme. MAIS historiquement, la capitulation des mineurs marque souvent un <strong>point bas</strong>. Si tu crois au long terme, c\'est potentiellement une opportunité.';
-        signal = 'bearish';
-      } else if (isDropping) {
-        trend = 'dropping';
-        interpretation = '📉 Hashrate en baisse (' + change24h + '% 24h, ' + changeFromPeak + '% depuis le pic). Les mineurs ralentissent.';
-        priceImpact = '🤔 <strong>Pourquoi ça baisse ?</strong> Soit les mineurs les moins rentables éteignent leurs machines (coûts > revenus), soit maintenance temporaire après le pic. <br><br>📊 <strong>Scénarios possibles :</strong><br>• Si le prix continue de baisser → plus de mineurs arrêtent → capitulation = souvent proche d\'un bottom<br>• Si le prix rebondit → hashrate repart → situation saine';
-        signal = 'neutral';
-      } else if (isRising) {
-        trend = 'rising';
-        interpretation = '🟢 Hashrate en hausse (+' + change24h + '% 24h). Mineurs confiants.';
-        priceImpact = '✅ <strong>Signal positif :</strong> Les mineurs investissent dans du matériel → ils croient que le BTC vaudra plus cher à l\'avenir. Réseau plus sécurisé = fondamentaux solides.';
-        signal = 'bullish';
-      } else if (parseFloat(change7d) > 0 && parseFloat(change24h) >= -2) {
-        trend = 'stable';
-        interpretation = '⚪ Hashrate stable. Légère consolidation après le pic.';
-        priceImpact = '😌 <strong>Neutre :</strong> Pas de signal particulier. Les mineurs maintiennent leur activité normale.';
-        signal = 'neutral';
-      } else {
-        trend = 'falling';
-        interpretation = '🟡 Hashrate en légère baisse. Pression sur certains mineurs.';
-        priceImpact = '👀 <strong>À surveiller :</strong> Baisse légère = ajustement normal. Si ça continue → surveiller une possible capitulation.';
-        signal = 'neutral';
-      }
-      
-      return {
-        current: current.toFixed(0),
-        unit: 'EH/s',
-        trend,
-        peak: peak.toFixed(0),
-        change24h: parseFloat(change24h),
-        change7d: parseFloat(change7d),
-        changeFromPeak: parseFloat(changeFromPeak),
-        interpretation,
-        priceImpact,
-        signal
-      };
-    }
-  } catch (e) {
-    console.error('Hashrate error:', e.message);
+  // Calculate trends
+  const changeFromPeak = ((current - peak) / peak * 100).toFixed(1);
+  const change7d = ((current - weekAgo) / weekAgo * 100).toFixed(1);
+  const change24h = ((current - yesterday) / yesterday * 100).toFixed(1);
+  
+  // Determine trend - prioritize SHORT-TERM over weekly
+  let trend, signal;
+  
+  const isDropping = parseFloat(change24h) < -2 && parseFloat(changeFromPeak) < -5;
+  const isCrashing = parseFloat(changeFromPeak) < -15;
+  const isRising = parseFloat(change24h) > 2 && parseFloat(change7d) > 5;
+  
+  if (isCrashing) {
+    trend = 'crashing';
+    signal = 'bearish';
+  } else if (isDropping) {
+    trend = 'dropping';
+    signal = 'neutral';
+  } else if (isRising) {
+    trend = 'rising';
+    signal = 'bullish';
+  } else if (parseFloat(change7d) > 0 && parseFloat(change24h) >= -2) {
+    trend = 'stable';
+    signal = 'neutral';
+  } else {
+    trend = 'falling';
+    signal = 'neutral';
   }
   
-  // Fallback
+  // Interpretation and price impact of each trend (locales/*.json)
+  const params = { change24h, change7d, changeFromPeak };
+  
   return {
-    current: '1000',
+    current: current.toFixed(0),
     unit: 'EH/s',
-    trend: 'unknown',
-    interpretation: '⚪ Données hashrate indisponibles',
-    signal: 'neutral'
+    trend,
+    peak: peak.toFixed(0),
+    change24h: parseFloat(change24h),
+    change7d: parseFloat(change7d),
+    changeFromPeak: parseFloat(changeFromPeak),
+    ...i18n.texts({
+      interpretation: i18n.message(`data.hashrate.interpretation.${trend}`, params),
+      priceImpact: i18n.message(`data.hashrate.priceImpact.${trend}`)
+    }),
+    signal
   };
 }
 
 // Fear & Greed with history
 async function fetchFearGreed() {
-  try {
-    const data = await fetch('https://api.alternative.me/fng/?limit=30');
-    if (data?.data) {
-      const values = data.data.map(d => ({ value: parseInt(d.value), date: d.timestamp }));
-      const current = values[0].value;
-      const yesterday = values[1]?.value || current;
-      const weekAgo = values[6]?.value || current;
-      const monthAgo = values[29]?.value || current;
-      
-      return {
-        current,
-        label: data.data[0].value_classification,
-        change24h: current - yesterday,
-        change7d: current - weekAgo,
-        change30d: current - monthAgo,
-        trend: current > weekAgo ? 'improving' : current < weekAgo ? 'worsening' : 'stable',
-        history7d: values.slice(0, 7).map(v => v.value)
-      };
-    }
-  } catch (e) { console.error('Fear & Greed error:', e.message); }
-  return null;
+  const data = await fetch('https://api.alternative.me/fng/?limit=30');
+  if (data?.data) return buildFearGreed(data.data);
+  throw unexpected(data, 'alternative.me');
+}
+
+// Summarize alternative.me entries (newest first)
+function buildFearGreed(entries) {
+  const values = entries.map(d => ({ value: parseInt(d.value), date: d.timestamp }));
+  const current = values[0].value;
+  const yesterday = values[1]?.value || current;
+  const weekAgo = values[6]?.value || current;
+  const monthAgo = values[29]?.value || current;
+  
+  return {
+    current,
+    label: entries[0].value_classification,
+    change24h: current - yesterday,
+    change7d: current - weekAgo,
+    change30d: current - monthAgo,
+    trend: current > weekAgo ? 'improving' : current < weekAgo ? 'worsening' : 'stable',
+    history7d: values.slice(0, 7).map(v => v.value)
+  };
 }
 
 // Long/Short Ratio (Top Traders + All Accounts)
-async function fetchLongShort() {
-  try {
-    const [topTraders, accounts, takerRatio] = await Promise.all([
-      fetch('https://fapi.binance.com/futures/data/topLongShortPositionRatio?symbol=BTCUSDT&period=5m&limit=48'),
-      fetch('https://fapi.binance.com/futures/data/globalLongShortAccountRatio?symbol=BTCUSDT&period=5m&limit=48'),
-      fetch('https://fapi.binance.com/futures/data/takerlongshortRatio?symbol=BTCUSDT&period=5m&limit=48')
-    ]);
+async function fetchLongShort(asset = ASSETS.BTC) {
+  const [topTraders, accounts, takerRatio] = await Promise.all([
+    fetch(`https://fapi.binance.com/futures/data/topLongShortPositionRatio?symbol=${asset.symbol}&period=5m&limit=48`),
+    fetch(`https://fapi.binance.com/futures/data/globalLongShortAccountRatio?symbol=${asset.symbol}&period=5m&limit=48`),
+    fetch(`https://fapi.binance.com/futures/data/takerlongshortRatio?symbol=${asset.symbol}&period=5m&limit=48`)
+  ]);
+  
+  if (Array.isArray(topTraders) && topTraders.length > 0) {
+    const latest = topTraders[0];
+    const h4Ago = topTraders[Math.min(47, topTraders.length - 1)];
     
-    if (Array.isArray(topTraders) && topTraders.length > 0) {
-      const latest = topTraders[0];
-      const h4Ago = topTraders[Math.min(47, topTraders.length - 1)];
-      
-      const longPct = (parseFloat(latest.longAccount) * 100).toFixed(1);
-      const shortPct = (parseFloat(latest.shortAccount) * 100).toFixed(1);
-      const ratio = parseFloat(latest.longShortRatio);
-      const ratioH4Ago = parseFloat(h4Ago.longShortRatio);
-      const trend = ratio > ratioH4Ago ? 'more_long' : ratio < ratioH4Ago ? 'more_short' : 'stable';
-      
-      // Taker buy/sell ratio
-      let takerBuySell = 1;
-      if (Array.isArray(takerRatio) && takerRatio.length > 0) {
-        takerBuySell = parseFloat(takerRatio[0].buySellRatio);
-      }
-      
-      return {
-        topTraders: { long: longPct, short: shortPct, ratio: ratio.toFixed(2) },
-        accounts: Array.isArray(accounts) ? {
-          long: (parseFloat(accounts[0].longAccount) * 100).toFixed(1),
-          short: (parseFloat(accounts[0].shortAccount) * 100).toFixed(1)
-        } : null,
-        takerBuySellRatio: takerBuySell.toFixed(2),
-        trend,
-        signal: parseFloat(shortPct) > 55 ? 'squeeze_possible' : parseFloat(longPct) > 55 ? 'dump_possible' : 'neutral'
-      };
+    const longPct = (parseFloat(latest.longAccount) * 100).toFixed(1);
+    const shortPct = (parseFloat(latest.shortAccount) * 100).toFixed(1);
+    const ratio = parseFloat(latest.longShortRatio);
+    const ratioH4Ago = parseFloat(h4Ago.longShortRatio);
+    const trend = ratio > ratioH4Ago ? 'more_long' : ratio < ratioH4Ago ? 'more_short' : 'stable';
+    
+    // Taker buy/sell ratio
+    let takerBuySell = 1;
+    if (Array.isArray(takerRatio) && takerRatio.length > 0) {
+      takerBuySell = parseFloat(takerRatio[0].buySellRatio);
     }
-  } catch (e) { console.error('Long/Short error:', e.message); }
-  return null;
+    
+    return {
+      topTraders: { long: longPct, short: shortPct, ratio: ratio.toFixed(2) },
+      accounts: Array.isArray(accounts) ? {
+        long: (parseFloat(accounts[0].longAccount) * 100).toFixed(1),
+        short: (parseFloat(accounts[0].shortAccount) * 100).toFixed(1)
+      } : null,
+      takerBuySellRatio: takerBuySell.toFixed(2),
+      trend,
+      signal: parseFloat(shortPct) > 55 ? 'squeeze_possible' : parseFloat(longPct) > 55 ? 'dump_possible' : 'neutral'
+    };
+  }
+  throw unexpected(topTraders, 'Binance topLongShortPositionRatio');
 }
 
-// Open Interest with change
-async function fetchOpenInterest() {
-  try {
-    const [oi, ticker, hist] = await Promise.all([
-      fetch('https://fapi.binance.com/fapi/v1/openInterest?symbol=BTCUSDT'),
-      fetch('https://api.binance.com/api/v3/ticker/price?symbol=BTCUSDT'),
-      fetch('https://fapi.binance.com/futures/data/openInterestHist?symbol=BTCUSDT&period=1h&limit=24')
-    ]);
+// Open Interest with change (contracts under the asset key: btc, eth, sol)
+async function fetchOpenInterest(asset = ASSETS.BTC) {
+  const [oi, ticker, hist] = await Promise.all([
+    fetch(`https://fapi.binance.com/fapi/v1/openInterest?symbol=${asset.symbol}`),
+    fetch(`https://api.binance.com/api/v3/ticker/price?symbol=${asset.symbol}`),
+    fetch(`https://fapi.binance.com/futures/data/openInterestHist?symbol=${asset.symbol}&period=1h&limit=24`)
+  ]);
+  
+  if (oi?.openInterest && ticker?.price) {
+    const currentOI = parseFloat(oi.openInterest);
+    const price = parseFloat(ticker.price);
+    const currentUSD = (currentOI * price) / 1e9;
     
-    if (oi?.openInterest && ticker?.price) {
-      const currentOI = parseFloat(oi.openInterest);
-      const price = parseFloat(ticker.price);
-      const currentUSD = (currentOI * price) / 1e9;
-      
-      let change24h = 0;
-      if (Array.isArray(hist) && hist.length > 0) {
-        const oldOI = parseFloat(hist[hist.length - 1].sumOpenInterest);
-        change24h = ((currentOI - oldOI) / oldOI * 100).toFixed(1);
-      }
-      
-      return {
-        btc: Math.round(currentOI).toLocaleString(),
-        usd: currentUSD.toFixed(2) + 'B',
-        change24h: parseFloat(change24h),
-        trend: parseFloat(change24h) > 2 ? 'increasing' : parseFloat(change24h) < -2 ? 'decreasing' : 'stable',
-        signal: parseFloat(change24h) > 5 ? 'high_leverage' : parseFloat(change24h) < -5 ? 'deleveraging' : 'normal'
-      };
+    let change24h = 0;
+    if (Array.isArray(hist) && hist.length > 0) {
+      const oldOI = parseFloat(hist[hist.length - 1].sumOpenInterest);
+      change24h = ((currentOI - oldOI) / oldOI * 100).toFixed(1);
     }
-  } catch (e) { console.error('OI error:', e.message); }
-  return null;
+    
+    return {
+      [asset.key.toLowerCase()]: Math.round(currentOI).toLocaleString(),
+      usd: currentUSD.toFixed(2) + 'B',
+      change24h: parseFloat(change24h),
+      trend: parseFloat(change24h) > 2 ? 'increasing' : parseFloat(change24h) < -2 ? 'decreasing' : 'stable',
+      signal: parseFloat(change24h) > 5 ? 'high_leverage' : parseFloat(change24h) < -5 ? 'deleveraging' : 'normal'
+    };
+  }
+  throw unexpected(oi?.openInterest ? ticker : oi, 'Binance openInterest');
 }
 
 // Funding Rates
 async function fetchFunding() {
-  try {
-    const [btc, eth] = await Promise.all([
-      fetch('https://fapi.binance.com/fapi/v1/fundingRate?symbol=BTCUSDT&limit=24'),
-      fetch('https://fapi.binance.com/fapi/v1/fundingRate?symbol=ETHUSDT&limit=1')
-    ]);
-    
-    if (Array.isArray(btc) && btc.length > 0) {
-      const current = parseFloat(btc[0].fundingRate) * 100;
-      const avg24h = (btc.reduce((s, r) => s + parseFloat(r.fundingRate), 0) / btc.length * 100);
-      const ethRate = Array.isArray(eth) ? parseFloat(eth[0].fundingRate) * 100 : 0;
-      
-      let sentiment = 'neutral';
-      if (current > 0.05) sentiment = 'overleveraged_long';
-      else if (current < -0.05) sentiment = 'overleveraged_short';
-      
-      return {
-        btc: { current: current.toFixed(4), avg24h: avg24h.toFixed(4) },
-        eth: ethRate.toFixed(4),
-        sentiment,
-        signal: current > 0.1 ? 'correction_likely' : current < -0.1 ? 'bounce_likely' : 'normal'
-      };
-    }
-  } catch (e) { console.error('Funding error:', e.message); }
-  return null;
+  const [btc, eth] = await Promise.all([
+    fetch('https://fapi.binance.com/fapi/v1/fundingRate?symbol=BTCUSDT&limit=24'),
+    fetch('https://fapi.binance.com/fapi/v1/fundingRate?symbol=ETHUSDT&limit=1')
+  ]);
+  
+  if (Array.isArray(btc) && btc.length > 0) return buildFunding(btc, eth);
+  throw unexpected(btc, 'Binance fundingRate');
+}
+
+// Funding Rate of one asset (assets section)
+async function fetchAssetFunding(asset) {
+  const rows = await fetch(`https://fapi.binance.com/fapi/v1/fundingRate?symbol=${asset.symbol}&limit=24`);
+  if (Array.isArray(rows) && rows.length > 0) return buildAssetFunding(rows);
+  throw unexpected(rows, 'Binance fundingRate');
+}
+
+// Summarize Binance fundingRate rows (BTC + latest ETH rate)
+function buildFunding(btc, eth) {
+  const { current, avg24h, sentiment, signal } = buildAssetFunding(btc);
+  const ethRate = Array.isArray(eth) && eth.length > 0 ? parseFloat(eth[0].fundingRate) * 100 : 0;
+  
+  return {
+    btc: { current, avg24h },
+    eth: ethRate.toFixed(4),
+    sentiment,
+    signal
+  };
+}
+
+// Summarize the fundingRate rows of one symbol (newest first)
+function buildAssetFunding(rows) {
+  const current = parseFloat(rows[0].fundingRate) * 100;
+  const avg24h = (rows.reduce((s, r) => s + parseFloat(r.fundingRate), 0) / rows.length * 100);
+  
+  let sentiment = 'neutral';
+  if (current > 0.05) sentiment = 'overleveraged_long';
+  else if (current < -0.05) sentiment = 'overleveraged_short';
+  
+  return {
+    current: current.toFixed(4),
+    avg24h: avg24h.toFixed(4),
+    sentiment,
+    signal: current > 0.1 ? 'correction_likely' : current < -0.1 ? 'bounce_likely' : 'normal'
+  };
 }
 
 // Liquidations
-async function fetchLiquidations() {
-  try {
-    // Get recent liquidations
-    const data = await fetch('https://fapi.binance.com/fapi/v1/forceOrders?symbol=BTCUSDT&limit=1000');
+async function fetchLiquidations(asset = ASSETS.BTC) {
+  // Get recent liquidations
+  const data = await fetch(`https://fapi.binance.com/fapi/v1/forceOrders?symbol=${asset.symbol}&limit=1000`);
+  
+  if (Array.isArray(data)) {
+    const h24 = http.now() - 24 * 60 * 60 * 1000;
+    const h1 = http.now() - 60 * 60 * 1000;
     
-    if (Array.isArray(data)) {
-      const h24 = Date.now() - 24 * 60 * 60 * 1000;
-      const h1 = Date.now() - 60 * 60 * 1000;
-      
-      let long24h = 0, short24h = 0, long1h = 0, short1h = 0;
-      
-      data.forEach(o => {
-        if (o.time < h24) return;
-        const val = parseFloat(o.price) * parseFloat(o.origQty);
-        if (o.side === 'SELL') {
-          long24h += val;
-          if (o.time > h1) long1h += val;
-        } else {
-          short24h += val;
-          if (o.time > h1) short1h += val;
-        }
-      });
-      
-      const total24h = (long24h + short24h) / 1e6;
-      const dominant = long24h > short24h ? 'longs' : 'shorts';
-      const ratio = long24h > 0 ? (short24h / long24h).toFixed(2) : 0;
-      
-      return {
-        h24: { total: total24h.toFixed(1), longs: (long24h/1e6).toFixed(1), shorts: (short24h/1e6).toFixed(1) },
-        h1: { total: ((long1h + short1h)/1e6).toFixed(1), longs: (long1h/1e6).toFixed(1), shorts: (short1h/1e6).toFixed(1) },
-        dominant,
-        intensity: total24h > 200 ? 'extreme' : total24h > 100 ? 'high' : total24h > 50 ? 'moderate' : 'low',
-        signal: long24h > short24h * 2 ? 'longs_rekt' : short24h > long24h * 2 ? 'shorts_rekt' : 'balanced'
-      };
-    }
-  } catch (e) { console.error('Liquidations error:', e.message); }
-  return null;
+    let long24h = 0, short24h = 0, long1h = 0, short1h = 0;
+    
+    data.forEach(o => {
+      if (o.time < h24) return;
+      const val = parseFloat(o.price) * parseFloat(o.origQty);
+      if (o.side === 'SELL') {
+        long24h += val;
+        if (o.time > h1) long1h += val;
+      } else {
+        short24h += val;
+        if (o.time > h1) short1h += val;
+      }
+    });
+    
+    const total24h = (long24h + short24h) / 1e6;
+    const dominant = long24h > short24h ? 'longs' : 'shorts';
+    const ratio = long24h > 0 ? (short24h / long24h).toFixed(2) : 0;
+    
+    return {
+      h24: { total: total24h.toFixed(1), longs: (long24h/1e6).toFixed(1), shorts: (short24h/1e6).toFixed(1) },
+      h1: { total: ((long1h + short1h)/1e6).toFixed(1), longs: (long1h/1e6).toFixed(1), shorts: (short1h/1e6).toFixed(1) },
+      dominant,
+      intensity: total24h > 200 ? 'extreme' : total24h > 100 ? 'high' : total24h > 50 ? 'moderate' : 'low',
+      signal: long24h > short24h * 2 ? 'longs_rekt' : short24h > long24h * 2 ? 'shorts_rekt' : 'balanced'
+    };
+  }
+  throw unexpected(data, 'Binance forceOrders');
 }
 
 // COT Report - Fetch from CFTC (updates weekly on Friday)
 async function fetchCOTData() {
-  try {
-    // Use curl for reliability (Node https sometimes fails on certain servers)
+  const url = 'https://www.cftc.gov/dea/newcot/FinFutWk.txt';
+  
+  // Use curl for reliability (Node https sometimes fails on certain servers)
+  const text = await http.capture(`curl ${url}`, async () => {
     const { execSync } = require('child_process');
-    let text;
-    
     try {
-      text = execSync('curl -s "https://www.cftc.gov/dea/newcot/FinFutWk.txt"', { 
+      return execSync(`curl -s "${url}"`, { 
         encoding: 'utf8',
         timeout: 30000 
       });
     } catch (curlErr) {
       // Fallback to Node https
-      const response = await fetch('https://www.cftc.gov/dea/newcot/FinFutWk.txt');
-      text = typeof response === 'string' ? response : String(response);
-    }
-    
-    // Find Bitcoin CME line
-    const lines = text.split('\n');
-    const btcLine = lines.find(l => l.includes('BITCOIN - CHICAGO MERCANTILE EXCHANGE') && l.includes('CME'));
-    
-    if (!btcLine) {
-      console.log('COT: Bitcoin data not found, using fallback');
-      return getCOTFallback();
+      return http.getText(url);
     }
-    
-    // Parse CSV line - format: name, date_code, date, contract_code, exchange, ...positions...
-    const parts = btcLine.split(',');
-    const dateStr = parts[2]; // 2026-02-10
-    const openInterest = parseInt(parts[7]) || 0;
-    
-    // Disaggregated positions (format may vary, these are approximate indices)
-    const dealerLong = parseInt(parts[8]) || 0;
-    const dealerShort = parseInt(parts[9]) || 0;
-    const assetMgrLong = parseInt(parts[10]) || 0;
-    const assetMgrShort = parseInt(parts[11]) || 0;
-    const levFundsLong = parseInt(parts[12]) || 0;
-    const levFundsShort = parseInt(parts[13]) || 0;
-    const otherLong = parseInt(parts[14]) || 0;
-    const otherShort = parseInt(parts[15]) || 0;
-    
-    const totalLong = dealerLong + assetMgrLong + levFundsLong + otherLong;
-    const totalShort = dealerShort + assetMgrShort + levFundsShort + otherShort;
-    
-    // Calculate percentages
-    const dealerLongPct = totalLong > 0 ? ((dealerLong / totalLong) * 100).toFixed(1) : 0;
-    const dealerShortPct = totalShort > 0 ? ((dealerShort / totalShort) * 100).toFixed(1) : 0;
-    const assetMgrLongPct = totalLong > 0 ? ((assetMgrLong / totalLong) * 100).toFixed(1) : 0;
-    const assetMgrShortPct = totalShort > 0 ? ((assetMgrShort / totalShort) * 100).toFixed(1) : 0;
-    const levFundsLongPct = totalLong > 0 ? ((levFundsLong / totalLong) * 100).toFixed(1) : 0;
-    const levFundsShortPct = totalShort > 0 ? ((levFundsShort / totalShort) * 100).toFixed(1) : 0;
-    
-    // Determine signals
-    const dealerSignal = dealerLong > dealerShort * 1.5 ? 'bullish' : dealerShort > dealerLong * 1.5 ? 'bearish' : 'neutral';
-    const assetMgrSignal = assetMgrLong > assetMgrShort * 1.5 ? 'bullish' : assetMgrShort > assetMgrLong * 1.5 ? 'bearish' : 'neutral';
-    const levFundsSignal = levFundsShort > levFundsLong * 1.5 ? 'bearish' : levFundsLong > levFundsShort * 1.5 ? 'bullish' : 'neutral';
-    
-    console.log(`COT: Fetched data as of ${dateStr}, OI: ${openInterest}`);
-    
-    return {
-      asOf: dateStr,
-      nextUpdate: getNextFriday(),
-      openInterest,
-      categories: {
-        dealers: { name: 'Dealers', icon: '🏦', long: dealerLong, longPct: parseFloat(dealerLongPct), short: dealerShort, shortPct: parseFloat(dealerShortPct), net: dealerLong - dealerShort, signal: dealerSignal },
-        assetManagers: { name: 'Institutions', icon: '🐋', long: assetMgrLong, longPct: parseFloat(assetMgrLongPct), short: assetMgrShort, shortPct: parseFloat(assetMgrShortPct), net: assetMgrLong - assetMgrShort, signal: assetMgrSignal },
-        leveragedFunds: { name: 'Hedge Funds', icon: '🦈', long: levFundsLong, longPct: parseFloat(levFundsLongPct), short: levFundsShort, shortPct: parseFloat(levFundsShortPct), net: levFundsLong - levFundsShort, signal: levFundsSignal },
-        retail: { name: 'Other', icon: '🦐', long: otherLong, longPct: 0, short: otherShort, shortPct: 0, net: otherLong - otherShort, signal: 'neutral' }
+  });
+  
+  const history = await loadCOTHistory(cftc.parseRows(text));
+  const cot = parseCOTReport(text, http.now(), history);
+  console.log(`COT: Fetched data as of ${cot.asOf}, OI: ${cot.openInterest}${cot.stale ? ' (stale)' : ''}`);
+  return cot;
+}
+
+// Weeks of net positions kept for the COT Index (longest window)
+const COT_HISTORY_WEEKS = 156;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Weekly net positions per contract (.cot-history.json). Filled from the CFTC yearly archives
+// when the window is not covered (first run, missed weeks), then one week at a time from FinFutWk.txt.
+async function loadCOTHistory(latestRows) {
+  const file = http.statePath('.cot-history.json');
+  let state = { archivesCheckedAt: 0, contracts: {} };
+  try {
+    if (fs.existsSync(file)) state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {}
+  
+  const btc = state.contracts.BTC || [];
+  const latest = latestRows.find(r => r.contractCode === cftc.CONTRACTS.BTC.code)?.reportDate;
+  const start = new Date(http.now() - (COT_HISTORY_WEEKS + 1) * WEEK_MS);
+  const startDay = start.toISOString().split('T')[0];
+  const missedWeeks = latest && btc.length > 0 && new Date(latest) - new Date(btc[btc.length - 1].asOf) > WEEK_MS;
+  const incomplete = btc.length === 0 || btc[0].asOf > startDay || missedWeeks;
+  
+  // Archives are a few MB: at most one attempt a day
+  if (incomplete && http.now() - state.archivesCheckedAt > 24 * 60 * 60 * 1000) {
+    state.archivesCheckedAt = http.now();
+    for (let year = start.getUTCFullYear(); year <= new Date(http.now()).getUTCFullYear(); year++) {
+      try {
+        const zip = await http.getBuffer(`https://www.cftc.gov/files/dea/history/fut_fin_txt_${year}.zip`, { timeout: 60000 });
+        const rows = unzip(zip).flatMap(f => cftc.parseRows(f.data.toString('utf8')));
+        state.contracts = cftc.mergeHistory(state.contracts, rows);
+        console.log(`COT: ${year} archive, ${rows.length} weekly rows`);
+      } catch (e) {
+        console.error(`COT ${year} archive error:`, e.message);
       }
-    };
-  } catch (e) {
-    console.error('COT fetch error:', e.message);
-    return getCOTFallback();
+    }
   }
+  
+  state.contracts = cftc.mergeHistory(state.contracts, latestRows);
+  writeFileAtomic(file, JSON.stringify(state));
+  return state.contracts;
 }
 
-function getCOTFallback() {
-  return {
-    asOf: '2026-02-10',
-    nextUpdate: getNextFriday(),
-    categories: {
-      dealers: { name: 'Dealers', icon: '🏦', long: 5746, longPct: 27.3, short: 2470, shortPct: 9.7, net: 3276, signal: 'bullish' },
-      assetManagers: { name: 'Institutions', icon: '🐋', long: 946, longPct: 4.5, short: 7476, shortPct: 29.4, net: -6530, signal: 'bearish' },
-      leveragedFunds: { name: 'Hedge Funds', icon: '🦈', long: 972, longPct: 4.6, short: 697, shortPct: 2.7, net: 275, signal: 'neutral' },
-      retail: { name: 'Other', icon: '🦐', long: 4372, longPct: 20.8, short: 13871, shortPct: 54.6, net: -9499, signal: 'bearish' }
-    }
-  };
+// The report is as of Tuesday and published on Friday: older than this, a release was missed
+const COT_MAX_AGE_DAYS = 11;
+
+// Bitcoin CME positioning from the weekly FinFutWk.txt report, other crypto markets alongside.
+// With a history ({ BTC: [weeks] }), every category gets its COT Index.
+function parseCOTReport(text, now = http.now(), history = null) {
+  const rows = cftc.parseReport(text);
+  if (!rows.BTC) throw new Error('CFTC: Bitcoin CME line not found in FinFutWk.txt');
+  
+  const markets = {};
+  for (const [key, row] of Object.entries(rows)) {
+    if (key === 'BTC') continue;
+    markets[key] = cftc.buildCOT(row);
+    if (history) cftc.addIndexes(markets[key], history[key]);
+  }
+  
+  const cot = { ...cftc.buildCOT(rows.BTC), nextUpdate: getNextFriday(now), markets };
+  if (history) cftc.addIndexes(cot, history.BTC);
+  const ageDays = Math.floor((now - new Date(cot.asOf).getTime()) / (24 * 60 * 60 * 1000));
+  cot.stale = isNaN(ageDays) || ageDays > COT_MAX_AGE_DAYS;
+  if (cot.stale) cot.error = `CFTC: latest report is from ${cot.asOf} (${ageDays} days old)`;
+  return cot;
 }
 
-function getNextFriday() {
-  const today = new Date();
+// Parse one CFTC Traders in Financial Futures line into COT categories
+function parseCOTLine(line, now = http.now()) {
+  return { ...cftc.buildCOT(cftc.parseRow(line)), nextUpdate: getNextFriday(now) };
+}
+
+function getNextFriday(now = http.now()) {
+  const today = new Date(now);
   const dayOfWeek = today.getDay();
   const daysUntilFriday = (5 - dayOfWeek + 7) % 7 || 7;
   const nextFriday = new Date(today);
@@ -469,24 +481,17 @@ function getNextFriday() {
 
 // ETF Flows - Daily cache (US market closes 21:00 UTC, fetch after 22:00 UTC)
 async function fetchETFFlows() {
-  const cachePath = path.join(__dirname, '..', '.etf-cache.json');
+  const cachePath = http.statePath('.etf-cache.json');
   
   // Check cache first
   try {
     if (fs.existsSync(cachePath)) {
       const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
-      const today = new Date().toISOString().split('T')[0];
-      const currentHour = new Date().getUTCHours();
-      
-      // Use cache if: same day AND after 22:00 UTC, OR if we're before 22:00 UTC and cache is from yesterday/today
-      if (cache.fetchDate === today) {
-        console.log('ETF: Using cached data from today');
-        return cache.data;
-      }
+      const fetchedAt = Date.parse(cache.fetchTime || cache.fetchDate);
       
-      // If before 22:00 UTC, yesterday's data is still "current"
-      if (currentHour < 22 && cache.data) {
-        console.log('ETF: Using yesterday\'s data (market not closed yet)');
+      // Flows only change after a US trading session: the cache is current until the next publication
+      if (cache.data && fetchedAt >= calendar.lastETFPublication(http.now())) {
+        console.log('ETF: Using cached data (no US session closed since)');
         return cache.data;
       }
     }
@@ -495,41 +500,40 @@ async function fetchETFFlows() {
   // Try to fetch fresh data
   console.log('ETF: Fetching fresh data...');
   
-  try {
-    // Try multiple sources
-    const sources = [
-      'https://open-api.coinglass.com/public/v2/etf/bitcoin_flows',
-      'https://api.coinglass.com/api/futures/etf/bitcoin'
-    ];
-    
-    for (const url of sources) {
-      try {
-        const data = await fetch(url);
-        if (data?.data) {
-          const flows = data.data;
-          const result = {
-            date: new Date().toISOString().split('T')[0],
-            daily: Math.round((flows.netFlow24h || flows.dailyFlow || 0) / 1e6),
-            weekly: Math.round((flows.netFlow7d || flows.weeklyFlow || 0) / 1e6),
-            total: Math.round((flows.totalNetAssets || flows.totalAUM || 40000) / 1e6),
-            trend: (flows.netFlow24h || flows.dailyFlow || 0) > 0 ? 'positive_daily' : 'negative_daily',
-            source: 'api'
-          };
-          
-          // Cache it
-          fs.writeFileSync(cachePath, JSON.stringify({
-            fetchDate: new Date().toISOString().split('T')[0],
-            data: result
-          }));
-          
-          return result;
-        }
-      } catch (e) {
-        continue;
+  // Try multiple endpoints
+  const urls = [
+    'https://open-api.coinglass.com/public/v2/etf/bitcoin_flows',
+    'https://api.coinglass.com/api/futures/etf/bitcoin'
+  ];
+  
+  let lastError = null;
+  for (const url of urls) {
+    try {
+      const data = await fetch(url);
+      if (data?.data) {
+        const flows = data.data;
+        const result = {
+          date: new Date(http.now()).toISOString().split('T')[0],
+          daily: Math.round((flows.netFlow24h || flows.dailyFlow || 0) / 1e6),
+          weekly: Math.round((flows.netFlow7d || flows.weeklyFlow || 0) / 1e6),
+          total: Math.round((flows.totalNetAssets || flows.totalAUM || 40000) / 1e6),
+          trend: (flows.netFlow24h || flows.dailyFlow || 0) > 0 ? 'positive_daily' : 'negative_daily',
+          source: 'api'
+        };
+        
+        // Cache it
+        writeFileAtomic(cachePath, JSON.stringify({
+          fetchDate: new Date(http.now()).toISOString().split('T')[0],
+          fetchTime: new Date(http.now()).toISOString(),
+          data: result
+        }));
+        
+        return result;
       }
+      lastError = unexpected(data, 'CoinGlass');
+    } catch (e) {
+      lastError = e;
     }
-  } catch (e) {
-    console.log('ETF fetch error:', e.message);
   }
   
   // Return last known cache even if stale
@@ -537,11 +541,15 @@ async function fetchETFFlows() {
     if (fs.existsSync(cachePath)) {
       const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
       console.log('ETF: Using stale cache (API unavailable)');
-      return { ...cache.data, stale: true };
+      return { ...cache.data, stale: true, error: lastError?.message };
     }
   } catch (e) {}
   
-  // Final fallback with manual update note
+  throw lastError || new Error('CoinGlass: no ETF data');
+}
+
+// Final fallback with manual update note
+function getETFFallback() {
   return {
     date: '2026-02-14',
     daily: -48,
@@ -549,396 +557,250 @@ async function fetchETFFlows() {
     total: 39500,
     trend: 'negative_daily',
     source: 'manual',
-    note: 'Données manuelles - à mettre à jour'
+    ...i18n.texts({ note: i18n.message('data.etf.manualNote') })
   };
 }
 
 // ============ NEW INDICATORS ============
 
-// Hyperliquid Data (OI + Funding)
-async function fetchHyperliquid() {
-  console.log('📊 Fetching Hyperliquid data...');
-  try {
-    const response = await new Promise((resolve, reject) => {
-      const req = https.request({
-        hostname: 'api.hyperliquid.xyz',
-        path: '/info',
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
-      }, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try { resolve(JSON.parse(data)); } 
-          catch { reject(new Error('JSON parse error')); }
-        });
-      });
-      req.on('error', reject);
-      req.write(JSON.stringify({ type: 'metaAndAssetCtxs' }));
-      req.end();
-    });
-    
-    if (Array.isArray(response) && response.length > 1) {
-      const btcData = response[1][0]; // BTC is first
-      const ethData = response[1][1]; // ETH is second
-      
-      const btcOI = parseFloat(btcData.openInterest);
-      const btcFunding = parseFloat(btcData.funding) * 100;
-      const btcVolume = parseFloat(btcData.dayNtlVlm) / 1e9;
-      
-      const ethOI = parseFloat(ethData.openInterest);
-      const ethFunding = parseFloat(ethData.funding) * 100;
-      
-      // Determine signal from funding
-      let signal = 'neutral';
-      let interpretation = '';
-      
-      if (btcFunding > 0.01) {
-        signal = 'overleveraged_long';
-        interpretation = `⚠️ Funding élevé (${btcFunding.toFixed(3)}%) - Les longs payent cher. Correction possible.`;
-      } else if (btcFunding < -0.005) {
-        signal = 'overleveraged_short';
-        interpretation = `🔥 Funding négatif (${btcFunding.toFixed(3)}%) - Les shorts payent. Squeeze possible !`;
-      } else {
-        interpretation = `✅ Funding neutre (${btcFunding.toFixed(3)}%) - Marché équilibré.`;
+// Hyperliquid asset contexts by coin name (one request per run, shared by every asset)
+let hyperliquidContexts = null;
+
+function fetchHyperliquidContexts() {
+  if (!hyperliquidContexts) {
+    console.log('📊 Fetching Hyperliquid data...');
+    hyperliquidContexts = http.postJSON('https://api.hyperliquid.xyz/info', { type: 'metaAndAssetCtxs' }).then(response => {
+      if (!Array.isArray(response) || response.length < 2 || !Array.isArray(response[0]?.universe)) {
+        throw unexpected(response, 'Hyperliquid');
       }
-      
-      console.log(`Hyperliquid: BTC OI=${btcOI.toFixed(0)} BTC, Funding=${btcFunding.toFixed(4)}%`);
-      
-      return {
-        btc: {
-          openInterest: Math.round(btcOI),
-          openInterestUSD: (btcOI * parseFloat(btcData.markPx) / 1e9).toFixed(2) + 'B',
-          funding: btcFunding.toFixed(4),
-          volume24h: btcVolume.toFixed(2) + 'B',
-          markPrice: parseFloat(btcData.markPx).toFixed(0)
-        },
-        eth: {
-          openInterest: Math.round(ethOI),
-          funding: ethFunding.toFixed(4)
-        },
-        signal,
-        interpretation
-      };
-    }
-  } catch (e) {
-    console.error('Hyperliquid error:', e.message);
+      const contexts = {};
+      response[0].universe.forEach((coin, i) => { contexts[coin.name] = response[1][i]; });
+      return contexts;
+    });
+    // Let the next caller retry after a failure
+    hyperliquidContexts.catch(() => { hyperliquidContexts = null; });
   }
-  return null;
+  return hyperliquidContexts;
+}
+
+// Hyperliquid Data (OI + Funding)
+async function fetchHyperliquid() {
+  const contexts = await fetchHyperliquidContexts();
+  if (!contexts.BTC || !contexts.ETH) throw new Error('Hyperliquid: BTC/ETH missing from universe');
+  
+  const { signal, interpretation, i18n: messages, ...btc } = buildAssetHyperliquid(contexts.BTC, ASSETS.BTC);
+  const ethData = contexts.ETH;
+  
+  return {
+    btc,
+    eth: {
+      openInterest: Math.round(parseFloat(ethData.openInterest)),
+      funding: (parseFloat(ethData.funding) * 100).toFixed(4)
+    },
+    signal,
+    interpretation,
+    i18n: messages
+  };
+}
+
+// Hyperliquid Data of one asset (assets section)
+async function fetchAssetHyperliquid(asset) {
+  const contexts = await fetchHyperliquidContexts();
+  if (!contexts[asset.hyperliquid]) throw new Error(`Hyperliquid: ${asset.hyperliquid} missing from universe`);
+  return buildAssetHyperliquid(contexts[asset.hyperliquid], asset);
+}
+
+// OI, funding and signal from one Hyperliquid asset context
+function buildAssetHyperliquid(ctx, asset) {
+  const oi = parseFloat(ctx.openInterest);
+  const funding = parseFloat(ctx.funding) * 100;
+  const markPrice = parseFloat(ctx.markPx);
+  const volume = parseFloat(ctx.dayNtlVlm) / 1e9;
+  
+  // Determine signal from funding
+  let signal = 'neutral';
+  if (funding > 0.01) signal = 'overleveraged_long';
+  else if (funding < -0.005) signal = 'overleveraged_short';
+  
+  console.log(`Hyperliquid: ${asset.key} OI=${oi.toFixed(0)} ${asset.key}, Funding=${funding.toFixed(4)}%`);
+  
+  return {
+    openInterest: Math.round(oi),
+    openInterestUSD: (oi * markPrice / 1e9).toFixed(2) + 'B',
+    funding: funding.toFixed(4),
+    volume24h: volume.toFixed(2) + 'B',
+    markPrice: markPrice.toFixed(asset.decimals),
+    signal,
+    ...i18n.texts({ interpretation: i18n.message(`data.hyperliquid.${signal}`, { funding: funding.toFixed(3) }) })
+  };
 }
 
 // Binance Long/Short Ratio for Top Traders (Whales)
-async function fetchWhalePositions() {
-  console.log('🐋 Fetching whale positions...');
-  try {
-    const [topTraders, takerRatio] = await Promise.all([
-      fetch('https://fapi.binance.com/futures/data/topLongShortAccountRatio?symbol=BTCUSDT&period=1h&limit=24'),
-      fetch('https://fapi.binance.com/futures/data/takerlongshortRatio?symbol=BTCUSDT&period=1h&limit=24')
-    ]);
+async function fetchWhalePositions(asset = ASSETS.BTC) {
+  console.log(`🐋 Fetching ${asset.key} whale positions...`);
+  const [topTraders, takerRatio] = await Promise.all([
+    fetch(`https://fapi.binance.com/futures/data/topLongShortAccountRatio?symbol=${asset.symbol}&period=1h&limit=24`),
+    fetch(`https://fapi.binance.com/futures/data/takerlongshortRatio?symbol=${asset.symbol}&period=1h&limit=24`)
+  ]);
+  
+  if (Array.isArray(topTraders) && topTraders.length > 0) {
+    const current = topTraders[0];
+    const h24Ago = topTraders[topTraders.length - 1];
     
-    if (Array.isArray(topTraders) && topTraders.length > 0) {
-      const current = topTraders[0];
-      const h24Ago = topTraders[topTraders.length - 1];
-      
-      const longPct = parseFloat(current.longAccount) * 100;
-      const shortPct = parseFloat(current.shortAccount) * 100;
-      const ratio = parseFloat(current.longShortRatio);
-      const ratioH24Ago = parseFloat(h24Ago.longShortRatio);
-      
-      // Calculate CVD from taker data
-      let cvd = 0;
-      let cvdSignal = 'neutral';
-      if (Array.isArray(takerRatio) && takerRatio.length > 0) {
-        // Sum up buy vs sell volumes
-        let totalBuyVol = 0, totalSellVol = 0;
-        takerRatio.forEach(r => {
-          totalBuyVol += parseFloat(r.buyVol);
-          totalSellVol += parseFloat(r.sellVol);
-        });
-        cvd = ((totalBuyVol - totalSellVol) / totalSellVol * 100).toFixed(1);
-        cvdSignal = cvd > 5 ? 'buyers_dominate' : cvd < -5 ? 'sellers_dominate' : 'balanced';
-      }
-      
-      // Determine signal
-      let signal = 'neutral';
-      let interpretation = '';
-      
-      if (longPct > 65) {
-        signal = 'extreme_long';
-        interpretation = `⚠️ ${longPct.toFixed(0)}% des top traders sont LONG - Euphorie ? Attention au dump.`;
-      } else if (shortPct > 55) {
-        signal = 'squeeze_setup';
-        interpretation = `🔥 ${shortPct.toFixed(0)}% des top traders sont SHORT - Short squeeze possible !`;
-      } else {
-        interpretation = `📊 Équilibre: ${longPct.toFixed(0)}% longs / ${shortPct.toFixed(0)}% shorts`;
-      }
-      
-      // Trend
-      const trend = ratio > ratioH24Ago * 1.05 ? 'more_long' : 
-                    ratio < ratioH24Ago * 0.95 ? 'more_short' : 'stable';
-      
-      console.log(`Whales: ${longPct.toFixed(0)}%L / ${shortPct.toFixed(0)}%S, CVD: ${cvd}%`);
-      
-      return {
-        longPct: longPct.toFixed(1),
-        shortPct: shortPct.toFixed(1),
-        ratio: ratio.toFixed(2),
-        trend,
-        cvd,
-        cvdSignal,
-        signal,
-        interpretation
-      };
+    const longPct = parseFloat(current.longAccount) * 100;
+    const shortPct = parseFloat(current.shortAccount) * 100;
+    const ratio = parseFloat(current.longShortRatio);
+    const ratioH24Ago = parseFloat(h24Ago.longShortRatio);
+    
+    // Calculate CVD from taker data
+    let cvd = 0;
+    let cvdSignal = 'neutral';
+    if (Array.isArray(takerRatio) && takerRatio.length > 0) {
+      // Sum up buy vs sell volumes
+      let totalBuyVol = 0, totalSellVol = 0;
+      takerRatio.forEach(r => {
+        totalBuyVol += parseFloat(r.buyVol);
+        totalSellVol += parseFloat(r.sellVol);
+      });
+      cvd = ((totalBuyVol - totalSellVol) / totalSellVol * 100).toFixed(1);
+      cvdSignal = cvd > 5 ? 'buyers_dominate' : cvd < -5 ? 'sellers_dominate' : 'balanced';
     }
-  } catch (e) {
-    console.error('Whale positions error:', e.message);
+    
+    // Determine signal
+    let signal = 'neutral';
+    if (longPct > 65) signal = 'extreme_long';
+    else if (shortPct > 55) signal = 'squeeze_setup';
+    
+    // Trend
+    const trend = ratio > ratioH24Ago * 1.05 ? 'more_long' : 
+                  ratio < ratioH24Ago * 0.95 ? 'more_short' : 'stable';
+    
+    console.log(`Whales ${asset.key}: ${longPct.toFixed(0)}%L / ${shortPct.toFixed(0)}%S, CVD: ${cvd}%`);
+    
+    return {
+      longPct: longPct.toFixed(1),
+      shortPct: shortPct.toFixed(1),
+      ratio: ratio.toFixed(2),
+      trend,
+      cvd,
+      cvdSignal,
+      signal,
+      ...i18n.texts({ interpretation: i18n.message(`data.whales.${signal}`, { longPct: longPct.toFixed(0), shortPct: shortPct.toFixed(0) }) })
+    };
   }
-  return null;
+  throw unexpected(topTraders, 'Binance topLongShortAccountRatio');
 }
 
 // MVRV from CoinMetrics Community API (free)
 async function fetchMVRV() {
   console.log('📈 Fetching MVRV...');
-  try {
-    const data = await fetch('https://community-api.coinmetrics.io/v4/timeseries/asset-metrics?assets=btc&metrics=CapMVRVCur&frequency=1d&page_size=1');
+  const data = await fetch('https://community-api.coinmetrics.io/v4/timeseries/asset-metrics?assets=btc&metrics=CapMVRVCur&frequency=1d&page_size=1');
+  
+  if (data?.data && data.data.length > 0) {
+    const mvrv = parseFloat(data.data[0].CapMVRVCur);
     
-    if (data?.data && data.data.length > 0) {
-      const mvrv = parseFloat(data.data[0].CapMVRVCur);
-      
-      let signal = 'neutral';
-      let interpretation = '';
-      
-      if (mvrv > 3.5) {
-        signal = 'extreme_overvalued';
-        interpretation = `🔴 MVRV ${mvrv.toFixed(2)} - Zone de TOP historique ! Prudence maximale.`;
-      } else if (mvrv > 2.5) {
-        signal = 'overvalued';
-        interpretation = `🟠 MVRV ${mvrv.toFixed(2)} - Marché suracheté. Prendre des profits.`;
-      } else if (mvrv < 1) {
-        signal = 'extreme_undervalued';
-        interpretation = `🟢 MVRV ${mvrv.toFixed(2)} - Zone de BOTTOM ! Opportunité historique.`;
-      } else if (mvrv < 1.5) {
-        signal = 'undervalued';
-        interpretation = `🟢 MVRV ${mvrv.toFixed(2)} - Sous-évalué. Zone d'accumulation.`;
-      } else {
-        interpretation = `⚪ MVRV ${mvrv.toFixed(2)} - Zone neutre.`;
+    let signal = 'neutral';
+    if (mvrv > 3.5) signal = 'extreme_overvalued';
+    else if (mvrv > 2.5) signal = 'overvalued';
+    else if (mvrv < 1) signal = 'extreme_undervalued';
+    else if (mvrv < 1.5) signal = 'undervalued';
+    
+    console.log(`MVRV: ${mvrv.toFixed(2)} - ${signal}`);
+    
+    return {
+      value: mvrv.toFixed(2),
+      signal,
+      ...i18n.texts({ interpretation: i18n.message(`data.mvrv.${signal}`, { mvrv: mvrv.toFixed(2) }) }),
+      zones: {
+        current: mvrv.toFixed(2),
+        buyZone: '< 1.5',
+        sellZone: '> 3.0',
+        extremeSell: '> 3.5'
       }
-      
-      console.log(`MVRV: ${mvrv.toFixed(2)} - ${signal}`);
-      
-      return {
-        value: mvrv.toFixed(2),
-        signal,
-        interpretation,
-        zones: {
-          current: mvrv.toFixed(2),
-          buyZone: '< 1.5',
-          sellZone: '> 3.0',
-          extremeSell: '> 3.5'
-        }
-      };
-    }
-  } catch (e) {
-    console.error('MVRV error:', e.message);
+    };
   }
-  return null;
+  throw unexpected(data, 'CoinMetrics');
 }
 
 // ============ SMART ANALYSIS ENGINE ============
 
-function generateAnalysis(data) {
-  const signals = [];
-  let bullScore = 0, bearScore = 0;
-  
-  // Fear & Greed Analysis
-  if (data.fearGreed) {
-    const fg = data.fearGreed.current;
-    if (fg <= 15) { signals.push({ type: 'bullish', weight: 3, reason: 'Extreme Fear historique - zone d\'achat' }); bullScore += 3; }
-    else if (fg <= 25) { signals.push({ type: 'bullish', weight: 2, reason: 'Fear élevée - opportunité possible' }); bullScore += 2; }
-    else if (fg >= 80) { signals.push({ type: 'bearish', weight: 3, reason: 'Extreme Greed - prudence maximale' }); bearScore += 3; }
-    else if (fg >= 65) { signals.push({ type: 'bearish', weight: 2, reason: 'Greed élevée - attention' }); bearScore += 2; }
-  }
-  
-  // COT Analysis - Check institutional positioning
-  const cot = data.cot;
-  if (cot?.categories) {
-    const instNet = cot.categories.assetManagers.net || 0;
-    const hfNet = cot.categories.leveragedFunds.net || 0;
-    const instBullish = instNet > 0;
-    const hfBullish = hfNet > 0;
-    
-    // Scenario: Institutions LONG + HF SHORT = Squeeze setup (VERY bullish)
-    if (instBullish && !hfBullish) {
-      signals.push({ type: 'bullish', weight: 3, reason: 'Setup Short Squeeze - Institutions accumulent, HF short' }); 
-      bullScore += 3;
-    }
-    // Scenario: Institutions SHORT + HF LONG = Smart money sells (VERY bearish)
-    else if (!instBullish && hfBullish) {
-      signals.push({ type: 'bearish', weight: 3, reason: 'Smart Money vend - Institutions réduisent, spéculateurs achètent' }); 
-      bearScore += 3;
-    }
-    // Scenario: Both bullish = Consensus (neutral-ish, watch for euphoria)
-    else if (instBullish && hfBullish) {
-      signals.push({ type: 'bullish', weight: 1, reason: 'Consensus haussier - Institutions et HF accumulent' }); 
-      bullScore += 1;
-    }
-    // Scenario: Both bearish = Consensus bearish (but could be contrarian buy)
-    else if (!instBullish && !hfBullish) {
-      signals.push({ type: 'bearish', weight: 2, reason: 'Consensus baissier - Tout le monde vend' }); 
-      bearScore += 2;
-    }
-  }
-  
-  // ETF Flows
-  if (data.etf) {
-    if (data.etf.daily > 50) {
-      signals.push({ type: 'bullish', weight: 1, reason: 'ETF inflows positifs (+$' + data.etf.daily + 'M)' }); bullScore += 1;
-    } else if (data.etf.daily < -100) {
-      signals.push({ type: 'bearish', weight: 2, reason: 'ETF outflows importants' }); bearScore += 2;
-    }
-    // Weekly trend matters too!
-    if (data.etf.weekly < -300) {
-      signals.push({ type: 'bearish', weight: 2, reason: 'ETF outflows sur la semaine ($' + data.etf.weekly + 'M)' }); bearScore += 2;
-    }
-  }
-  
-  // Long/Short Ratio
-  if (data.longShort?.signal === 'squeeze_possible') {
-    signals.push({ type: 'bullish', weight: 1, reason: 'Retail très short - potentiel squeeze' }); bullScore += 1;
-  } else if (data.longShort?.signal === 'dump_possible') {
-    signals.push({ type: 'bearish', weight: 1, reason: 'Retail très long - risque de dump' }); bearScore += 1;
-  }
-  
-  // Funding
-  if (data.funding?.signal === 'bounce_likely') {
-    signals.push({ type: 'bullish', weight: 1, reason: 'Funding négatif - shorts paient' }); bullScore += 1;
-  } else if (data.funding?.signal === 'correction_likely') {
-    signals.push({ type: 'bearish', weight: 1, reason: 'Funding très élevé - surchauffe' }); bearScore += 1;
-  }
-  
-  // Liquidations
-  if (data.liquidations?.signal === 'shorts_rekt') {
-    signals.push({ type: 'bullish', weight: 1, reason: 'Shorts liquidés massivement' }); bullScore += 1;
-  } else if (data.liquidations?.signal === 'longs_rekt') {
-    signals.push({ type: 'bearish', weight: 1, reason: 'Longs liquidés - capitulation' }); bearScore += 1;
-  }
-  
-  // Hashrate
-  if (data.hashrate?.signal === 'bullish') {
-    signals.push({ type: 'bullish', weight: 1, reason: 'Hashrate en hausse - mineurs confiants' }); bullScore += 1;
-  } else if (data.hashrate?.signal === 'bearish' || data.hashrate?.trend === 'crashing') {
-    signals.push({ type: 'bearish', weight: 2, reason: 'Hashrate en chute - mineurs en difficulté' }); bearScore += 2;
-  } else if (data.hashrate?.trend === 'dropping') {
-    signals.push({ type: 'bearish', weight: 1, reason: 'Hashrate en baisse (' + data.hashrate.changeFromPeak + '% depuis le pic)' }); bearScore += 1;
-  }
-  
-  // Taker Buy/Sell Ratio
-  if (data.longShort?.takerBuySellRatio) {
-    const ratio = parseFloat(data.longShort.takerBuySellRatio);
-    if (ratio < 0.95) {
-      signals.push({ type: 'bearish', weight: 1, reason: 'Plus de vendeurs que d\'acheteurs (ratio ' + ratio.toFixed(2) + ')' }); bearScore += 1;
-    } else if (ratio > 1.05) {
-      signals.push({ type: 'bullish', weight: 1, reason: 'Plus d\'acheteurs que de vendeurs' }); bullScore += 1;
-    }
-  }
+// Score every signal with the active scoring profile (config/scoring-rules.json)
+function generateAnalysis(data, profile = scoringRules.getProfile()) {
+  const { signals, bullScore, bearScore } = scoringRules.evaluateRules(profile, data);
   
   // Calculate final signal
-  const netScore = bullScore - bearScore;
-  let overallSignal, overallLabel, overallEmoji;
-  
-  if (netScore >= 5) {
-    overallSignal = 'strong_accumulation';
-    overallLabel = 'ACCUMULATION FORTE';
-    overallEmoji = '🚀';
-  } else if (netScore >= 2) {
-    overallSignal = 'accumulation';
-    overallLabel = 'ZONE D\'ACCUMULATION';
-    overallEmoji = '🎯';
-  } else if (netScore <= -5) {
-    overallSignal = 'strong_distribution';
-    overallLabel = 'DISTRIBUTION FORTE';
-    overallEmoji = '🚨';
-  } else if (netScore <= -2) {
-    overallSignal = 'distribution';
-    overallLabel = 'ZONE DE PRUDENCE';
-    overallEmoji = '⚠️';
-  } else {
-    overallSignal = 'neutral';
-    overallLabel = 'PATIENCE';
-    overallEmoji = '⏳';
-  }
+  const netScore = Math.round((bullScore - bearScore) * 10) / 10;
+  const tier = scoringRules.pickTier(profile.labels, netScore);
   
   return {
-    signal: overallSignal,
-    label: overallLabel,
-    emoji: overallEmoji,
+    signal: tier.signal,
+    ...i18n.texts({ label: i18n.source(tier.label) }),
+    emoji: tier.emoji,
+    profile: profile.name,
     score: { bull: bullScore, bear: bearScore, net: netScore },
     signals: signals.slice(0, 5) // Top 5 signals
   };
 }
 
-// Generate story - USE AI SPARINGLY (only every hour or when signal changes)
-async function generateStory(data, analysis) {
-  // Check if we should use AI or fallback
-  const shouldUseAI = shouldRegenerateStory(data, analysis);
-  
-  if (!shouldUseAI || !GROQ_API_KEY) {
-    console.log('📝 Using cached/fallback story (saving tokens)');
-    return generateFallbackStory(data, analysis);
+// Same data scored under every profile, for side by side comparison
+function generateProfileScores(data) {
+  const scores = {};
+  for (const name of scoringRules.listProfiles()) {
+    const profile = scoringRules.getProfile(name);
+    const analysis = generateAnalysis(data, profile);
+    const plan = generateTradingPlan(data, analysis, profile);
+    scores[name] = {
+      description: profile.description,
+      signal: analysis.signal,
+      label: analysis.label,
+      i18n: { ...(profile.description && { description: i18n.source(profile.description) }), label: analysis.i18n.label },
+      emoji: analysis.emoji,
+      score: analysis.score,
+      bias: plan?.bias || null
+    };
   }
+  return scores;
+}
+
+// Generate story in every locale - USE AI SPARINGLY (only every hour or when signal changes)
+async function generateStory(data, analysis) {
+  // Check if we should use AI or fallback (decided once for every locale)
+  const shouldUseAI = shouldRegenerateStory(data, analysis) && llm.available();
   
-  console.log('🤖 Generating AI story (signal changed or hourly refresh)');
+  if (shouldUseAI) console.log('🤖 Generating AI story (signal changed or hourly refresh)');
+  else console.log('📝 Using cached/fallback story (saving tokens)');
   
+  const stories = {};
+  for (const locale of i18n.locales()) {
+    stories[locale] = (shouldUseAI && await generateAIStory(data, analysis, locale)) || generateFallbackStory(data, analysis, locale);
+  }
+  if (shouldUseAI) saveStoryCache(data, analysis, stories[i18n.DEFAULT_LOCALE]);
+  return stories;
+}
+
+async function generateAIStory(data, analysis, locale) {
   try {
     // OPTIMIZED: Shorter prompt, smaller model
-    const prompt = `Marché crypto - Explique en 3 phrases simples:
-F&G: ${data.fearGreed?.current}, Signal: ${analysis.label}, ETF: ${data.etf?.daily > 0 ? '+' : ''}${data.etf?.daily}M
-Style: ami qui explique, émotionnel, pas de jargon.`;
-
-    const response = await new Promise((resolve, reject) => {
-      const reqData = JSON.stringify({
-        model: 'llama-3.1-8b-instant', // SMALLER MODEL = less tokens
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.7,
-        max_tokens: 150 // REDUCED from 300
-      });
-      
-      const req = https.request({
-        hostname: 'api.groq.com',
-        path: '/openai/v1/chat/completions',
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${GROQ_API_KEY}`, 'Content-Type': 'application/json' }
-      }, res => {
-        let body = '';
-        res.on('data', c => body += c);
-        res.on('end', () => resolve(JSON.parse(body)));
-      });
-      req.on('error', reject);
-      req.write(reqData);
-      req.end();
-    });
-    
-    const story = response.choices?.[0]?.message?.content?.trim();
-    if (story) {
-      // Cache the result
-      saveStoryCache(data, analysis, story);
-      return story;
-    }
-    return generateFallbackStory(data, analysis);
+    const prompt = i18n.t('prompt.story', {
+      fearGreed: data.fearGreed?.current,
+      signal: i18n.render(analysis.i18n.label, locale),
+      etf: `${data.etf?.daily > 0 ? '+' : ''}${data.etf?.daily}`
+    }, locale);
+    return await llm.complete(prompt, { temperature: 0.7, maxTokens: 150, maxPromptTokens: 200 });
   } catch (e) {
-    console.error('Story generation error:', e.message);
-    return generateFallbackStory(data, analysis);
+    console.error(`Story generation error (${locale}):`, e.message);
+    return null;
   }
 }
 
 // Check if we should regenerate story (signal changed or >1 hour since last AI story)
 function shouldRegenerateStory(data, analysis) {
   try {
-    const cachePath = path.join(__dirname, '..', '.story-cache.json');
+    const cachePath = http.statePath('.story-cache.json');
     if (!fs.existsSync(cachePath)) return true;
     
     const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
-    const hourAgo = Date.now() - 60 * 60 * 1000;
+    const hourAgo = http.now() - 60 * 60 * 1000;
     
     // Regenerate if signal changed OR more than 1 hour old
     if (cache.signal !== analysis.label) return true;
@@ -952,47 +814,48 @@ function shouldRegenerateStory(data, analysis) {
 
 function saveStoryCache(data, analysis, story) {
   try {
-    const cachePath = path.join(__dirname, '..', '.story-cache.json');
-    fs.writeFileSync(cachePath, JSON.stringify({
+    const cachePath = http.statePath('.story-cache.json');
+    writeFileAtomic(cachePath, JSON.stringify({
       signal: analysis.label,
       fearGreed: data.fearGreed?.current,
       story,
-      timestamp: Date.now()
+      timestamp: http.now()
     }));
   } catch (e) {}
 }
 
-function generateFallbackStory(data, analysis) {
+function generateFallbackStory(data, analysis, locale = i18n.DEFAULT_LOCALE) {
   const fg = data.fearGreed?.current || 50;
   const hfShort = data.cot?.categories.leveragedFunds.shortPct || 50;
   const etf = data.etf?.daily || 0;
+  const t = (id, params) => i18n.t(`data.story.${id}`, params, locale);
   
   let story = '';
   
   if (fg <= 20) {
-    story = `Le marché est en <strong>panique totale</strong>. Le Fear & Greed à ${fg} montre que tout le monde a peur. `;
+    story = t('panic', { fg });
   } else if (fg <= 40) {
-    story = `Le marché reste <strong>nerveux</strong>. Avec un Fear & Greed à ${fg}, la prudence domine. `;
+    story = t('nervous', { fg });
   } else if (fg >= 75) {
-    story = `L'<strong>euphorie</strong> s'installe. Un Fear & Greed à ${fg} signale que le marché s'emballe. `;
+    story = t('euphoria', { fg });
   } else {
-    story = `Le marché cherche sa direction. Le Fear & Greed à ${fg} montre une <strong>hésitation</strong>. `;
+    story = t('hesitation', { fg });
   }
   
   if (hfShort > 60) {
-    story += `<strong>${hfShort}% des hedge funds</strong> parient contre Bitcoin - ils pourraient se faire piéger. `;
+    story += t('hedgeFundsShort', { hfShort });
   }
   
   if (etf > 50) {
-    story += `Les ETF ont attiré <span class="highlight-green">+$${etf}M</span> - les institutions accumulent. `;
+    story += t('etfInflows', { etf });
   } else if (etf < -50) {
-    story += `Les ETF perdent <span class="highlight-red">$${Math.abs(etf)}M</span> - les institutions prennent leurs profits. `;
+    story += t('etfOutflows', { etf: Math.abs(etf) });
   }
   
   if (analysis.signal.includes('accumulation')) {
-    story += `<strong>C'est souvent dans ces moments que les opportunités se créent.</strong>`;
+    story += t('opportunity');
   } else if (analysis.signal.includes('distribution')) {
-    story += `<strong>La prudence est de mise dans ce contexte.</strong>`;
+    story += t('caution');
   }
   
   return story;
@@ -1000,12 +863,48 @@ function generateFallbackStory(data, analysis) {
 
 // ============ TRADING PLAN GENERATOR ============
 
-function generateTradingPlan(data, analysis) {
+// Reward / risk of a target from the middle of the entry zone (null when the levels do not make a trade)
+function riskReward(entry, stop, target) {
+  const risk = Math.abs(entry - stop);
+  const reward = (target - entry) * Math.sign(entry - stop);
+  if (!(risk > 0) || !(reward > 0)) return null;
+  return Math.round(reward / risk * 100) / 100;
+}
+
+// Numeric long and short scenarios from the ranked levels.
+// Long: buy the first support zone, stop under the second support, targets on the resistances.
+// Short: sell the first resistance zone, stop over the second resistance, targets on the supports.
+function buildScenarios(price, entryWidth, decimals = 0) {
+  const round = value => Number(value.toFixed(decimals));
+  const [s1, s2] = price.supports;
+  const [r1, r2] = price.resistances;
+  
+  const scenario = (direction, zone, stop, targets) => {
+    if (!zone || stop === undefined) return null;
+    const entry = round((zone[0] + zone[1]) / 2);
+    return {
+      direction,
+      entryZone: zone,
+      entry,
+      stop,
+      stopDistancePct: Math.round(Math.abs(entry - stop) / entry * 10000) / 100,
+      targets: targets.filter(t => t !== undefined).map(t => ({ price: t, riskReward: riskReward(entry, stop, t) }))
+    };
+  };
+  
+  return {
+    long: scenario('long', s1 !== undefined ? [s1, round(s1 + entryWidth)] : null, s2, [r1, r2]),
+    short: scenario('short', r1 !== undefined ? [round(r1 - entryWidth), r1] : null, r2, [s1, s2])
+  };
+}
+
+function generateTradingPlan(data, analysis, profile = scoringRules.getProfile(analysis.profile)) {
   const price = data.priceData;
   if (!price) return null;
   
   const fg = data.fearGreed?.current || 50;
   const netScore = analysis.score.net;
+  const planRules = profile.plan;
   
   // Check COT positioning for override
   const cot = data.cot?.categories;
@@ -1013,116 +912,107 @@ function generateTradingPlan(data, analysis) {
   const hfNet = cot?.leveragedFunds?.net || 0;
   const instBullish = instNet > 0;
   const hfBullish = hfNet > 0;
-  const smartMoneySells = !instBullish && hfBullish; // Institutions SHORT + HF LONG
-  const squeezeSetup = instBullish && !hfBullish; // Institutions LONG + HF SHORT
+  const smartMoneySells = planRules.cotOverrides && !instBullish && hfBullish; // Institutions SHORT + HF LONG
+  const squeezeSetup = planRules.cotOverrides && instBullish && !hfBullish; // Institutions LONG + HF SHORT
   
   // Determine bias - COT can override score
-  let bias, biasEmoji, biasStrength;
+  let bias, biasEmoji, strengthMessage;
+  // Tier level (strong / moderate / wait) decides the action and the risk, the strength is only displayed
+  let strong = false;
   
   // COT override: Smart Money selling = PRUDENCE regardless of score
   if (smartMoneySells) {
     bias = 'PRUDENCE';
     biasEmoji = '🟡';
-    biasStrength = 'Smart Money vend';
+    strengthMessage = i18n.message('data.plan.strength.smartMoneySells');
   }
   // COT override: Squeeze setup = ACHAT signal
-  else if (squeezeSetup && netScore >= 0) {
+  else if (squeezeSetup && netScore >= planRules.squeezeMinScore) {
     bias = 'ACHAT';
     biasEmoji = '🟢';
-    biasStrength = 'Setup Squeeze';
+    strengthMessage = i18n.message('data.plan.strength.squeezeSetup');
   }
   // Normal score-based logic
-  else if (netScore >= 5) {
-    bias = 'ACHAT';
-    biasEmoji = '🟢';
-    biasStrength = 'Fort';
-  } else if (netScore >= 2) {
-    bias = 'ACHAT';
-    biasEmoji = '🟢';
-    biasStrength = 'Modéré';
-  } else if (netScore <= -5) {
-    bias = 'VENTE';
-    biasEmoji = '🔴';
-    biasStrength = 'Fort';
-  } else if (netScore <= -2) {
-    bias = 'PRUDENCE';
-    biasEmoji = '🟡';
-    biasStrength = 'Modéré';
-  } else {
-    bias = 'NEUTRE';
-    biasEmoji = '⚪';
-    biasStrength = 'Attente';
+  else {
+    const tier = scoringRules.pickTier(planRules.bias, netScore);
+    bias = tier.direction;
+    biasEmoji = tier.emoji;
+    strengthMessage = i18n.source(tier.strength);
+    strong = tier.level === 'strong';
   }
   
-  // Key levels
-  const entryZone = price.supports[0] ? `$${price.supports[0].toLocaleString()} - $${(price.supports[0] + 1500).toLocaleString()}` : null;
+  // Key levels (entry zone width depends on the asset: $1500 for BTC)
+  const asset = ASSETS[price.asset] || ASSETS.BTC;
+  const entryWidth = asset.entryWidth;
+  const entryZone = price.supports[0] ? `$${price.supports[0].toLocaleString()} - $${(price.supports[0] + entryWidth).toLocaleString()}` : null;
   const invalidation = price.supports[1] ? `$${price.supports[1].toLocaleString()}` : null;
   const target1 = price.resistances[0] ? `$${price.resistances[0].toLocaleString()}` : null;
   const target2 = price.resistances[1] ? `$${price.resistances[1].toLocaleString()}` : null;
   
-  // Time horizon based on volatility and signals
+  // Time horizon based on realized volatility (7d vs 90d) and sentiment extremes
+  const volatility = price.indicators?.volatility;
   let horizon, horizonDetail;
-  if (fg <= 20 || fg >= 80) {
-    horizon = '24-72h';
-    horizonDetail = 'Extrême Fear/Greed = retournement rapide possible';
+  if (volatility?.regime === 'high') {
+    horizon = 'short';
+    horizonDetail = i18n.message('data.plan.horizon.volatilityHigh', { realized7d: volatility.realized7d });
+  } else if (fg <= 20 || fg >= 80) {
+    horizon = 'short';
+    horizonDetail = i18n.message('data.plan.horizon.extremeSentiment');
+  } else if (volatility?.regime === 'low') {
+    horizon = 'long';
+    horizonDetail = i18n.message('data.plan.horizon.volatilityLow', { realized7d: volatility.realized7d });
   } else {
-    horizon = '1-2 semaines';
-    horizonDetail = 'Conditions normales, patience requise';
+    horizon = 'medium';
+    horizonDetail = i18n.message('data.plan.horizon.normal');
   }
   
   // Main factor hierarchy
   const factors = [];
-  if (fg <= 20) factors.push({ level: 'PRINCIPAL', text: `Fear & Greed extrême (${fg}) - historiquement zone d'achat` });
-  else if (fg >= 80) factors.push({ level: 'PRINCIPAL', text: `Greed extrême (${fg}) - historiquement zone de vente` });
+  const factor = (level, id, params) => factors.push({ level, ...i18n.texts({ text: i18n.message(`data.plan.factor.${id}`, params) }) });
+  if (fg <= 20) factor('PRINCIPAL', 'extremeFear', { fg });
+  else if (fg >= 80) factor('PRINCIPAL', 'extremeGreed', { fg });
   
   if (data.cot?.categories.leveragedFunds.shortPct > 60) {
-    factors.push({ level: factors.length ? 'CONFIRMANT' : 'PRINCIPAL', text: `Hedge Funds ${data.cot.categories.leveragedFunds.shortPct}% short - squeeze possible` });
+    factor(factors.length ? 'CONFIRMANT' : 'PRINCIPAL', 'hedgeFundsShort', { shortPct: data.cot.categories.leveragedFunds.shortPct });
   }
   if (data.etf?.weekly < -300) {
-    factors.push({ level: 'ATTENTION', text: `ETF outflows semaine: $${data.etf.weekly}M - pression vendeuse` });
+    factor('ATTENTION', 'etfOutflows', { weekly: data.etf.weekly });
   } else if (data.etf?.daily > 100) {
-    factors.push({ level: factors.length ? 'CONFIRMANT' : 'PRINCIPAL', text: `ETF inflows: +$${data.etf.daily}M aujourd'hui` });
+    factor(factors.length ? 'CONFIRMANT' : 'PRINCIPAL', 'etfInflows', { daily: data.etf.daily });
   }
   if (data.hashrate?.trend === 'dropping') {
-    factors.push({ level: 'SECONDAIRE', text: `Hashrate en baisse (${data.hashrate.changeFromPeak}%) - mineurs sous pression` });
+    factor('SECONDAIRE', 'hashrateDropping', { changeFromPeak: data.hashrate.changeFromPeak });
   }
   
   // Invalidation conditions
   const invalidationText = invalidation 
-    ? `Clôture daily sous ${invalidation} = scénario bullish invalidé`
-    : 'Cassure du support principal = invalidation';
-  
-  // Action recommendation
-  let action, actionDetail;
-  if (bias === 'ACHAT' && biasStrength === 'Fort') {
-    action = 'Accumulation progressive';
-    actionDetail = `DCA sur la zone ${entryZone}. Ne pas FOMO sur les pumps.`;
-  } else if (bias === 'ACHAT' && biasStrength === 'Setup Squeeze') {
-    action = 'Surveiller le squeeze';
-    actionDetail = `Les institutions accumulent, les HF sont short. Entrée possible sur ${entryZone} avec stop serré.`;
+    ? i18n.message('data.plan.invalidation.close', { invalidation })
+    : i18n.message('data.plan.invalidation.default');
+  
+  // Action recommendation (data.plan.action.<key>.recommendation / .detail)
+  let action;
+  if (bias === 'ACHAT' && strong) {
+    action = 'accumulate';
+  } else if (bias === 'ACHAT' && strengthMessage.id === 'data.plan.strength.squeezeSetup') {
+    action = 'watchSqueeze';
   } else if (bias === 'ACHAT') {
-    action = 'Observer pour entrée';
-    actionDetail = `Attendre un repli vers ${entryZone} pour position.`;
+    action = 'waitEntry';
   } else if (bias === 'PRUDENCE' && smartMoneySells) {
-    action = 'Éviter les achats';
-    actionDetail = 'Les institutions vendent pendant que les spéculateurs achètent. Historiquement, mauvais timing pour entrer. Attendre un retournement du COT.';
+    action = 'avoidBuying';
   } else if (bias === 'PRUDENCE') {
-    action = 'Prudence';
-    actionDetail = 'Signaux mitigés. Réduire la taille des positions ou attendre.';
+    action = 'caution';
   } else if (bias === 'VENTE') {
-    action = 'Réduire exposition';
-    actionDetail = 'Prendre des profits partiels. Éviter les nouveaux achats.';
+    action = 'reduce';
   } else {
-    action = 'Attendre';
-    actionDetail = 'Pas de signal clair. Rester en cash ou position réduite.';
+    action = 'wait';
   }
   
   // Risk management
-  const riskPercent = biasStrength === 'Fort' ? '3-5%' : '1-2%';
+  const riskPercent = strong ? '3-5%' : '1-2%';
   
   return {
-    bias: { direction: bias, emoji: biasEmoji, strength: biasStrength },
-    horizon: { timeframe: horizon, detail: horizonDetail },
+    bias: { direction: bias, emoji: biasEmoji, ...i18n.texts({ strength: strengthMessage }) },
+    horizon: { id: horizon, ...i18n.texts({ timeframe: i18n.message(`data.plan.horizon.${horizon}`), detail: horizonDetail }) },
     levels: {
       currentPrice: `$${price.current.toLocaleString()}`,
       entryZone,
@@ -1131,57 +1021,232 @@ function generateTradingPlan(data, analysis) {
       target2
     },
     factors: factors.slice(0, 3),
-    invalidationText,
-    action: { recommendation: action, detail: actionDetail },
-    risk: { maxPosition: riskPercent, note: 'du capital par trade' }
+    ...i18n.texts({ invalidationText }),
+    action: i18n.texts({
+      recommendation: i18n.message(`data.plan.action.${action}.recommendation`),
+      detail: i18n.message(`data.plan.action.${action}.detail`, { entryZone })
+    }),
+    risk: { maxPosition: riskPercent, ...i18n.texts({ note: i18n.message('data.plan.risk.note') }) },
+    // Numbers behind the levels, for the position size calculator
+    scenarios: buildScenarios(price, entryWidth, asset.decimals),
+    preferredScenario: bias === 'ACHAT' ? 'long' : bias === 'VENTE' ? 'short' : null
+  };
+}
+
+// ============ SOURCES ============
+
+// Every upstream declared once: TTL (reuse last success), timeout and fallback chain.
+// Health of each source ends up in data.json "sources" for the dashboard.
+const MIN = 60 * 1000;
+
+sources.register({ name: 'fearGreed', upstream: 'alternative.me', fetch: fetchFearGreed });
+sources.register({ name: 'longShort', upstream: 'Binance Futures', fetch: fetchLongShort });
+sources.register({ name: 'openInterest', upstream: 'Binance Futures', fetch: fetchOpenInterest });
+sources.register({ name: 'funding', upstream: 'Binance Futures', fetch: fetchFunding });
+sources.register({ name: 'liquidations', upstream: 'Binance forceOrders', fetch: fetchLiquidations });
+sources.register({ name: 'priceData', upstream: 'Binance Spot', fetch: fetchPriceData });
+sources.register({
+  name: 'hashrate',
+  upstream: 'mempool.space',
+  ttl: 30 * MIN,
+  fetch: fetchHashrate,
+  fallbacks: [{ name: 'blockchain.info', upstream: 'blockchain.info', fetch: fetchHashrateBlockchainInfo }]
+});
+sources.register({
+  name: 'cot',
+  upstream: 'CFTC',
+  ttl: 6 * 60 * MIN,
+  timeout: 3 * MIN, // yearly archives on the first run
+  maxStale: 14 * 24 * 60 * MIN,
+  fetch: fetchCOTData
+});
+sources.register({
+  name: 'etf',
+  upstream: 'CoinGlass',
+  fetch: fetchETFFlows,
+  fallbacks: [{ name: 'manual', upstream: 'static', fetch: getETFFallback, static: true }]
+});
+sources.register({ name: 'hyperliquid', upstream: 'Hyperliquid', fetch: fetchHyperliquid });
+sources.register({ name: 'whales', upstream: 'Binance Futures', fetch: fetchWhalePositions });
+sources.register({ name: 'mvrv', upstream: 'CoinMetrics', ttl: 6 * 60 * MIN, fetch: fetchMVRV });
+
+// Other assets: same Binance/Hyperliquid fetchers as BTC, one source per asset ("ETH.priceData"...)
+const ASSET_SOURCES = {
+  priceData: { upstream: 'Binance Spot', fetch: fetchPriceData },
+  funding: { upstream: 'Binance Futures', fetch: fetchAssetFunding },
+  openInterest: { upstream: 'Binance Futures', fetch: fetchOpenInterest },
+  longShort: { upstream: 'Binance Futures', fetch: fetchLongShort },
+  liquidations: { upstream: 'Binance forceOrders', fetch: fetchLiquidations },
+  whales: { upstream: 'Binance Futures', fetch: fetchWhalePositions },
+  hyperliquid: { upstream: 'Hyperliquid', fetch: fetchAssetHyperliquid }
+};
+
+const altSourceNames = [];
+for (const asset of Object.values(ASSETS)) {
+  if (asset.key === 'BTC') continue; // BTC uses the main sources above
+  for (const [field, def] of Object.entries(ASSET_SOURCES)) {
+    const name = `${asset.key}.${field}`;
+    sources.register({ name, upstream: def.upstream, fetch: () => def.fetch(asset) });
+    altSourceNames.push(name);
+  }
+}
+
+// Per-asset section of data.json. BTC reuses the main data (and its COT/ETF aware analysis),
+// other assets are scored on the shared Fear & Greed plus their own derivatives.
+function buildAssets(data, analysis, tradingPlan, altValues, profile) {
+  const assets = {
+    BTC: {
+      priceData: data.priceData,
+      funding: data.funding && {
+        current: data.funding.btc.current,
+        avg24h: data.funding.btc.avg24h,
+        sentiment: data.funding.sentiment,
+        signal: data.funding.signal
+      },
+      openInterest: data.openInterest,
+      longShort: data.longShort,
+      liquidations: data.liquidations,
+      whales: data.whales,
+      hyperliquid: data.hyperliquid && { ...data.hyperliquid.btc, signal: data.hyperliquid.signal, interpretation: data.hyperliquid.interpretation, i18n: data.hyperliquid.i18n },
+      analysis,
+      tradingPlan
+    }
   };
+  
+  for (const asset of Object.values(ASSETS)) {
+    if (asset.key === 'BTC') continue;
+    const values = {};
+    for (const field of Object.keys(ASSET_SOURCES)) values[field] = altValues[`${asset.key}.${field}`];
+    
+    const assetData = { fearGreed: data.fearGreed, ...values };
+    const assetAnalysis = generateAnalysis(assetData, profile);
+    assets[asset.key] = {
+      ...values,
+      analysis: assetAnalysis,
+      tradingPlan: generateTradingPlan(assetData, assetAnalysis, profile)
+    };
+  }
+  return assets;
 }
 
 // ============ MAIN ============
 
 async function main() {
+  // Scoring profile: --profile=<name> or SCORING_PROFILE (rules are validated before any fetch)
+  const profileArg = process.argv.find(a => a.startsWith('--profile='))?.split('=')[1];
+  const profile = scoringRules.getProfile(profileArg);
+  const alertConfig = alerts.loadConfig();
+  console.log(`⚖️ Scoring profile: ${profile.name}`);
+  
   console.log('🚀 Fetching market data...');
   
-  const [fearGreed, longShort, openInterest, funding, liquidations, hashrate, priceData] = await Promise.all([
-    fetchFearGreed(),
-    fetchLongShort(),
-    fetchOpenInterest(),
-    fetchFunding(),
-    fetchLiquidations(),
-    fetchHashrate(),
-    fetchPriceData()
-  ]);
+  const market = await sources.run(['fearGreed', 'longShort', 'openInterest', 'funding', 'liquidations', 'hashrate', 'priceData']);
   
   console.log('📊 Fetching COT + new indicators...');
-  const [cot, etf, hyperliquid, whales, mvrv] = await Promise.all([
-    fetchCOTData(),
-    fetchETFFlows(),
-    fetchHyperliquid(),
-    fetchWhalePositions(),
-    fetchMVRV()
-  ]);
+  const indicators = await sources.run(['cot', 'etf', 'hyperliquid', 'whales', 'mvrv']);
+  
+  console.log('🪙 Fetching other assets...');
+  const alts = await sources.run(altSourceNames);
   
-  const data = { fearGreed, longShort, openInterest, funding, liquidations, hashrate, priceData, cot, etf, hyperliquid, whales, mvrv };
+  const data = { ...market.values, ...indicators.values };
+  const sourceReports = { ...market.reports, ...indicators.reports, ...alts.reports };
+  
+  const degraded = Object.entries(sourceReports).filter(([, r]) => r.status !== 'ok' && r.status !== 'cached');
+  if (degraded.length > 0) {
+    console.log('⚠️ Degraded sources:', degraded.map(([name, r]) => `${name} (${r.status})`).join(', '));
+  }
   
   console.log('🧠 Generating analysis...');
-  const analysis = generateAnalysis(data);
+  const analysis = generateAnalysis(data, profile);
   
   console.log('🎯 Generating trading plan...');
-  const tradingPlan = generateTradingPlan(data, analysis);
+  const tradingPlan = generateTradingPlan(data, analysis, profile);
+  const analysisProfiles = generateProfileScores(data);
+  const assets = buildAssets(data, analysis, tradingPlan, alts.values, profile);
+  
+  console.log('📋 Scoring past plans...');
+  let trackRecord = null;
+  try {
+    const { summary, added, closed } = scorecard.updateScorecard(assets);
+    added.forEach(p => console.log(`📌 New ${p.asset} plan: ${p.bias} (${p.strength}) ${p.direction} @ ${p.entry}`));
+    closed.forEach(p => console.log(`🏁 ${p.asset} plan of ${p.openedAt}: ${p.outcome}`));
+    trackRecord = summary;
+  } catch (e) {
+    console.error('Scorecard error:', e.message);
+  }
   
   console.log('📝 Writing story...');
-  const story = await generateStory(data, analysis);
+  const stories = await generateStory(data, analysis);
+  
+  // Texts generated in the other locales (the rest is translated from the i18n maps)
+  const translations = {};
+  for (const locale of i18n.locales().slice(1)) translations[locale] = { story: stories[locale] };
   
   const output = {
-    updatedAt: new Date().toISOString(),
+    schemaVersion: schema.versionOf('data'),
+    updatedAt: new Date(http.now()).toISOString(),
     ...data,
     analysis,
+    analysisProfiles,
     tradingPlan,
-    story
+    assets,
+    trackRecord,
+    story: stories[i18n.DEFAULT_LOCALE],
+    translations,
+    sources: sourceReports
   };
   
-  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(output, null, 2));
+  // Previous run, for the alerts
+  let previous = null;
+  try {
+    if (fs.existsSync(OUTPUT_PATH)) previous = JSON.parse(fs.readFileSync(OUTPUT_PATH, 'utf8'));
+  } catch (e) {}
+  
+  // A malformed snapshot is never published: the dashboard keeps the previous data.json
+  schema.assertValid(output, 'data');
+  writeFileAtomic(OUTPUT_PATH, JSON.stringify(output, null, 2));
   console.log('✅ Data saved! Signal:', analysis.label);
+  
+  // Signal transitions for the dashboard timeline (published next to data.json)
+  try {
+    const changes = journal.updateJournal(JOURNAL_PATH, output, http.now());
+    changes.forEach(c => console.log(`🔀 ${c.name}: ${c.fromLabel} → ${c.toLabel}`));
+  } catch (e) {
+    console.error('Journal error:', e.message);
+  }
+  
+  // Keep every snapshot in the history store (data.json is overwritten each run).
+  // A replay is not a new snapshot and sends no alert (a recorded run sends none either, lib/alerts).
+  if (http.MODE === 'replay') return;
+  try {
+    history.appendSnapshot(output);
+  } catch (e) {
+    console.error('History error:', e.message);
+  }
+  
+  try {
+    await alerts.runAlerts(output, previous, { config: alertConfig });
+  } catch (e) {
+    console.error('Alerts error:', e.message);
+  }
+}
+
+if (require.main === module) {
+  main().catch(e => { console.error('Fatal error:', e); process.exit(1); });
 }
 
-main().catch(e => { console.error('Fatal error:', e); process.exit(1); });
+module.exports = {
+  ASSETS,
+  computePriceLevels,
+  buildFearGreed,
+  buildFunding,
+  buildAssetFunding,
+  buildAssetHyperliquid,
+  buildHashrate,
+  parseCOTReport,
+  parseCOTLine,
+  generateAnalysis,
+  generateProfileScores,
+  generateTradingPlan,
+  buildScenarios
+};
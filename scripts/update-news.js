@@ -1,49 +1,49 @@
 #!/usr/bin/env node
 /**
  * MAMOS DASHBOARD - Smart News Engine
- * Fetches news + analyzes with market context + explains price impact
+ * Fetches news + analyzes with market context + explains price impact,
+ * then measures the real BTC move after the published articles (lib/news-impact)
  */
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const http = require('./lib/http');
+const schema = require('./lib/schema');
+const { writeFileAtomic } = require('./lib/atomic');
+const llm = require('./lib/llm');
+const feeds = require('./lib/feeds');
+const newsClusters = require('./lib/news-clusters');
+const articleStore = require('./lib/article-store');
+const newsClassifier = require('./lib/news-classifier');
+const newsImpact = require('./lib/news-impact');
+const i18n = require('./lib/i18n');
+const newsAnalysis = require('./lib/news-analysis');
 
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const OUTPUT_PATH = path.join(__dirname, '..', 'news.json');
-const DATA_PATH = path.join(__dirname, '..', 'data.json');
+const OUTPUT_DIR = process.env.OUTPUT_DIR || path.join(__dirname, '..');
+const OUTPUT_PATH = path.join(OUTPUT_DIR, 'news.json');
+const DATA_PATH = path.join(OUTPUT_DIR, 'data.json');
 
-function fetch(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, { headers: { 'User-Agent': 'MamosDashboard/2.0' } }, res => {
-      let data = '';
-      res.on('data', c => data += c);
-      res.on('end', () => resolve(data));
-    }).on('error', reject);
-  });
-}
+// Articles analyzed per run
+const MAX_NEWS = 5;
 
-function parseRSS(xml) {
-  const items = [];
-  const regex = /<item>([\s\S]*?)<\/item>/g;
-  let match;
-  
-  while ((match = regex.exec(xml)) !== null) {
-    const item = match[1];
-    const title = item.match(/<title><!\[CDATA\[(.*?)\]\]><\/title>/)?.[1] 
-                  || item.match(/<title>(.*?)<\/title>/)?.[1] || '';
-    const link = item.match(/<link>(.*?)<\/link>/)?.[1] || '';
-    const pubDate = item.match(/<pubDate>(.*?)<\/pubDate>/)?.[1] || '';
-    const desc = item.match(/<description><!\[CDATA\[(.*?)\]\]><\/description>/)?.[1]
-                 || item.match(/<description>(.*?)<\/description>/)?.[1] || '';
-    
-    if (title) items.push({ 
-      title: title.trim(), 
-      link: link.replace(/<!\[CDATA\[(.*?)\]\]>/g, '$1').trim(),
-      date: pubDate,
-      description: desc.replace(/<[^>]*>/g, '').slice(0, 500)
-    });
-  }
-  return items;
+/**
+ * Newest stories first, the weight of their feed and their coverage shrinking their age
+ * (weight 2: a story 6h old ranks like one 3h old; each other source counts for half a weight).
+ * Stories without a date come last.
+ * @param {Object[]} stories - lib/news-clusters cluster() representatives
+ * @returns {Object[]} the `count` best
+ */
+function selectNews(stories, now, count = MAX_NEWS) {
+  const rank = n => {
+    const time = new Date(n.date).getTime();
+    if (Number.isNaN(time)) return Infinity;
+    return Math.max(0, now - time) / ((n.weight || 1) * (1 + ((n.coverage || 1) - 1) / 2));
+  };
+  return stories
+    .map(n => ({ n, rank: rank(n) }))
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, count)
+    .map(({ n }) => n);
 }
 
 // Get current market context
@@ -58,224 +58,158 @@ function getMarketContext() {
         institutionsSignal: data.cot?.categories?.assetManagers?.signal,
         etfFlow: data.etf?.daily,
         fundingRate: data.funding?.btc?.current,
-        signal: data.analysis?.label
+        signal: data.analysis?.label,
+        signalMessage: data.analysis?.i18n?.label
       };
     }
   } catch (e) {}
   return null;
 }
 
-// Analyze news with AI + market context
-async function analyzeNews(newsItems, context) {
-  if (!GROQ_API_KEY) {
-    return newsItems.map(n => ({
-      ...n,
-      titleFr: n.title,
-      summary: n.description.slice(0, 150),
-      impact: 'neutre',
-      priceEffect: 'Impact incertain',
-      importance: 3
-    }));
-  }
-  
-  const contextStr = context ? `
-CONTEXTE MARCHÉ ACTUEL:
-- Fear & Greed: ${context.fearGreed}/100 (${context.fearGreedLabel})
-- Hedge Funds: ${context.hedgeFundsShort}% SHORT
-- Institutions: ${context.institutionsSignal}
-- ETF Flows 24h: ${context.etfFlow > 0 ? '+' : ''}$${context.etfFlow}M
-- Funding Rate: ${context.fundingRate}%
-- Signal global: ${context.signal}
-` : '';
-
-  const prompt = `Tu es un analyste crypto expert. Analyse ces news EN CONTEXTE du marché actuel.
-${contextStr}
-
-NEWS À ANALYSER:
-${newsItems.map((n, i) => `${i+1}. ${n.title}\n   ${n.description.slice(0, 200)}`).join('\n\n')}
-
-Pour CHAQUE news, donne:
-1. titleFr: Titre traduit en français (accrocheur, max 60 chars)
-2. summary: Résumé en 1 phrase simple (pour débutant)
-3. impact: "bullish", "bearish", ou "neutre"
-4. priceEffect: Explication de l'impact potentiel sur le prix (1-2 phrases, en contexte du marché actuel)
-5. importance: Note de 1-5 (5 = très important pour un trader)
-6. contextLink: Comment cette news se connecte au contexte actuel (1 phrase)
-
-IMPORTANT: Prends en compte le contexte marché ! Une news bullish dans un marché en fear extrême = potentiel rebond. Une news bearish quand tout le monde est short = peut-être déjà pricé.
-
-Réponds en JSON valide uniquement:
-[{"index": 1, "titleFr": "...", "summary": "...", "impact": "...", "priceEffect": "...", "importance": 5, "contextLink": "..."}, ...]`;
+// Global signal of data.json in a locale
+function contextSignal(context, locale) {
+  return context.signalMessage ? i18n.render(context.signalMessage, locale) : context.signal;
+}
 
-  try {
-    const response = await new Promise((resolve, reject) => {
-      const data = JSON.stringify({
-        model: 'llama-3.1-8b-instant', // SMALLER MODEL = less tokens
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.4,
-        max_tokens: 1500 // REDUCED from 2500
-      });
-      
-      const req = https.request({
-        hostname: 'api.groq.com',
-        path: '/openai/v1/chat/completions',
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${GROQ_API_KEY}`, 'Content-Type': 'application/json' }
-      }, res => {
-        let body = '';
-        res.on('data', c => body += c);
-        res.on('end', () => {
-          try { resolve(JSON.parse(body)); }
-          catch { reject(new Error('Invalid JSON')); }
-        });
-      });
-      req.on('error', reject);
-      req.write(data);
-      req.end();
-    });
-    
-    const content = response.choices?.[0]?.message?.content || '';
-    const jsonMatch = content.match(/\[[\s\S]*\]/);
-    if (jsonMatch) {
-      const analysis = JSON.parse(jsonMatch[0]);
-      return newsItems.map((n, i) => {
-        const a = analysis.find(x => x.index === i + 1) || {};
-        return {
-          ...n,
-          titleFr: a.titleFr || n.title,
-          summary: a.summary || n.description.slice(0, 150),
-          impact: a.impact || 'neutre',
-          priceEffect: a.priceEffect || '',
-          importance: a.importance || 3,
-          contextLink: a.contextLink || ''
-        };
-      });
-    }
-  } catch (e) {
-    console.error('AI analysis error:', e.message);
+// Analyze news with AI + market context → { news, stats }, written in the locale (prompts in locales/*.json).
+// Without a model the lexicon of lib/news-classifier reads them.
+async function analyzeNews(newsItems, context, locale = i18n.DEFAULT_LOCALE) {
+  if (!llm.available()) {
+    return {
+      news: newsItems.map(n => ({ ...n, ...newsClassifier.analysis(n, locale), fallback: true })),
+      stats: null
+    };
   }
   
-  return newsItems.map(n => ({
-    ...n,
-    titleFr: n.title,
-    summary: n.description.slice(0, 150),
-    impact: 'neutre',
-    priceEffect: '',
-    importance: 3
-  }));
+  const contextStr = context ? i18n.t('prompt.news.context', {
+    ...context,
+    etfFlow: `${context.etfFlow > 0 ? '+' : ''}$${context.etfFlow}`,
+    signal: contextSignal(context, locale)
+  }, locale) : '';
+  
+  const prompt = i18n.t('prompt.news.analyze', {
+    context: contextStr,
+    news: newsItems.map((n, i) => `${i+1}. ${n.title}\n   ${n.description.slice(0, 200)}`).join('\n\n')
+  }, locale);
+  
+  // Checked entry by entry against schemas/news-analysis.schema.json (repair pass, per-article fallback)
+  return newsAnalysis.analyze(newsItems, prompt, { locale, temperature: 0.4, maxTokens: 1500, maxPromptTokens: 3000 });
+}
+
+// Market context as the narrative prompt reads it (also keys the saved narrative)
+function narrativeContext(context, locale) {
+  return context ? {
+    fearGreed: context.fearGreed,
+    fearGreedLabel: context.fearGreedLabel,
+    hedgeFundsShort: context.hedgeFundsShort,
+    etfFlow: `${context.etfFlow > 0 ? '+' : ''}$${context.etfFlow}`,
+    signal: contextSignal(context, locale)
+  } : null;
 }
 
 // Generate market narrative combining news + data
-async function generateNarrative(news, context) {
-  if (!GROQ_API_KEY || !context) return null;
+async function generateNarrative(news, context, locale = i18n.DEFAULT_LOCALE) {
+  if (!llm.available() || !context) return null;
   
   const topNews = news.filter(n => n.importance >= 4).slice(0, 3);
   if (topNews.length === 0) return null;
   
-  const prompt = `Tu es un analyste crypto qui parle à des débutants.
-
-CONTEXTE MARCHÉ:
-- Fear & Greed: ${context.fearGreed}/100 (${context.fearGreedLabel})
-- Hedge Funds: ${context.hedgeFundsShort}% SHORT sur Bitcoin
-- ETF Flows: ${context.etfFlow > 0 ? '+' : ''}$${context.etfFlow}M
-- Signal Smart Money: ${context.signal}
-
-NEWS IMPORTANTES DU JOUR:
-${topNews.map(n => `- ${n.titleFr}: ${n.summary}`).join('\n')}
-
-Écris un PARAGRAPHE (4-5 phrases) qui:
-1. Relie les news au contexte du marché
-2. Explique ce que ça signifie pour le prix
-3. Donne une perspective actionnable (attendre, accumuler, prudence)
-4. Utilise un ton accessible, pas de jargon
-
-Réponds uniquement avec le paragraphe, sans introduction.`;
-
+  const prompt = i18n.t('prompt.narrative', {
+    ...narrativeContext(context, locale),
+    news: topNews.map(n => `- ${n.titleFr}: ${n.summary}`).join('\n')
+  }, locale);
+  
   try {
-    const response = await new Promise((resolve, reject) => {
-      const data = JSON.stringify({
-        model: 'llama-3.1-8b-instant', // SMALLER MODEL
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.7,
-        max_tokens: 250 // REDUCED from 400
-      });
-      
-      const req = https.request({
-        hostname: 'api.groq.com',
-        path: '/openai/v1/chat/completions',
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${GROQ_API_KEY}`, 'Content-Type': 'application/json' }
-      }, res => {
-        let body = '';
-        res.on('data', c => body += c);
-        res.on('end', () => resolve(JSON.parse(body)));
-      });
-      req.on('error', reject);
-      req.write(data);
-      req.end();
-    });
-    
-    return response.choices?.[0]?.message?.content?.trim() || null;
+    return await llm.complete(prompt, { temperature: 0.7, maxTokens: 250, maxPromptTokens: 1000 });
   } catch (e) {
-    console.error('Narrative error:', e.message);
+    console.error(`Narrative error (${locale}):`, e.message);
     return null;
   }
 }
 
-// Check if we should use AI (every 2 hours max)
-function shouldUseAI() {
-  try {
-    const cachePath = path.join(__dirname, '..', '.news-cache.json');
-    if (!fs.existsSync(cachePath)) return true;
-    
-    const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
-    const twoHoursAgo = Date.now() - 2 * 60 * 60 * 1000;
-    
-    return cache.timestamp < twoHoursAgo;
-  } catch (e) {
-    return true;
+/**
+ * Analysis, selection and narrative of the news in one locale. Stories already analyzed come
+ * from the article store, only the new ones go to the model (fallbacks are retried next run).
+ */
+async function buildEdition(allNews, context, locale, store) {
+  const now = http.now();
+  const stored = allNews.map(n => articleStore.analysisOf(store, n, locale));
+  const fresh = allNews.filter((n, i) => !stored[i]);
+  if (fresh.length < allNews.length) console.log(`🗄️ ${allNews.length - fresh.length} news already analyzed (${locale}), ${fresh.length} new`);
+  
+  // Analyze with AI
+  const { news: freshAnalyzed, stats: analysisStats } = await analyzeNews(fresh, context, locale);
+  for (const n of freshAnalyzed) {
+    if (!n.fallback) articleStore.remember(store, n, locale, n, now);
   }
-}
-
-function saveNewsCache() {
-  try {
-    const cachePath = path.join(__dirname, '..', '.news-cache.json');
-    fs.writeFileSync(cachePath, JSON.stringify({ timestamp: Date.now() }));
-  } catch (e) {}
-}
-
-async function main() {
-  console.log('📰 Fetching news...');
+  let next = 0;
+  const analyzed = allNews.map((n, i) => stored[i] ? { ...n, ...stored[i] } : freshAnalyzed[next++]);
   
-  const useAI = shouldUseAI();
-  if (!useAI) {
-    console.log('⏭️ Skipping AI analysis (cache valid, saving tokens)');
-    console.log('✅ News update skipped (will refresh in < 2h)');
-    return;
+  // The lexicon reads the model's stories too: opposite readings are flagged
+  for (const n of analyzed) {
+    const { impact, score, terms } = newsClassifier.classify(n);
+    n.rules = { impact, score, terms };
+    n.disagreement = !n.fallback && newsClassifier.disagree(n.impact, impact);
   }
+  const disagreements = analyzed.filter(n => n.disagreement);
+  if (disagreements.length > 0) console.log(`⚖️ Lexicon disagrees with the model (${locale}) on: ${disagreements.map(n => n.title).join(' | ')}`);
   
-  // Fetch from multiple sources
-  const sources = [
-    { name: 'CoinTelegraph', url: 'https://cointelegraph.com/rss' },
-    { name: 'CoinDesk', url: 'https://www.coindesk.com/arc/outboundfeeds/rss/' }
-  ];
+  // Stories covered by several sources matter more, then filter by importance
+  const important = analyzed
+    .map(n => ({ ...n, importance: newsClusters.boostImportance(n.importance, n.coverage) }))
+    .filter(n => n.importance >= 3)
+    .slice(0, MAX_NEWS);
   
-  let allNews = [];
-  for (const src of sources) {
-    try {
-      const xml = await fetch(src.url);
-      const items = parseRSS(xml).map(n => ({ ...n, source: src.name }));
-      allNews = allNews.concat(items);
-    } catch (e) {
-      console.error(`${src.name} error:`, e.message);
+  // Generate narrative (skip if no important news, same stories in the same market: same narrative)
+  let narrative = null;
+  if (important.length >= 2) {
+    const market = narrativeContext(context, locale);
+    narrative = articleStore.narrativeOf(store, important, market, locale);
+    if (!narrative) {
+      console.log(`📝 Generating market narrative (${locale})...`);
+      narrative = await generateNarrative(important, context, locale);
+      if (narrative) articleStore.rememberNarrative(store, important, market, locale, narrative, now);
     }
   }
   
-  // Sort by date, take top 5 (REDUCED from 8)
-  allNews.sort((a, b) => new Date(b.date) - new Date(a.date));
-  allNews = allNews.slice(0, 5);
+  return {
+    narrative,
+    analysisStats,
+    news: important.map(n => ({
+      title: n.titleFr,
+      titleOriginal: n.title,
+      summary: n.summary,
+      impact: n.impact,
+      priceEffect: n.priceEffect,
+      contextLink: n.contextLink,
+      importance: n.importance,
+      source: n.source,
+      language: n.language,
+      coverage: n.coverage,
+      otherSources: n.otherSources,
+      analyzer: n.fallback ? 'rules' : 'ai',
+      rules: n.rules,
+      disagreement: n.disagreement,
+      link: n.link,
+      date: n.date
+    }))
+  };
+}
+
+async function main() {
+  console.log('📰 Fetching news...');
+  
+  // Fetch every configured feed (config/feeds.json)
+  const feedConfig = feeds.loadConfig();
+  const { items, reports } = await feeds.fetchAll(feedConfig);
+  const failed = Object.keys(reports).filter(name => reports[name].status === 'error');
+  console.log(`📡 ${items.length} articles from ${feedConfig.feeds.length - failed.length}/${feedConfig.feeds.length} feeds${failed.length ? ` (failed: ${failed.join(', ')})` : ''}`);
+  
+  // One article per story, carrying the other sources that covered it
+  const stories = newsClusters.cluster(items);
+  const allNews = selectNews(stories, http.now());
   
-  console.log(`📊 Got ${allNews.length} news, analyzing with market context...`);
+  console.log(`📊 Got ${allNews.length} news (${stories.length} stories in ${items.length} articles), analyzing with market context...`);
   
   // Get market context
   const context = getMarketContext();
@@ -283,48 +217,58 @@ async function main() {
     console.log(`   Context: F&G=${context.fearGreed}, HF Short=${context.hedgeFundsShort}%`);
   }
   
-  // Analyze with AI
-  const analyzed = await analyzeNews(allNews, context);
+  // One edition per locale, the default one published at the top level
+  const store = articleStore.load();
+  const [locale, ...others] = i18n.locales();
+  const { narrative, analysisStats, news } = await buildEdition(allNews, context, locale, store);
+  const translations = {};
+  for (const other of others) {
+    const { analysisStats: _, ...edition } = await buildEdition(allNews, context, other, store);
+    translations[other] = edition;
+  }
   
-  // Filter by importance
-  const important = analyzed.filter(n => n.importance >= 3).slice(0, 5);
+  // Articles still in the feeds stay, the others age out
+  articleStore.touch(store, items, http.now());
+  const removed = articleStore.prune(store, feedConfig.retentionDays * 24 * 60 * 60 * 1000, http.now());
+  if (removed > 0) console.log(`🗄️ ${removed} articles out of the feeds for ${feedConfig.retentionDays} days forgotten`);
+  articleStore.save(store);
   
-  // Generate narrative (skip if no important news)
-  let narrative = null;
-  if (important.length >= 2) {
-    console.log('📝 Generating market narrative...');
-    narrative = await generateNarrative(important, context);
+  // BTC price after the published articles; without candles the prices are filled next run
+  let candles = null;
+  try {
+    candles = await http.getJSON(newsImpact.CANDLES_URL);
+  } catch (e) {
+    console.error('BTC candles error:', e.message);
   }
-  
-  // Save cache timestamp
-  saveNewsCache();
+  const impact = newsImpact.updateImpact(news, candles);
+  const aiCalls = impact.report.byAnalyzer.ai?.['24h'];
+  console.log(`🎯 Impact tracker: ${impact.added.length} new, ${impact.measured.length} measured${aiCalls?.calls ? `, AI calls right ${aiCalls.hitRate}% at 24h (${aiCalls.calls})` : ''}`);
   
   // Save output
   const output = {
-    updatedAt: new Date().toISOString(),
+    schemaVersion: schema.versionOf('news'),
+    updatedAt: new Date(http.now()).toISOString(),
     context: context ? {
       fearGreed: context.fearGreed,
       hedgeFundsShort: context.hedgeFundsShort,
       signal: context.signal
     } : null,
     narrative,
-    news: important.map(n => ({
-      title: n.titleFr,
-      titleOriginal: n.title,
-      summary: n.summary,
-      impact: n.impact,
-      priceEffect: n.priceEffect,
-      contextLink: n.contextLink,
-      importance: n.importance,
-      source: n.source,
-      link: n.link,
-      date: n.date
-    }))
+    analysisStats,
+    feeds: reports,
+    impactReport: impact.report,
+    news,
+    translations
   };
   
-  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(output, null, 2));
-  console.log('✅ News saved with', important.length, 'articles');
+  schema.assertValid(output, 'news');
+  writeFileAtomic(OUTPUT_PATH, JSON.stringify(output, null, 2));
+  console.log('✅ News saved with', news.length, 'articles');
   if (narrative) console.log('✅ Market narrative generated');
 }
 
-main().catch(e => { console.error('Fatal:', e); process.exit(1); });
+if (require.main === module) {
+  main().catch(e => { console.error('Fatal:', e); process.exit(1); });
+}
+
+module.exports = { selectNews, getMarketContext, analyzeNews, buildEdition };
@@ -0,0 +1,181 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const httpServer = require('http');
+const alerts = require('../scripts/lib/alerts');
+
+const config = alerts.loadConfig();
+
+const snapshot = (overrides = {}) => ({
+  analysis: { label: 'Neutre', emoji: '⚪', score: { net: 0 } },
+  fearGreed: { current: 35 },
+  funding: { signal: 'normal', btc: { current: '0.0100' } },
+  etf: { weekly: -120 },
+  hashrate: { trend: 'stable', changeFromPeak: -1 },
+  priceData: { current: 68420 },
+  tradingPlan: { levels: { currentPrice: '$68,420', entryZone: '$68,000 - $69,500', invalidation: '$66,700', target1: '$71,700', target2: '$73,300' } },
+  ...overrides
+});
+
+describe('evaluateAlerts', () => {
+  const fired = (current, previous = snapshot()) => alerts.evaluateAlerts(config.rules, current, previous);
+  
+  test('nothing fires without a change or without a previous run', () => {
+    assert.deepEqual(fired(snapshot()), []);
+    assert.deepEqual(alerts.evaluateAlerts(config.rules, snapshot(), null), []);
+  });
+  
+  test('signal change and funding turning overheated', () => {
+    const events = fired(snapshot({
+      analysis: { label: 'Accumulation', emoji: '🟢', score: { net: 4.5 } },
+      funding: { signal: 'correction_likely', btc: { current: '0.0620' } }
+    }));
+    assert.deepEqual(events.map(e => e.key), ['signalChange:Accumulation', 'fundingOverheated:correction_likely']);
+    assert.equal(events[0].message, '🟢 Signal Mamos : Neutre → Accumulation (score 4.5)');
+    assert.match(events[1].message, /0\.0620%/);
+  });
+  
+  test('levels fire once, when crossed', () => {
+    const greed = fired(snapshot({ fearGreed: { current: 82 } }), snapshot({ fearGreed: { current: 78 } }));
+    assert.deepEqual(greed.map(e => e.message), ['🤑 Fear & Greed passe au-dessus de 80 (82)']);
+    assert.deepEqual(fired(snapshot({ fearGreed: { current: 85 } }), snapshot({ fearGreed: { current: 82 } })), []);
+    assert.deepEqual(fired(snapshot({ etf: { weekly: -640.2 } })).map(e => e.key), ['etfWeeklyOutflow:below']);
+  });
+  
+  test('price crossing a level of the previous plan', () => {
+    const events = fired(snapshot({ priceData: { current: 66500 }, tradingPlan: { levels: { currentPrice: '$66,500' } } }));
+    assert.deepEqual(events.map(e => e.key), ['planLevels:entryZone:68000', 'planLevels:invalidation:66700']);
+    assert.equal(events[1].message, '📉 Prix sous invalidation ($66,700) : $66,500');
+  });
+  
+  test('texts come from the catalogues, in the locale of the config', () => {
+    const current = snapshot({ analysis: { label: 'ACCUMULATION FORTE', emoji: '🟢', score: { net: 6 } }, priceData: { current: 71800 }, tradingPlan: { levels: { currentPrice: '$71,800' } } });
+    const previous = snapshot({ analysis: { label: 'PATIENCE', emoji: '⚪', score: { net: 0 } } });
+    const events = alerts.evaluateAlerts(config.rules, current, previous, 'en');
+    assert.deepEqual(events.map(e => e.message), [
+      '🟢 Mamos signal: PATIENCE → STRONG ACCUMULATION (score 6)',
+      '📈 Price above target 1 ($71,700): $71,800'
+    ]);
+    assert.deepEqual(events[0].i18n.message, {
+      id: 'alert.signalChange',
+      params: { 'analysis.emoji': '🟢', previous: { source: 'PATIENCE' }, value: { source: 'ACCUMULATION FORTE' }, 'analysis.score.net': 6 }
+    });
+    
+    // A rule's own text is translated by its French source, or kept
+    const custom = [{ id: 'fg', type: 'cross', field: 'fearGreed.current', below: 20, message: 'Panique ({value})' }];
+    assert.equal(alerts.evaluateAlerts(custom, snapshot({ fearGreed: { current: 12 } }), snapshot(), 'en')[0].message, 'Panique (12)');
+  });
+  
+  test('hashrate only alerts when it starts crashing', () => {
+    assert.equal(fired(snapshot({ hashrate: { trend: 'crashing', changeFromPeak: -17.8 } }))[0].key, 'hashrateCrash:crashing');
+    assert.deepEqual(fired(snapshot({ hashrate: { trend: 'dropping' } })), []);
+  });
+});
+
+describe('selectAlerts', () => {
+  const NOW = Date.parse('2026-02-16T12:00:00Z');
+  const alert = key => ({ key, message: key });
+  
+  test('skips what was already sent within the cooldown', () => {
+    const state = { sent: [{ key: 'a', at: NOW - 30 * 60 * 1000 }, { key: 'b', at: NOW - 5 * 60 * 60 * 1000 }] };
+    const { send, skipped } = alerts.selectAlerts([alert('a'), alert('b')], state, config, NOW);
+    assert.deepEqual(send.map(a => a.key), ['b']);
+    assert.deepEqual(skipped.map(a => [a.key, a.reason]), [['a', 'duplicate']]);
+  });
+  
+  test('caps the sends of a rolling hour', () => {
+    const state = { sent: [1, 2, 3, 4, 5].map(i => ({ key: `old${i}`, at: NOW - i * 60 * 1000 })) };
+    const { send, skipped } = alerts.selectAlerts([alert('x'), alert('y')], state, { cooldownMinutes: 240, maxPerHour: 6 }, NOW);
+    assert.deepEqual(send.map(a => a.key), ['x']);
+    assert.deepEqual(skipped.map(a => a.reason), ['rate_limited']);
+  });
+});
+
+describe('runAlerts delivery (local stand-in)', () => {
+  let server;
+  let received = [];
+  let tmp;
+  
+  before(async () => {
+    // Delivery logs go to stdout, which the test runner reads
+    mock.method(console, 'log', () => {});
+    server = httpServer.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        received.push({ url: req.url, body: JSON.parse(body) });
+        res.statusCode = req.url.startsWith('/broken') ? 500 : 200;
+        res.end('{}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    Object.assign(process.env, {
+      TELEGRAM_API_URL: base,
+      TELEGRAM_BOT_TOKEN: 'token123',
+      TELEGRAM_CHAT_ID: '42',
+      DISCORD_WEBHOOK_URL: `${base}/discord`,
+      ALERT_WEBHOOK_URL: `${base}/broken`
+    });
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mamos-alerts-'));
+  });
+  
+  after(() => {
+    mock.restoreAll();
+    server.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+  
+  test('delivers to every channel, once', async () => {
+    const statePath = path.join(tmp, 'state.json');
+    const current = snapshot({ fearGreed: { current: 18 } });
+    
+    const first = await alerts.runAlerts(current, snapshot(), { config, statePath });
+    assert.equal(first.sent.length, 1);
+    assert.deepEqual(first.sent[0].results, { telegram: 'ok', discord: 'ok', webhook: 'Webhook: HTTP 500' });
+    
+    const telegram = received.find(r => r.url === '/bottoken123/sendMessage');
+    assert.equal(telegram.body.chat_id, '42');
+    assert.equal(telegram.body.text, '😱 Fear & Greed passe sous 20 (18)');
+    assert.equal(received.find(r => r.url === '/discord').body.content, telegram.body.text);
+    assert.equal(received.find(r => r.url === '/broken').body.key, 'extremeFear:below');
+    
+    received = [];
+    const second = await alerts.runAlerts(current, snapshot(), { config, statePath });
+    assert.deepEqual(second.sent, []);
+    assert.equal(second.skipped[0].reason, 'duplicate');
+    assert.equal(received.length, 0);
+  });
+  
+  test('recorded sessions send nothing (the fixtures would keep the credentials)', () => {
+    assert.deepEqual(Object.keys(alerts.configuredChannels()), ['telegram', 'discord', 'webhook']);
+    assert.deepEqual(alerts.configuredChannels('record'), {});
+    assert.deepEqual(alerts.configuredChannels('replay'), {});
+  });
+  
+  test('rule channels restrict the delivery', async () => {
+    received = [];
+    const only = { ...config, rules: [{ id: 'fg', type: 'cross', field: 'fearGreed.current', below: 20, message: 'fg {value}', channels: ['discord'] }] };
+    await alerts.runAlerts(snapshot({ fearGreed: { current: 12 } }), snapshot(), { config: only, statePath: path.join(tmp, 'other.json') });
+    assert.deepEqual(received.map(r => r.url), ['/discord']);
+  });
+});
+
+describe('loadConfig', () => {
+  test('lists every problem of an invalid file', () => {
+    const file = path.join(os.tmpdir(), `mamos-alerts-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      cooldownMinutes: 60,
+      locale: 'de',
+      rules: [{ id: 'x', type: 'cross', field: 'a' }, { id: 'y', type: 'planLevel', levels: ['stop'] }, { id: 'z', type: 'change', field: 'a', messageId: 'alert.nope' }]
+    }));
+    try {
+      assert.throws(() => alerts.loadConfig(file), e => /maxPerHour/.test(e.message) && /needs "above" or "below"/.test(e.message) && /unknown level\(s\) stop/.test(e.message) &&
+        /rules\[0\]: "messageId" or "message" required/.test(e.message) && /unknown message "alert.nope"/.test(e.message) && /locale: must be one of fr, en/.test(e.message));
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
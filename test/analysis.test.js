@@ -0,0 +1,110 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const scoringRules = require('../scripts/lib/scoring-rules');
+const { generateAnalysis, generateTradingPlan, generateProfileScores } = require('../scripts/update-data');
+const REGIMES = require('./fixtures/regimes.json');
+
+const profile = scoringRules.getProfile('default');
+
+describe('market regimes (default profile)', () => {
+  for (const [name, { description, data, expected }] of Object.entries(REGIMES)) {
+    test(`${name}: ${description}`, () => {
+      const analysis = generateAnalysis(data, profile);
+      assert.equal(analysis.signal, expected.signal);
+      assert.deepEqual(analysis.score, expected.score);
+      assert.equal(analysis.profile, 'default');
+      
+      const plan = generateTradingPlan(data, analysis, profile);
+      assert.equal(plan.bias.direction, expected.bias.direction);
+      assert.equal(plan.bias.strength, expected.bias.strength);
+      assert.equal(plan.action.recommendation, expected.action);
+      assert.equal(plan.horizon.timeframe, expected.horizon);
+      assert.equal(plan.risk.maxPosition, expected.risk);
+      assert.deepEqual(plan.factors.map(f => f.level), expected.factors);
+    });
+  }
+});
+
+describe('generateAnalysis', () => {
+  test('keeps the top 5 signals with formatted reasons', () => {
+    const analysis = generateAnalysis(REGIMES.capitulation_squeeze.data, profile);
+    assert.equal(analysis.signals.length, 5);
+    assert.deepEqual(analysis.signals[0], {
+      type: 'bullish',
+      weight: 3,
+      reason: 'Extreme Fear historique - zone d\'achat',
+      i18n: { reason: { source: 'Extreme Fear historique - zone d\'achat' } }
+    });
+    const all = scoringRules.evaluateRules(profile, REGIMES.capitulation_squeeze.data).signals.map(s => s.reason);
+    assert.ok(all.includes('Hashrate en baisse (-7.6% depuis le pic)'));
+    assert.ok(all.includes('Plus de vendeurs que d\'acheteurs (ratio 0.91)'));
+  });
+  
+  test('skips COT rules without COT data', () => {
+    const analysis = generateAnalysis(REGIMES.quiet_market.data, profile);
+    assert.deepEqual(analysis.signals, []);
+    assert.equal(analysis.label, 'PATIENCE');
+  });
+  
+  test('score boundaries pick the label tiers', () => {
+    const base = { fearGreed: { current: 50 } };
+    const label = data => generateAnalysis({ ...base, ...data }, profile).signal;
+    assert.equal(label({ fearGreed: { current: 20 } }), 'accumulation'); // +2
+    assert.equal(label({ fearGreed: { current: 70 } }), 'distribution'); // -2
+    assert.equal(label({ etf: { daily: 60 } }), 'neutral'); // +1
+  });
+});
+
+describe('generateTradingPlan', () => {
+  test('no plan without price data', () => {
+    const { priceData, ...data } = REGIMES.euphoria.data;
+    assert.equal(generateTradingPlan(data, generateAnalysis(data, profile), profile), null);
+  });
+  
+  test('levels come from supports and resistances', () => {
+    const { data } = REGIMES.quiet_market;
+    const plan = generateTradingPlan(data, generateAnalysis(data, profile), profile);
+    assert.equal(plan.levels.currentPrice, `$${(68420).toLocaleString()}`);
+    assert.equal(plan.levels.entryZone, `$${(67800).toLocaleString()} - $${(69300).toLocaleString()}`);
+    assert.equal(plan.levels.invalidation, `$${(67100).toLocaleString()}`);
+    assert.equal(plan.levels.target1, `$${(70400).toLocaleString()}`);
+    assert.ok(plan.invalidationText.includes(plan.levels.invalidation));
+  });
+  
+  test('squeeze override needs the profile minimum score', () => {
+    const { data } = REGIMES.capitulation_squeeze;
+    const analysis = generateAnalysis(data, profile);
+    const strict = { ...profile, plan: { ...profile.plan, squeezeMinScore: 2 } };
+    assert.equal(generateTradingPlan(data, analysis, strict).bias.strength, 'Attente');
+  });
+  
+  test('profiles without COT overrides follow the score only', () => {
+    const { data } = REGIMES.smart_money_selling;
+    const noOverride = { ...profile, plan: { ...profile.plan, cotOverrides: false } };
+    const plan = generateTradingPlan(data, generateAnalysis(data, noOverride), noOverride);
+    assert.equal(plan.bias.direction, 'PRUDENCE');
+    assert.equal(plan.bias.strength, 'Modéré');
+    assert.equal(plan.action.recommendation, 'Prudence');
+  });
+  
+  test('the tier level decides the action and the risk, not the strength text', () => {
+    const { data } = REGIMES.strong_accumulation;
+    const renamed = { ...profile, plan: { ...profile.plan, bias: profile.plan.bias.map(t => ({ ...t, strength: t.level === 'strong' ? 'Très fort' : t.strength })) } };
+    const plan = generateTradingPlan(data, generateAnalysis(data, renamed), renamed);
+    assert.equal(plan.bias.strength, 'Très fort');
+    assert.equal(plan.action.recommendation, 'Accumulation progressive');
+    assert.equal(plan.risk.maxPosition, '3-5%');
+  });
+});
+
+describe('generateProfileScores', () => {
+  test('scores the same data under every profile', () => {
+    const scores = generateProfileScores(REGIMES.capitulation_squeeze.data);
+    assert.deepEqual(Object.keys(scores), scoringRules.listProfiles());
+    for (const score of Object.values(scores)) {
+      assert.equal(typeof score.label, 'string');
+      assert.equal(typeof score.score.net, 'number');
+      assert.ok(score.bias.direction);
+    }
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const articleStore = require('../scripts/lib/article-store');
+
+const HOUR = 3600000;
+const T0 = new Date('2026-02-16T12:00:00Z').getTime();
+const MARKET = { fearGreed: 14, fearGreedLabel: 'Extreme Fear', hedgeFundsShort: 52.9, etfFlow: '-$187', signal: 'PATIENCE' };
+const ANALYSIS = { titleFr: 'Titre', summary: 'Résumé de la news.', impact: 'bearish', priceEffect: 'Baisse', importance: 4, contextLink: '' };
+
+describe('articleId', () => {
+  test('the same article behind different links', () => {
+    const id = articleStore.articleId({ link: 'https://www.coindesk.com/markets/etf-outflows/' });
+    assert.equal(id, 'coindesk.com/markets/etf-outflows');
+    assert.equal(articleStore.articleId({ link: 'https://CoinDesk.com/markets/etf-outflows?utm_source=rss&utm_medium=feed#top' }), id);
+    assert.equal(articleStore.canonicalLink('https://example.com/a?b=2&a=1&fbclid=x'), 'example.com/a?a=1&b=2');
+  });
+  
+  test('guid, then title, when there is no link', () => {
+    const byGuid = articleStore.articleId({ link: '', guid: 'urn:uuid:1', title: 'A' });
+    assert.equal(byGuid, articleStore.articleId({ link: 'not a url', guid: 'urn:uuid:1', title: 'B' }));
+    assert.notEqual(articleStore.articleId({ link: '', title: 'A', source: 'X' }), articleStore.articleId({ link: '', title: 'A', source: 'Y' }));
+    assert.match(byGuid, /^[0-9a-f]{16}$/);
+  });
+});
+
+describe('store', () => {
+  let tmp;
+  before(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mamos-articles-')); });
+  after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  
+  test('keeps analyses per locale and finds them from any article of the story', () => {
+    const file = path.join(tmp, 'a.json');
+    const store = articleStore.load(file);
+    articleStore.remember(store, { title: 'A', source: 'CoinDesk', link: 'https://cd/etf' }, 'fr', { ...ANALYSIS, extra: 'x' }, T0);
+    articleStore.save(store, file);
+    
+    const loaded = articleStore.load(file);
+    assert.deepEqual(articleStore.analysisOf(loaded, { link: 'https://cd/etf' }, 'fr'), ANALYSIS);
+    assert.equal(articleStore.analysisOf(loaded, { link: 'https://cd/etf' }, 'en'), null);
+    
+    // A heavier feed now represents the story: the analysis of the other article still counts
+    const story = { link: 'https://tb/etf', otherSources: [{ source: 'CoinDesk', title: 'A', link: 'https://cd/etf' }] };
+    assert.deepEqual(articleStore.analysisOf(loaded, story, 'fr'), ANALYSIS);
+  });
+  
+  test('a store of another version starts over', () => {
+    const file = path.join(tmp, 'b.json');
+    fs.writeFileSync(file, JSON.stringify({ version: 0, articles: { x: {} } }));
+    assert.deepEqual(articleStore.load(file), { version: 1, articles: {}, narratives: {} });
+  });
+  
+  test('articles age out once they have left the feeds', () => {
+    const store = articleStore.load(path.join(tmp, 'none.json'));
+    const a = { title: 'A', link: 'https://x/a' };
+    const b = { title: 'B', link: 'https://x/b' };
+    articleStore.remember(store, a, 'fr', ANALYSIS, T0);
+    articleStore.remember(store, b, 'fr', ANALYSIS, T0);
+    articleStore.rememberNarrative(store, [a, b], MARKET, 'fr', 'Récit', T0);
+    
+    articleStore.touch(store, [a], T0 + 30 * HOUR);
+    assert.equal(articleStore.prune(store, 24 * HOUR, T0 + 36 * HOUR), 1);
+    assert.deepEqual(Object.keys(store.articles), ['x/a']);
+    assert.deepEqual(store.narratives, {});
+  });
+  
+  test('a narrative is reused for the same stories in the same market only', () => {
+    const store = articleStore.load(path.join(tmp, 'none.json'));
+    const stories = [{ link: 'https://x/a' }, { link: 'https://x/b' }];
+    articleStore.rememberNarrative(store, stories, MARKET, 'fr', 'Récit', T0);
+    assert.equal(articleStore.narrativeOf(store, stories, { ...MARKET }, 'fr'), 'Récit');
+    assert.equal(articleStore.narrativeOf(store, stories.slice().reverse(), MARKET, 'fr'), null);
+    assert.equal(articleStore.narrativeOf(store, stories, MARKET, 'en'), null);
+    assert.equal(articleStore.narrativeOf(store, stories, { ...MARKET, fearGreed: 72, signal: 'DISTRIBUTION' }, 'fr'), null);
+  });
+});
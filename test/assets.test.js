@@ -0,0 +1,113 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const scoringRules = require('../scripts/lib/scoring-rules');
+const {
+  ASSETS,
+  computePriceLevels,
+  buildFunding,
+  buildAssetFunding,
+  buildAssetHyperliquid,
+  generateAnalysis,
+  generateTradingPlan,
+  buildScenarios
+} = require('../scripts/update-data');
+
+const profile = scoringRules.getProfile('default');
+
+// Daily kline in Binance format: [openTime, open, high, low, close, ...]
+const kline = (open, high, low, close) => [0, String(open), String(high), String(low), String(close)];
+
+describe('computePriceLevels per asset', () => {
+  test('without swing pivots, BTC levels fall back to the 24h and period extremes rounded to 100', () => {
+    const ticker = { lastPrice: '68420.15', highPrice: '70350.00', lowPrice: '67810.42', priceChangePercent: '-2.41' };
+    const levels = computePriceLevels(ticker, [kline(70000, 71020, 67120, 68400)]);
+    assert.equal(levels.asset, 'BTC');
+    assert.equal(levels.current, 68420);
+    assert.deepEqual(levels.supports, [67800, 67100]);
+    assert.deepEqual(levels.resistances, [70400, 71000]);
+    assert.deepEqual(levels.levels.supports.map(l => l.reason), ['Plus bas 24h', 'Plus bas de la période']);
+  });
+  
+  test('SOL levels use half-dollar steps and keep the cents', () => {
+    const ticker = { lastPrice: '98.41', highPrice: '101.19', lowPrice: '97.53', priceChangePercent: '-2.41' };
+    const levels = computePriceLevels(ticker, [kline(100, 104.22, 97.23, 98.4)], ASSETS.SOL);
+    assert.equal(levels.asset, 'SOL');
+    assert.equal(levels.current, 98.41);
+    assert.equal(levels.low24h, 97.53);
+    assert.deepEqual(levels.supports, [97.5, 97]);
+    assert.deepEqual(levels.resistances, [101, 104]);
+  });
+});
+
+describe('generateTradingPlan per asset', () => {
+  const planFor = priceData => {
+    const data = { fearGreed: { current: 50 }, priceData };
+    return generateTradingPlan(data, generateAnalysis(data, profile), profile);
+  };
+  const price = { current: 2480, supports: [2460, 2450], resistances: [2550, 2580], bias: 'bearish' };
+  
+  test('entry zone width follows the asset', () => {
+    assert.equal(planFor({ ...price, asset: 'ETH' }).levels.entryZone, `$${(2460).toLocaleString()} - $${(2520).toLocaleString()}`);
+    assert.equal(planFor({ ...price, current: 98.41, supports: [97.5, 97], asset: 'SOL' }).levels.entryZone, '$97.5 - $100.5');
+  });
+  
+  test('horizon follows the realized volatility regime', () => {
+    const withVolatility = regime => planFor({ ...price, indicators: { volatility: { regime, realized7d: 72.4 } } }).horizon;
+    assert.equal(withVolatility('high').id, 'short');
+    assert.equal(withVolatility('high').timeframe, '24-72h');
+    assert.match(withVolatility('high').detail, /72.4% annualisée/);
+    assert.equal(withVolatility('low').timeframe, '2-4 semaines');
+    assert.equal(withVolatility('normal').timeframe, '1-2 semaines');
+  });
+  
+  test('price data without an asset is planned as BTC', () => {
+    assert.equal(planFor({ ...price, supports: [67800, 67100] }).levels.entryZone, `$${(67800).toLocaleString()} - $${(69300).toLocaleString()}`);
+  });
+  
+  test('long and short scenarios carry numeric levels and the R:R of each target', () => {
+    const plan = planFor({ ...price, current: 68400, supports: [68000, 66700], resistances: [71700, 73300] });
+    assert.deepEqual(plan.scenarios.long, {
+      direction: 'long',
+      entryZone: [68000, 69500],
+      entry: 68750,
+      stop: 66700,
+      stopDistancePct: 2.98,
+      targets: [{ price: 71700, riskReward: 1.44 }, { price: 73300, riskReward: 2.22 }]
+    });
+    assert.deepEqual(plan.scenarios.short.entryZone, [70200, 71700]);
+    assert.equal(plan.scenarios.short.stop, 73300);
+    assert.deepEqual(plan.scenarios.short.targets.map(t => t.riskReward), [1.26, 1.81]);
+  });
+  
+  test('a scenario needs its stop level and an unreachable target has no R:R', () => {
+    const scenarios = buildScenarios({ supports: [97.5, 92], resistances: [99] }, 3, 2);
+    assert.deepEqual(scenarios.long.entryZone, [97.5, 100.5]);
+    assert.equal(scenarios.long.entry, 99);
+    assert.deepEqual(scenarios.long.targets, [{ price: 99, riskReward: null }]);
+    assert.equal(scenarios.short, null);
+  });
+});
+
+describe('per-asset derivatives', () => {
+  const rows = rates => rates.map(fundingRate => ({ fundingRate }));
+  
+  test('buildAssetFunding flags an overheated funding', () => {
+    const funding = buildAssetFunding(rows(['0.0012', '0.0008']));
+    assert.deepEqual(funding, { current: '0.1200', avg24h: '0.1000', sentiment: 'overleveraged_long', signal: 'correction_likely' });
+  });
+  
+  test('buildFunding keeps the BTC block and the latest ETH rate', () => {
+    const funding = buildFunding(rows(['-0.00012', '-0.00008']), rows(['0.00003']));
+    assert.deepEqual(funding.btc, { current: '-0.0120', avg24h: '-0.0100' });
+    assert.equal(funding.eth, '0.0030');
+    assert.equal(funding.signal, 'normal');
+  });
+  
+  test('buildAssetHyperliquid reads one asset context', () => {
+    const hl = buildAssetHyperliquid({ funding: '0.00015', openInterest: '3120450.1', markPx: '98.41', dayNtlVlm: '420456789.2' }, ASSETS.SOL);
+    assert.equal(hl.openInterest, 3120450);
+    assert.equal(hl.openInterestUSD, '0.31B');
+    assert.equal(hl.markPrice, '98.41');
+    assert.equal(hl.signal, 'overleveraged_long');
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const scoringRules = require('../scripts/lib/scoring-rules');
+const { generateAnalysis, generateTradingPlan } = require('../scripts/update-data');
+const { loadFixtures, snapshotAt, planOutcome, replay, buildReport } = require('../scripts/backtest');
+const REGIMES = require('./fixtures/regimes.json');
+
+const profile = scoringRules.getProfile('default');
+const planOf = name => {
+  const { data } = REGIMES[name];
+  return generateTradingPlan(data, generateAnalysis(data, profile), profile);
+};
+
+// Daily klines [openTime, open, high, low, close]: the plan day, then one candle per [high, low]
+const klines = (close, ranges) => [[0, close, close, close, close]].concat(ranges.map(([high, low], i) => [i + 1, close, high, low, close]));
+
+describe('planOutcome', () => {
+  test('a VENTE plan is scored on its short scenario', () => {
+    const plan = planOf('euphoria');
+    assert.equal(plan.bias.direction, 'VENTE');
+    const { stop, targets: [{ price: target }] } = plan.scenarios.short;
+    const close = plan.scenarios.short.entry;
+    
+    // Falling to the first support is a win for a short, rising above its stop a loss
+    assert.equal(planOutcome(klines(close, [[close, close - 10], [close, target - 1]]), 0, plan), 'target1');
+    assert.equal(planOutcome(klines(close, [[stop + 1, close]]), 0, plan), 'invalidated');
+    assert.equal(planOutcome(klines(close, [[stop + 1, target - 1]]), 0, plan), 'invalidated', 'stop first when one candle touches both');
+  });
+  
+  test('an ACHAT plan is scored on its long scenario', () => {
+    const plan = planOf('strong_accumulation');
+    const { stop, targets: [{ price: target }] } = plan.scenarios.long;
+    const close = plan.scenarios.long.entry;
+    assert.equal(planOutcome(klines(close, [[target + 1, close]]), 0, plan), 'target1');
+    assert.equal(planOutcome(klines(close, [[close, stop - 1]]), 0, plan), 'invalidated');
+    assert.equal(planOutcome(klines(close, [[close, close]]), 0, plan), 'open');
+  });
+  
+  test('plans without a position or levels are not scored', () => {
+    assert.equal(planOutcome(klines(100, []), 0, planOf('quiet_market')), 'no_position');
+    assert.equal(planOutcome(klines(100, []), 0, null), 'no_levels');
+  });
+});
+
+// 40 recorded BTC days (2025-06-12 → 2025-07-21), no Fear & Greed on 07-01 and 07-02, one COT report as of Tuesday 07-01
+describe('replay', () => {
+  const fixtures = loadFixtures(path.join(__dirname, 'fixtures', 'backtest'));
+  const dayIndex = day => fixtures.klines.findIndex(k => new Date(k[0]).toISOString().startsWith(day));
+  
+  test('snapshots only see what was published at the close of the day', () => {
+    assert.equal(snapshotAt(fixtures, dayIndex('2025-07-03')).cot, null, 'the COT report is out on Friday');
+    assert.equal(snapshotAt(fixtures, dayIndex('2025-07-04')).cot.asOf, '2025-07-01');
+    assert.equal(snapshotAt(fixtures, dayIndex('2025-07-01')).fearGreed, null);
+    
+    const data = snapshotAt(fixtures, dayIndex('2025-07-03'));
+    assert.equal(data.priceData.current, Math.round(parseFloat(fixtures.klines[dayIndex('2025-07-03')][4])));
+    assert.ok(data.funding.btc);
+  });
+  
+  test('replays the recorded days into a report', () => {
+    const report = buildReport(replay(fixtures));
+    // 14 days of warm-up, then 26 days less the two without Fear & Greed
+    assert.deepEqual(report.period, { from: '2025-06-26', to: '2025-07-21', days: 24 });
+    assert.equal(Object.values(report.bySignal).reduce((n, s) => n + s.count, 0), 24);
+    assert.deepEqual(Object.fromEntries(Object.entries(report.byBias).map(([bias, s]) => [bias, s.count])), { ACHAT: 4, NEUTRE: 10, VENTE: 3, PRUDENCE: 7 });
+    assert.deepEqual(report.byBias.VENTE.plan, { target1: 3, invalidated: 0, expired: 0, target1Rate: 100 });
+    assert.equal(report.rows.filter(r => r.outcome === 'no_position').length, 17);
+    
+    assert.equal(replay(fixtures, { from: '2025-07-10', to: '2025-07-12' }).length, 3);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const calendar = require('../scripts/lib/calendar');
+
+const iso = ms => new Date(ms).toISOString();
+
+describe('usMarketHolidays', () => {
+  test('2026 NYSE holidays, Independence Day observed on Friday', () => {
+    assert.deepEqual(calendar.usMarketHolidays(2026), [
+      '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25',
+      '2026-06-19', '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25'
+    ]);
+  });
+  
+  test('Sunday holidays move to Monday, a Saturday New Year is not observed', () => {
+    const holidays = calendar.usMarketHolidays(2022);
+    assert.ok(holidays.includes('2022-06-20'));
+    assert.ok(holidays.includes('2022-12-26'));
+    assert.ok(!holidays.some(d => d.startsWith('2021') || d === '2022-01-01'));
+  });
+});
+
+describe('ETF publications', () => {
+  test('a holiday weekend keeps the Friday flows', () => {
+    // Monday 16 Feb 2026 is Washington's Birthday
+    const monday = Date.parse('2026-02-16T23:00:00Z');
+    assert.equal(calendar.isUSTradingDay(new Date(monday)), false);
+    assert.equal(iso(calendar.lastETFPublication(monday)), '2026-02-13T22:00:00.000Z');
+    assert.equal(iso(calendar.nextETFPublication(monday)), '2026-02-17T22:00:00.000Z');
+  });
+  
+  test('the flows of a trading day are published at 22:00 UTC', () => {
+    assert.equal(iso(calendar.lastETFPublication(Date.parse('2026-02-18T21:59:00Z'))), '2026-02-17T22:00:00.000Z');
+    assert.equal(iso(calendar.lastETFPublication(Date.parse('2026-02-18T22:00:00Z'))), '2026-02-18T22:00:00.000Z');
+    assert.equal(iso(calendar.nextETFPublication(Date.parse('2026-02-18T22:00:00Z'))), '2026-02-19T22:00:00.000Z');
+  });
+});
@@ -0,0 +1,140 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const cftc = require('../scripts/lib/cot');
+const { parseCOTReport, parseCOTLine } = require('../scripts/update-data');
+
+const REPORT = fs.readFileSync(path.join(__dirname, 'fixtures', 'FinFutWk.txt'), 'utf8');
+const REPORT_TIME = new Date('2026-02-16T12:00:00Z').getTime();
+const HISTORY = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'cot-history.json'), 'utf8')).contracts;
+
+describe('parseCOTReport', () => {
+  test('picks the Bitcoin CME line among other markets', () => {
+    const cot = parseCOTReport(REPORT, REPORT_TIME);
+    assert.equal(cot.contract, 'BTC');
+    assert.equal(cot.contractSize, 5);
+    assert.equal(cot.asOf, '2026-02-10');
+    assert.equal(cot.openInterest, 24617);
+    assert.equal(cot.openInterestChange, -412);
+    assert.equal(cot.stale, false);
+    assert.equal(cot.nextUpdate, '2026-02-20');
+  });
+  
+  test('keeps Micro Bitcoin and Ether alongside', () => {
+    const { markets } = parseCOTReport(REPORT, REPORT_TIME);
+    assert.deepEqual(Object.keys(markets).sort(), ['ETH', 'MBT']);
+    assert.equal(markets.MBT.openInterest, 61830);
+    assert.equal(markets.MBT.contractSize, 0.1);
+    assert.equal(markets.MBT.categories.leveragedFunds.long, 21004);
+    assert.equal(markets.ETH.openInterest, 11602);
+    assert.equal(markets.ETH.categories.assetManagers.short, 3890);
+  });
+  
+  test('flags a report that missed its weekly release', () => {
+    const cot = parseCOTReport(REPORT, new Date('2026-03-02T12:00:00Z').getTime());
+    assert.equal(cot.stale, true);
+    assert.match(cot.error, /2026-02-10 \(20 days old\)/);
+  });
+  
+  test('throws when the Bitcoin line is missing', () => {
+    const withoutBitcoin = REPORT.split('\n').filter(l => !l.includes(',133741,')).join('\n');
+    assert.throws(() => parseCOTReport(withoutBitcoin, REPORT_TIME), /Bitcoin CME line not found/);
+    assert.throws(() => parseCOTReport('', REPORT_TIME), /Bitcoin CME line not found/);
+  });
+});
+
+describe('parseCOTLine', () => {
+  const line = REPORT.split('\n').find(l => l.startsWith('"BITCOIN'));
+  const cot = parseCOTLine(line, REPORT_TIME);
+  
+  test('returns the four trader categories', () => {
+    assert.deepEqual(Object.keys(cot.categories), ['dealers', 'assetManagers', 'leveragedFunds', 'retail']);
+    for (const category of Object.values(cot.categories)) {
+      assert.equal(category.net, category.long - category.short);
+      assert.equal(category.change.net, category.change.long - category.change.short);
+      assert.ok(['bullish', 'bearish', 'neutral'].includes(category.signal));
+    }
+  });
+  
+  test('reads every category from the official columns', () => {
+    const positions = Object.fromEntries(Object.entries(cot.categories).map(([k, c]) => [k, [c.long, c.short]]));
+    assert.deepEqual(positions, {
+      dealers: [5746, 2470],
+      assetManagers: [946, 7476],
+      leveragedFunds: [4372, 11871],
+      retail: [3200, 640]
+    });
+    assert.equal(cot.categories.dealers.signal, 'bullish');
+    assert.equal(cot.categories.assetManagers.signal, 'bearish');
+    assert.equal(cot.categories.leveragedFunds.shortPct, 52.9);
+  });
+  
+  test('reads the change versus the previous week', () => {
+    assert.deepEqual(cot.categories.dealers.change, { long: 210, short: -95, net: 305 });
+    assert.deepEqual(cot.categories.assetManagers.change, { long: -120, short: 384, net: -504 });
+    assert.deepEqual(cot.categories.leveragedFunds.change, { long: -330, short: -520, net: 190 });
+    assert.deepEqual(cot.categories.retail.change, { long: 60, short: -40, net: 100 });
+  });
+  
+  test('next update is a Friday', () => {
+    assert.equal(new Date(cot.nextUpdate + 'T12:00:00Z').getUTCDay(), 5);
+  });
+  
+  test('survives a truncated line', () => {
+    const partial = parseCOTLine('"BITCOIN - CHICAGO MERCANTILE EXCHANGE",260210,2026-02-10,133741,CME   ,00,133 ,24617');
+    assert.equal(partial.openInterest, 24617);
+    assert.equal(partial.categories.dealers.long, 0);
+    assert.equal(partial.categories.assetManagers.longPct, 0);
+  });
+});
+
+describe('lib/cot', () => {
+  test('splitLine keeps commas inside quoted fields', () => {
+    assert.deepEqual(cftc.splitLine('"A, B",1, 2 ,"(CONTRACTS OF 5 BITCOIN)"\r'), ['A, B', '1', '2', '(CONTRACTS OF 5 BITCOIN)']);
+  });
+  
+  test('parseReport skips header and unknown markets', () => {
+    const header = 'Market_and_Exchange_Names,As_of_Date_In_Form_YYMMDD,Report_Date_as_YYYY-MM-DD,CFTC_Contract_Market_Code';
+    const rows = cftc.parseReport(header + '\n' + REPORT);
+    assert.deepEqual(Object.keys(rows), ['BTC', 'MBT', 'ETH']);
+    assert.equal(rows.BTC.nonReportableShort, 949);
+  });
+});
+
+describe('COT Index', () => {
+  test('cotIndex ranks the latest value in its window', () => {
+    assert.equal(cftc.cotIndex([1, 2, 3, 4, 5], 5), 100);
+    assert.equal(cftc.cotIndex([5, 1, 2, 3, 0], 5), 0);
+    assert.equal(cftc.cotIndex([9, 0, 10, 20, 10], 4), 50);
+    assert.equal(cftc.cotIndex([1, 2, 3], 26), null);
+  });
+  
+  test('mergeHistory keeps one entry per week, oldest first', () => {
+    const rows = cftc.parseRows(REPORT);
+    const once = cftc.mergeHistory(HISTORY, rows);
+    const twice = cftc.mergeHistory(once, rows);
+    assert.equal(twice.BTC.length, HISTORY.BTC.length + 1);
+    assert.equal(twice.BTC[twice.BTC.length - 1].asOf, '2026-02-10');
+    assert.equal(twice.BTC[twice.BTC.length - 1].net.assetManagers, 946 - 7476);
+    assert.deepEqual(Object.keys(twice).sort(), ['BTC', 'ETH', 'MBT']);
+    assert.equal(HISTORY.BTC.length, 165, 'the input history is left untouched');
+  });
+  
+  test('parseCOTReport adds the index of every category', () => {
+    const history = cftc.mergeHistory(HISTORY, cftc.parseRows(REPORT));
+    const cot = parseCOTReport(REPORT, REPORT_TIME, history);
+    assert.deepEqual(cot.categories.assetManagers.index, { w26: 0, w52: 0, w156: 0 });
+    assert.deepEqual(cot.history, { weeks: 166, from: '2022-12-13' });
+    for (const category of Object.values(cot.categories)) {
+      for (const value of Object.values(category.index)) assert.ok(value >= 0 && value <= 100);
+    }
+  });
+  
+  test('the index stays empty until the history covers the window', () => {
+    const cot = parseCOTReport(REPORT, REPORT_TIME, cftc.mergeHistory({}, cftc.parseRows(REPORT)));
+    assert.deepEqual(cot.categories.leveragedFunds.index, { w26: null, w52: null, w156: null });
+    assert.deepEqual(cot.markets.ETH.history, { weeks: 1, from: '2026-02-10' });
+    assert.equal(parseCOTReport(REPORT, REPORT_TIME).categories.dealers.index, undefined);
+  });
+});
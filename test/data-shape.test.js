@@ -0,0 +1,229 @@
+/**
+ * Runs update-data.js and update-news.js end to end on a replayed session
+ * (test/fixtures/upstream.json) and checks the JSON consumed by index.html
+ */
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('../scripts/lib/http');
+const schema = require('../scripts/lib/schema');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Write a replay session (same layout as HTTP_MODE=record) from the canned upstream answers
+function buildSession(dir) {
+  const upstream = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'upstream.json'), 'utf8'));
+  const read = file => fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+  
+  fs.writeFileSync(path.join(dir, 'session.json'), JSON.stringify({
+    clocks: { 'update-data': upstream.clock, 'update-news': upstream.clock },
+    secrets: { GROQ_API_KEY: false },
+    states: (upstream.states || []).map(s => s.file)
+  }));
+  
+  // Repo state files as they were before the recorded run
+  fs.mkdirSync(path.join(dir, 'state'), { recursive: true });
+  for (const s of upstream.states || []) {
+    fs.writeFileSync(path.join(dir, 'state', s.file), read(s.source));
+  }
+  
+  for (const r of upstream.requests) {
+    const response = r.responseFile ? read(r.responseFile) : typeof r.response === 'string' ? r.response : JSON.stringify(r.response);
+    fs.writeFileSync(path.join(dir, http.requestFixtureName(r.method, r.url, r.body)), JSON.stringify({
+      method: r.method, url: r.url, body: r.body, status: r.status || 200, encoding: 'utf8', response
+    }));
+  }
+  for (const c of upstream.captures) {
+    fs.writeFileSync(path.join(dir, http.captureFixtureName(c.key)), JSON.stringify({
+      key: c.key, value: c.file ? read(c.file) : c.value
+    }));
+  }
+}
+
+function run(script, fixtures, outputDir) {
+  const env = { ...process.env, HTTP_MODE: 'replay', HTTP_FIXTURES: fixtures, OUTPUT_DIR: outputDir };
+  delete env.SCORING_PROFILE;
+  delete env.SCORING_RULES;
+  const result = spawnSync(process.execPath, [path.join(ROOT, 'scripts', script)], { env, encoding: 'utf8', timeout: 30000 });
+  assert.equal(result.status, 0, `${script} failed:\n${result.stdout}\n${result.stderr}`);
+  return result;
+}
+
+// Shape: 'string' | 'number' | 'boolean' | 'numeric' (number or numeric string) | 'array' | [itemShape] | { key: shape }
+// A trailing '?' allows null
+function assertShape(value, shape, where = 'data') {
+  if (typeof shape === 'string') {
+    const nullable = shape.endsWith('?');
+    const type = shape.replace('?', '');
+    if (nullable && value === null) return;
+    if (type === 'numeric') assert.ok(value !== '' && !isNaN(Number(value)), `${where}: expected a numeric value, got ${JSON.stringify(value)}`);
+    else if (type === 'array') assert.ok(Array.isArray(value), `${where}: expected an array`);
+    else assert.equal(typeof value, type, `${where}: expected ${type}, got ${JSON.stringify(value)}`);
+    return;
+  }
+  if (Array.isArray(shape)) {
+    assert.ok(Array.isArray(value), `${where}: expected an array`);
+    value.forEach((item, i) => assertShape(item, shape[0], `${where}[${i}]`));
+    return;
+  }
+  assert.ok(value && typeof value === 'object', `${where}: expected an object, got ${JSON.stringify(value)}`);
+  for (const [key, sub] of Object.entries(shape)) assertShape(value[key], sub, `${where}.${key}`);
+}
+
+// Everything index.html reads from data.json
+const DATA_SHAPE = {
+  updatedAt: 'string',
+  fearGreed: { current: 'number', label: 'string' },
+  cot: {
+    asOf: 'string',
+    stale: 'boolean',
+    categories: {
+      assetManagers: { net: 'number', change: { net: 'number' }, index: { w26: 'number?', w52: 'number?', w156: 'number?' } },
+      leveragedFunds: { net: 'number', shortPct: 'number', change: { net: 'number' }, index: { w156: 'number?' } }
+    },
+    history: { weeks: 'number' }
+  },
+  etf: { daily: 'number' },
+  funding: { btc: { current: 'numeric' } },
+  openInterest: { usd: 'string' },
+  longShort: { topTraders: { long: 'numeric', short: 'numeric' } },
+  hashrate: { current: 'numeric', unit: 'string', interpretation: 'string', priceImpact: 'string' },
+  hyperliquid: { btc: { funding: 'numeric', openInterest: 'number', volume24h: 'string' }, interpretation: 'string' },
+  whales: { longPct: 'numeric', shortPct: 'numeric', cvd: 'numeric', cvdSignal: 'string', interpretation: 'string' },
+  mvrv: { value: 'numeric', interpretation: 'string' },
+  analysis: {
+    signal: 'string',
+    label: 'string',
+    profile: 'string',
+    score: { bull: 'number', bear: 'number', net: 'number' },
+    signals: [{ type: 'string', weight: 'number', reason: 'string' }]
+  },
+  analysisProfiles: 'object',
+  tradingPlan: {
+    bias: { direction: 'string', emoji: 'string', strength: 'string' },
+    horizon: { id: 'string', timeframe: 'string' },
+    levels: { currentPrice: 'string', entryZone: 'string?', invalidation: 'string?', target1: 'string?', target2: 'string?' },
+    factors: [{ level: 'string', text: 'string' }],
+    invalidationText: 'string',
+    action: { recommendation: 'string', detail: 'string' },
+    risk: { maxPosition: 'string', note: 'string' },
+    scenarios: { long: 'object?', short: 'object?' },
+    preferredScenario: 'string?'
+  },
+  trackRecord: {
+    plans: 'number',
+    open: 'number',
+    expired: 'number',
+    winRate: 'number?',
+    avgHoursToOutcome: 'number?',
+    groups: [{ bias: 'string', strength: 'string', target1: 'number', target2: 'number', invalidated: 'number', expired: 'number', winRate: 'number?' }],
+    recent: [{ asset: 'string', bias: 'string', strength: 'string', direction: 'string', openedAt: 'string', entry: 'number', status: 'string', outcome: 'string?', hoursToOutcome: 'number?' }]
+  },
+  assets: {
+    BTC: 'object',
+    ETH: 'object',
+    SOL: 'object'
+  },
+  story: 'string',
+  sources: 'object'
+};
+
+// Everything the trading plan reads for the selected asset (asset switcher)
+const ASSET_SHAPE = {
+  priceData: {
+    asset: 'string',
+    current: 'number',
+    supports: ['number'],
+    resistances: ['number'],
+    levels: { supports: [{ price: 'number', score: 'number', touches: 'number', reason: 'string' }] },
+    indicators: { rsi: 'number', ma: { ma200: 'number', trend: 'string' }, volatility: { realized30d: 'number', regime: 'string' } }
+  },
+  funding: { current: 'numeric' },
+  openInterest: { usd: 'string', change24h: 'number' },
+  longShort: { topTraders: { long: 'numeric', short: 'numeric' } },
+  hyperliquid: { funding: 'numeric' },
+  analysis: { emoji: 'string', label: 'string', score: { net: 'number' } },
+  tradingPlan: DATA_SHAPE.tradingPlan
+};
+
+// Everything index.html reads from news.json
+const NEWS_SHAPE = {
+  updatedAt: 'string',
+  narrative: 'string?',
+  news: [{ title: 'string', summary: 'string', impact: 'string', priceEffect: 'string', importance: 'number', link: 'string' }]
+};
+
+describe('data.json / news.json shape (replayed session)', () => {
+  let tmp, data, news;
+  
+  before(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mamos-shape-'));
+    fs.mkdirSync(path.join(tmp, 'session'));
+    fs.mkdirSync(path.join(tmp, 'out'));
+    buildSession(path.join(tmp, 'session'));
+    run('update-data.js', path.join(tmp, 'session'), path.join(tmp, 'out'));
+    run('update-news.js', path.join(tmp, 'session'), path.join(tmp, 'out'));
+    data = JSON.parse(fs.readFileSync(path.join(tmp, 'out', 'data.json'), 'utf8'));
+    news = JSON.parse(fs.readFileSync(path.join(tmp, 'out', 'news.json'), 'utf8'));
+  });
+  
+  after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  
+  test('data.json has every field the dashboard reads', () => {
+    assertShape(data, DATA_SHAPE);
+  });
+  
+  test('data.json and news.json match their versioned schemas', () => {
+    assert.equal(data.schemaVersion, schema.versionOf('data'));
+    assert.equal(news.schemaVersion, schema.versionOf('news'));
+    assert.deepEqual(schema.validate(data, schema.loadSchema('data')), []);
+    assert.deepEqual(schema.validate(news, schema.loadSchema('news')), []);
+  });
+  
+  test('every asset has its own levels, derivatives and plan', () => {
+    for (const [name, asset] of Object.entries(data.assets)) {
+      assertShape(asset, ASSET_SHAPE, `assets.${name}`);
+      assert.equal(asset.priceData.asset, name);
+    }
+    assert.deepEqual(data.assets.BTC.tradingPlan, data.tradingPlan);
+    assert.equal(data.assets.SOL.priceData.current, 98.41);
+    assert.equal(data.assets.ETH.openInterest.eth, (2304832).toLocaleString());
+  });
+  
+  test('every source answered from the session', () => {
+    for (const [name, report] of Object.entries(data.sources)) {
+      assert.equal(report.status, 'ok', `${name}: ${report.error}`);
+    }
+    assert.equal(data.updatedAt, '2026-02-16T12:00:00.000Z');
+  });
+  
+  test('profile cards have a label and a score', () => {
+    for (const [name, p] of Object.entries(data.analysisProfiles)) {
+      assertShape(p, { label: 'string', signal: 'string', emoji: 'string', score: { net: 'number', bull: 'number', bear: 'number' } }, `analysisProfiles.${name}`);
+    }
+  });
+  
+  test('signals-history.json starts the journal of the run', () => {
+    const journal = JSON.parse(fs.readFileSync(path.join(tmp, 'out', 'signals-history.json'), 'utf8'));
+    assertShape(journal, { current: { signal: { value: 'string', label: 'string', since: 'string' }, bias: { label: 'string' } }, transitions: 'array' }, 'journal');
+    assert.equal(journal.current.signal.value, data.analysis.signal);
+    assert.equal(journal.current.signal.since, data.updatedAt);
+  });
+  
+  test('news.json has every field the dashboard reads', () => {
+    assertShape(news, NEWS_SHAPE);
+    assert.equal(news.news.length, 5);
+    assert.equal(news.context.fearGreed, data.fearGreed.current);
+  });
+  
+  test('replaying the same session gives the same data.json', () => {
+    const again = path.join(tmp, 'again');
+    fs.mkdirSync(again);
+    run('update-data.js', path.join(tmp, 'session'), again);
+    assert.equal(fs.readFileSync(path.join(again, 'data.json'), 'utf8'), fs.readFileSync(path.join(tmp, 'out', 'data.json'), 'utf8'));
+  });
+});
@@ -0,0 +1,235 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const httpServer = require('http');
+const feeds = require('../scripts/lib/feeds');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Example Atom</title>
+  <link href="https://example.com/" rel="alternate"/>
+  <entry>
+    <title type="html">Bitcoin &lt;b&gt;reclaims&lt;/b&gt; $70K &amp; shorts get squeezed</title>
+    <link rel="self" href="https://example.com/feed/1"/>
+    <link rel="alternate" type="text/html" href="https://example.com/news/1"/>
+    <id>urn:uuid:1</id>
+    <updated>2026-02-16T12:00:00+01:00</updated>
+    <summary>Short summary &#8211; with &#x2019;entities&#8217;</summary>
+    <content type="xhtml"><div xmlns="http://www.w3.org/1999/xhtml"><p>Full text</p></div></content>
+  </entry>
+  <entry>
+    <title>Second entry</title>
+    <link href="https://example.com/news/2"/>
+    <published>2026-02-15T08:00:00Z</published>
+    <content type="xhtml"><div xmlns="http://www.w3.org/1999/xhtml"><p>Only <em>content</em></p></div></content>
+  </entry>
+</feed>`;
+
+describe('parseFeed', () => {
+  test('RSS: reads CDATA titles and strips HTML from descriptions', () => {
+    const items = feeds.parseFeed(fixture('rss-cointelegraph.xml'));
+    assert.equal(items.length, 3);
+    assert.deepEqual(items[0], {
+      title: 'Bitcoin ETFs record $187M outflows as BTC slips under $69K',
+      link: 'https://cointelegraph.com/news/bitcoin-etfs-record-187m-outflows',
+      guid: '',
+      date: '2026-02-16T10:42:00.000Z',
+      description: 'US spot Bitcoin ETFs saw a fourth straight day of net outflows as BTC price dropped below $69,000.'
+    });
+  });
+  
+  test('RSS: decodes entities and reads CDATA links, not the channel', () => {
+    const items = feeds.parseFeed(fixture('rss-coindesk.xml'));
+    assert.deepEqual(items.map(i => i.title), ['Hedge Funds Pile Into Record CME Bitcoin Shorts', 'Fear & Greed Index Hits 14 as Crypto Sentiment Sours']);
+    assert.equal(items[0].link, 'https://www.coindesk.com/markets/2026/02/16/hedge-funds-pile-into-record-cme-bitcoin-shorts');
+    assert.equal(items[1].date, '2026-02-16T09:00:00.000Z');
+  });
+  
+  test('RSS: skips items without a title and truncates long descriptions', () => {
+    const xml = `<rss><channel>
+      <item><link>https://example.com/no-title</link></item>
+      <item><title>Long one</title><description>${'x'.repeat(800)}</description><guid isPermaLink="false">42</guid></item>
+      <item><title>Guid only</title><guid>https://example.com/guid</guid><pubDate>not a date</pubDate></item>
+    </channel></rss>`;
+    const items = feeds.parseFeed(xml);
+    assert.deepEqual(items.map(i => i.title), ['Long one', 'Guid only']);
+    assert.equal(items[0].description.length, 500);
+    assert.equal(items[0].link, '');
+    assert.equal(items[0].guid, '42');
+    assert.equal(items[1].link, 'https://example.com/guid');
+    assert.equal(items[1].date, '');
+  });
+  
+  test('Atom: alternate link, HTML titles, summary before content', () => {
+    const items = feeds.parseFeed(ATOM);
+    assert.deepEqual(items[0], {
+      title: 'Bitcoin reclaims $70K & shorts get squeezed',
+      link: 'https://example.com/news/1',
+      guid: 'urn:uuid:1',
+      date: '2026-02-16T11:00:00.000Z',
+      description: 'Short summary – with ’entities’'
+    });
+    assert.equal(items[1].description, 'Only content');
+    assert.equal(items[1].link, 'https://example.com/news/2');
+  });
+  
+  test('RSS 1.0 (RDF): items outside the channel, dc:date', () => {
+    const xml = `<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+      <channel><title>RDF</title><items><rdf:Seq><rdf:li resource="https://example.com/a"/></rdf:Seq></items></channel>
+      <item rdf:about="https://example.com/a"><title>RDF item</title><link>https://example.com/a</link><dc:date>2026-02-16T10:00:00Z</dc:date></item>
+    </rdf:RDF>`;
+    assert.deepEqual(feeds.parseFeed(xml), [{ title: 'RDF item', link: 'https://example.com/a', guid: '', date: '2026-02-16T10:00:00.000Z', description: '' }]);
+  });
+  
+  test('JSON Feed', () => {
+    const json = JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      items: [
+        { id: '1', url: 'https://example.com/j1', title: 'JSON item', content_html: '<p>Body &amp; more</p>', date_published: '2026-02-16T10:00:00Z' },
+        { id: '2', content_text: 'No title' }
+      ]
+    });
+    assert.deepEqual(feeds.parseFeed(json), [{ title: 'JSON item', link: 'https://example.com/j1', guid: '1', date: '2026-02-16T10:00:00.000Z', description: 'Body & more' }]);
+  });
+  
+  test('tolerates broken markup', () => {
+    const xml = `<rss><channel><item><title>Unclosed <b>bold</title><description>1 < 2 &bogus; &#0;</description></item>
+      <item><title>Second</title></channel>`;
+    const items = feeds.parseFeed(xml);
+    assert.deepEqual(items.map(i => i.title), ['Unclosed bold', 'Second']);
+    assert.equal(items[0].description, '1 < 2 &bogus; &#0;');
+  });
+  
+  test('decodes entities once: markup escaped twice stays text', () => {
+    const xml = `<rss><channel><item>
+      <title>&amp;lt;img src=x onerror=alert(1)&amp;gt; BTC</title>
+      <link>javascript:alert(1)</link>
+      <description>AT&amp;amp;T &lt;img src=x onerror=alert(1)</description>
+    </item></channel></rss>`;
+    const [item] = feeds.parseFeed(xml);
+    assert.equal(item.title, '&lt;img src=x onerror=alert(1)&gt; BTC');
+    assert.equal(item.description, 'AT&amp;T');
+    assert.equal(item.link, '');
+  });
+  
+  test('returns nothing for an answer that is not a feed', () => {
+    assert.deepEqual(feeds.parseFeed('<html><body>403 Forbidden</body></html>'), []);
+    assert.deepEqual(feeds.parseFeed('{"error": "rate limited"}'), []);
+    assert.deepEqual(feeds.parseFeed(''), []);
+  });
+});
+
+describe('loadConfig', () => {
+  let tmp;
+  before(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mamos-feeds-config-')); });
+  after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  
+  const load = config => {
+    const file = path.join(tmp, 'feeds.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    return feeds.loadConfig(file);
+  };
+  
+  test('the repository config is valid', () => {
+    assert.ok(feeds.loadConfig().feeds.length >= 2);
+  });
+  
+  test('applies defaults and drops disabled feeds', () => {
+    const config = load({ feeds: [{ name: 'A', url: 'https://a.example/rss' }, { name: 'B', url: 'https://b.example/rss', disabled: true }] });
+    assert.deepEqual(config, { maxItemsPerFeed: 20, retentionDays: 7, feeds: [{ name: 'A', url: 'https://a.example/rss', weight: 1, language: 'en', timeout: 15000 }] });
+  });
+  
+  test('lists every problem', () => {
+    assert.throws(() => load({
+      maxItemsPerFeed: 0,
+      retentionDays: '7',
+      feeds: [{ name: 'A', url: 'ftp://a' }, { name: 'A', url: 'https://a.example', weight: -1, language: 'french' }]
+    }), e => {
+      assert.match(e.message, /feeds\[0\]\.url: required http\(s\) URL/);
+      assert.match(e.message, /feeds\[1\]\.name: "A" is already used/);
+      assert.match(e.message, /feeds\[1\]\.weight: must be a number > 0/);
+      assert.match(e.message, /feeds\[1\]\.language: must be a two-letter code/);
+      assert.match(e.message, /maxItemsPerFeed: must be an integer >= 1/);
+      assert.match(e.message, /retentionDays: must be a number of days > 0/);
+      return true;
+    });
+  });
+});
+
+describe('fetchAll (local feed server)', () => {
+  let server;
+  let base;
+  let tmp;
+  let requests = [];
+  
+  before(async () => {
+    mock.method(console, 'error', () => {});
+    server = httpServer.createServer((req, res) => {
+      requests.push({ url: req.url, etag: req.headers['if-none-match'], since: req.headers['if-modified-since'] });
+      if (req.url === '/down') {
+        res.writeHead(503);
+        return res.end('Service Unavailable');
+      }
+      if (req.url === '/html') return res.end('<html><body>Blocked</body></html>');
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: '"v1"', 'Last-Modified': 'Mon, 16 Feb 2026 10:00:00 GMT' });
+      res.end(fixture('rss-coindesk.xml'));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mamos-feeds-'));
+  });
+  
+  after(() => {
+    mock.restoreAll();
+    server.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+  
+  const config = () => ({
+    maxItemsPerFeed: 20,
+    feeds: [
+      { name: 'Local', url: `${base}/rss`, weight: 2, language: 'fr', timeout: 2000 },
+      { name: 'Down', url: `${base}/down`, weight: 1, language: 'en', timeout: 2000 },
+      { name: 'Html', url: `${base}/html`, weight: 1, language: 'en', timeout: 2000 }
+    ]
+  });
+  
+  test('tags items with their feed and reports each feed', async () => {
+    requests = [];
+    const cachePath = path.join(tmp, 'a.json');
+    const { items, reports } = await feeds.fetchAll(config(), { cachePath });
+    
+    assert.equal(items.length, 2);
+    assert.deepEqual({ source: items[0].source, language: items[0].language, weight: items[0].weight }, { source: 'Local', language: 'fr', weight: 2 });
+    assert.equal(reports.Local.status, 'ok');
+    assert.equal(reports.Local.items, 2);
+    assert.deepEqual([reports.Down.status, reports.Down.error, reports.Down.lastSuccess], ['error', 'HTTP 503', null]);
+    assert.equal(reports.Html.status, 'error');
+    assert.match(reports.Html.error, /no RSS, Atom or JSON Feed items/);
+    assert.equal(requests.find(r => r.url === '/rss').etag, undefined);
+  });
+  
+  test('sends the validators back and reuses the items on a 304', async () => {
+    const cachePath = path.join(tmp, 'b.json');
+    await feeds.fetchAll(config(), { cachePath });
+    
+    requests = [];
+    const { items, reports } = await feeds.fetchAll(config(), { cachePath });
+    const sent = requests.find(r => r.url === '/rss');
+    assert.deepEqual([sent.etag, sent.since], ['"v1"', 'Mon, 16 Feb 2026 10:00:00 GMT']);
+    assert.equal(reports.Local.status, 'not_modified');
+    assert.equal(items.filter(n => n.source === 'Local').length, 2);
+    
+    // Feeds removed from the config are dropped from the cache
+    await feeds.fetchAll({ ...config(), feeds: config().feeds.slice(1) }, { cachePath });
+    assert.deepEqual(JSON.parse(fs.readFileSync(cachePath, 'utf8')), {});
+  });
+});
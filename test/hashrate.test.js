@@ -0,0 +1,56 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildHashrate } = require('../scripts/update-data');
+
+// Series in EH/s, oldest first
+describe('buildHashrate trend classification', () => {
+  test('crashing: more than 15% under the weekly peak', () => {
+    const h = buildHashrate([1000, 1010, 980, 900, 860, 840, 830]);
+    assert.equal(h.trend, 'crashing');
+    assert.equal(h.signal, 'bearish');
+    assert.equal(h.changeFromPeak, -17.8);
+  });
+  
+  test('dropping: down more than 2% in 24h and 5% from the peak', () => {
+    const h = buildHashrate([1012, 1034, 1041, 1029, 998, 985, 962]);
+    assert.equal(h.trend, 'dropping');
+    assert.equal(h.signal, 'neutral');
+    assert.equal(h.change24h, -2.3);
+    assert.equal(h.changeFromPeak, -7.6);
+  });
+  
+  test('rising: up more than 2% in 24h and 5% over the week', () => {
+    const h = buildHashrate([900, 910, 920, 930, 940, 950, 980]);
+    assert.equal(h.trend, 'rising');
+    assert.equal(h.signal, 'bullish');
+    assert.equal(h.change7d, 8.9);
+  });
+  
+  test('stable: small weekly gain', () => {
+    const h = buildHashrate([1000, 1005, 1010, 1008, 1012, 1015, 1014]);
+    assert.equal(h.trend, 'stable');
+    assert.equal(h.signal, 'neutral');
+  });
+  
+  test('falling: slight weekly loss', () => {
+    const h = buildHashrate([1000, 1002, 998, 995, 990, 985, 980]);
+    assert.equal(h.trend, 'falling');
+    assert.equal(h.signal, 'neutral');
+  });
+  
+  test('formats values for the dashboard', () => {
+    const h = buildHashrate([1000, 1005, 1010, 1008, 1012, 1015, 1014.4]);
+    assert.equal(h.current, '1014');
+    assert.equal(h.peak, '1015');
+    assert.equal(h.unit, 'EH/s');
+    assert.equal(typeof h.interpretation, 'string');
+    assert.equal(typeof h.priceImpact, 'string');
+  });
+  
+  test('single point series', () => {
+    const h = buildHashrate([1000]);
+    assert.equal(h.change24h, 0);
+    assert.equal(h.change7d, 0);
+    assert.equal(h.changeFromPeak, 0);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mamos-history-'));
+process.env.HISTORY_DIR = dir;
+const history = require('../scripts/lib/history');
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.parse('2026-02-16T12:00:00Z');
+
+const snapshot = (at, price, extra = {}) => ({
+  updatedAt: new Date(at).toISOString(),
+  priceData: { current: price },
+  openInterest: { usd: '5.34B' },
+  funding: { btc: { current: '-0.0035' } },
+  ...extra
+});
+
+describe('buildRecord', () => {
+  test('keeps the unit of formatted numbers', () => {
+    const record = history.buildRecord(snapshot(T0, 68400, { hashrate: { current: '1,242' }, whales: { longPct: '65.6%' } }));
+    assert.equal(record.oiUsd, 5340000000);
+    assert.equal(record.fundingBtc, -0.0035);
+    assert.equal(record.hashrate, 1242);
+    assert.equal(record.whalesLongPct, 65.6);
+    assert.equal(record.price, 68400);
+    assert.equal(record.t, '2026-02-16T12:00:00.000Z');
+  });
+  
+  test('drops what is missing or not a number', () => {
+    const record = history.buildRecord({ updatedAt: new Date(T0).toISOString(), openInterest: { usd: 'n/a' } });
+    assert.deepEqual(record, { t: '2026-02-16T12:00:00.000Z' });
+  });
+});
+
+describe('store', () => {
+  before(() => {
+    // Two old days (one snapshot each hour apart), then today
+    history.appendSnapshot(snapshot(T0 - 40 * DAY, 60000));
+    history.appendSnapshot(snapshot(T0 - 40 * DAY + 3600000, 61000));
+    history.appendSnapshot(snapshot(T0 - 800 * DAY, 10000));
+    history.appendSnapshot(snapshot(T0 - 2 * DAY, 67000));
+    history.appendSnapshot(snapshot(T0, 68400));
+  });
+  
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  
+  test('appends raw days, compacts old ones to their last snapshot and drops the oldest', () => {
+    const files = fs.readdirSync(dir).sort();
+    assert.deepEqual(files, ['2026-02-14.jsonl', '2026-02-16.jsonl', 'daily.jsonl', 'index.json']);
+    const daily = fs.readFileSync(path.join(dir, 'daily.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(daily.map(r => [r.t, r.price, r.samples]), [['2026-01-07T13:00:00.000Z', 61000, 2]]);
+    
+    const index = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'));
+    assert.deepEqual(index.days, ['2026-02-14', '2026-02-16']);
+    assert.equal(index.compact.from, '2026-01-07T13:00:00.000Z');
+    assert.ok(index.metrics.includes('oiUsd'));
+  });
+  
+  test('query and valueAt read compacted and raw records in order', () => {
+    const series = history.query('price', { from: T0 - 60 * DAY, to: T0 });
+    assert.deepEqual(series.map(p => p.v), [61000, 67000, 68400]);
+    assert.equal(history.valueAt('price', new Date(T0 - DAY)).v, 67000);
+    assert.equal(history.valueAt('price', new Date(T0 - 900 * DAY)), null);
+    assert.throws(() => history.query('nope'), /Unknown history metric/);
+  });
+});
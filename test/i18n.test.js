@@ -0,0 +1,73 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const i18n = require('../scripts/lib/i18n');
+const rules = require('../config/scoring-rules.json');
+
+const placeholders = text => [...text.matchAll(/\{([\w.]+)\}/g)].map(m => m[1]).sort();
+
+// Texts of config/scoring-rules.json shown on the dashboard
+function configTexts(node, out = new Set()) {
+  if (Array.isArray(node)) node.forEach(n => configTexts(n, out));
+  else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      if (['reason', 'label', 'strength', 'direction', 'description'].includes(key) && typeof value === 'string') out.add(value);
+      else configTexts(value, out);
+    }
+  }
+  return out;
+}
+
+describe('catalogues', () => {
+  const fr = i18n.catalogue('fr');
+  
+  test('the default locale comes first', () => {
+    assert.equal(i18n.locales()[0], i18n.DEFAULT_LOCALE);
+    assert.ok(i18n.locales().includes('en'));
+  });
+  
+  for (const locale of i18n.locales().slice(1)) {
+    test(`${locale} translates every message with the same placeholders`, () => {
+      const other = i18n.catalogue(locale);
+      assert.deepEqual(Object.keys(other.messages).sort(), Object.keys(fr.messages).sort());
+      for (const [id, text] of Object.entries(fr.messages)) {
+        assert.deepEqual(placeholders(other.messages[id]), placeholders(text), id);
+      }
+    });
+    
+    test(`${locale} translates the texts of config/scoring-rules.json`, () => {
+      const { config } = i18n.catalogue(locale);
+      for (const text of configTexts(rules)) {
+        assert.ok(config[text], `missing "${text}"`);
+        assert.deepEqual(placeholders(config[text]), placeholders(text), text);
+      }
+    });
+  }
+});
+
+describe('render', () => {
+  test('formats a message in each locale', () => {
+    const msg = i18n.message('data.mvrv.neutral', { mvrv: '2.10' });
+    assert.match(i18n.render(msg), /MVRV 2\.10/);
+    assert.match(i18n.render(msg, 'en'), /MVRV 2\.10/);
+    assert.notEqual(i18n.render(msg, 'en'), i18n.render(msg));
+  });
+  
+  test('config texts are translated by their French source, or kept', () => {
+    assert.equal(i18n.render(i18n.source('ACHAT'), 'en'), 'BUY');
+    assert.equal(i18n.render(i18n.source('Texte libre {x}', { x: 4 }), 'en'), 'Texte libre 4');
+    assert.equal(i18n.render(i18n.source('RSI daily survendu ({priceData.indicators.rsi})', { 'priceData.indicators.rsi': null })), 'RSI daily survendu (?)');
+  });
+  
+  test('a param can be a message', () => {
+    assert.equal(i18n.format('{a} / {b} / {c}', { a: i18n.source('VENTE'), b: 1 }, 'en'), 'SELL / 1 / {c}');
+  });
+  
+  test('an unknown message fails loudly', () => {
+    assert.throws(() => i18n.t('data.nope'), /Unknown message "data.nope"/);
+  });
+  
+  test('texts() keeps the French text next to its messages', () => {
+    const reason = i18n.source('ETF outflows importants');
+    assert.deepEqual(i18n.texts({ reason }), { reason: 'ETF outflows importants', i18n: { reason } });
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const ind = require('../scripts/lib/indicators');
+
+// Daily klines from closes (only the close is read)
+const klines = closes => closes.map((c, i) => [i, String(c), String(c), String(c), String(c), '1']);
+const range = (n, f) => Array.from({ length: n }, (_, i) => f(i));
+
+describe('indicators', () => {
+  test('sma and ema', () => {
+    assert.equal(ind.sma([1, 2, 3, 4, 5], 2), 4.5);
+    assert.equal(ind.sma([1, 2], 3), null);
+    assert.deepEqual(ind.ema([1, 2, 3, 4], 3), [2, 3]);
+  });
+  
+  test('rsi is 100 on a straight rally and 50 on a balanced chop', () => {
+    assert.equal(ind.rsi(range(30, i => 100 + i)), 100);
+    assert.ok(Math.abs(ind.rsi(range(31, i => (i % 2 ? 101 : 100))) - 50) < 5);
+    assert.equal(ind.rsi([1, 2, 3]), null);
+  });
+  
+  test('macd flags the signal-line cross of the last candle', () => {
+    // Accelerating moves, then a reversal candle
+    const selloff = range(60, i => 200 - i * i / 40);
+    const rally = range(60, i => 100 + i * i / 40);
+    assert.equal(ind.macd(selloff.concat([140])).cross, 'bullish');
+    assert.equal(ind.macd(rally.concat([150])).cross, 'bearish');
+    assert.equal(ind.macd(selloff).cross, null);
+    assert.equal(ind.macd(range(20, i => i)), null);
+  });
+  
+  test('bollinger bands collapse on a flat series, a spike closes above them', () => {
+    assert.deepEqual(ind.bollinger(range(20, () => 50)), { upper: 50, middle: 50, lower: 50, width: 0, percentB: 0.5 });
+    assert.ok(ind.bollinger(range(19, () => 50).concat([60])).percentB > 1);
+  });
+  
+  test('realized volatility is annualized over 365 days', () => {
+    assert.ok(ind.realizedVolatility(range(31, i => 100 * 1.01 ** i)) < 1e-9, 'steady growth has no volatility');
+    const chop = range(31, i => (i % 2 ? 110 : 100));
+    assert.equal(Math.round(ind.realizedVolatility(chop) * 10) / 10, 185.2);
+  });
+});
+
+describe('computeIndicators', () => {
+  test('reads a long uptrend as bullish with every field filled', () => {
+    const result = ind.computeIndicators(klines(range(250, i => 100 + i + (i % 3))), 2);
+    assert.equal(result.ma.trend, 'bullish');
+    assert.equal(result.ma.ma20, ind.sma(range(250, i => 100 + i + (i % 3)), 20));
+    assert.ok(result.rsi > 70);
+    assert.ok(result.macd.histogram !== null);
+    assert.ok(result.volatility.realized30d > 0);
+    assert.ok(['low', 'normal', 'high'].includes(result.volatility.regime));
+  });
+  
+  test('leaves what the history cannot cover to null', () => {
+    const result = ind.computeIndicators(klines(range(60, i => 100 + (i % 5))));
+    assert.equal(result.ma.ma200, null);
+    assert.equal(result.ma.trend, null);
+    assert.equal(result.volatility.realized90d, null);
+    assert.equal(result.volatility.regime, null);
+    assert.notEqual(result.rsi, null);
+  });
+});
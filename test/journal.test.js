@@ -0,0 +1,69 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const journal = require('../scripts/lib/journal');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse('2026-02-16T12:00:00Z');
+
+const snapshot = ({ signal = 'neutral', direction = 'NEUTRE', instNet = -6530, price = 68420 } = {}) => ({
+  analysis: { signal, label: signal.toUpperCase(), emoji: '🟡', score: { net: 1.5 }, signals: [{ reason: 'Fear élevée - opportunité possible' }] },
+  tradingPlan: { bias: { direction, emoji: '⚪', strength: 'Attente' } },
+  cot: { categories: { assetManagers: { net: instNet }, leveragedFunds: { net: -7499 } } },
+  priceData: { current: price }
+});
+
+describe('recordTransitions', () => {
+  test('the first snapshot only starts the clock', () => {
+    const { journal: j, changes } = journal.recordTransitions(journal.loadJournal('/nonexistent'), snapshot(), T0);
+    assert.deepEqual(changes, []);
+    assert.deepEqual(Object.keys(j.current), ['signal', 'bias', 'cot']);
+    assert.deepEqual(j.current.signal, {
+      value: 'neutral',
+      label: '🟡 NEUTRAL',
+      i18n: { label: { id: 'data.journal.label.signal', params: { emoji: '🟡', label: 'NEUTRAL' } } },
+      since: '2026-02-16T12:00:00.000Z',
+      price: 68420
+    });
+  });
+  
+  test('records each change with price, score and reasons', () => {
+    let j = journal.recordTransitions({ current: {}, transitions: [] }, snapshot(), T0).journal;
+    j = journal.recordTransitions(j, snapshot({ price: 69000 }), T0 + HOUR).journal;
+    const { journal: after, changes } = journal.recordTransitions(j, snapshot({ signal: 'accumulation', instNet: 1200, price: 70100 }), T0 + 5 * HOUR);
+    
+    assert.deepEqual(changes.map(c => [c.key, c.from, c.to]), [
+      ['signal', 'neutral', 'accumulation'],
+      ['cot', 'consensus_bearish', 'squeeze_setup']
+    ]);
+    assert.equal(changes[0].price, 70100);
+    assert.equal(changes[0].previousSince, '2026-02-16T12:00:00.000Z');
+    assert.deepEqual(changes[0].reasons, ['Fear élevée - opportunité possible']);
+    assert.equal(after.current.signal.since, '2026-02-16T17:00:00.000Z');
+    assert.equal(after.current.bias.since, '2026-02-16T12:00:00.000Z', 'an unchanged bias keeps its start');
+    assert.equal(after.current.bias.price, 68420);
+  });
+  
+  test('keeps the newest transitions first', () => {
+    let j = journal.recordTransitions({ current: {}, transitions: [] }, snapshot(), T0).journal;
+    j = journal.recordTransitions(j, snapshot({ direction: 'PRUDENCE' }), T0 + HOUR).journal;
+    j = journal.recordTransitions(j, snapshot({ direction: 'ACHAT' }), T0 + 2 * HOUR).journal;
+    assert.deepEqual(j.transitions.map(t => t.to), ['ACHAT', 'PRUDENCE']);
+  });
+});
+
+describe('updateJournal', () => {
+  test('persists the journal between runs', () => {
+    const file = path.join(os.tmpdir(), `mamos-journal-${process.pid}.json`);
+    try {
+      assert.deepEqual(journal.updateJournal(file, snapshot(), T0), []);
+      const changes = journal.updateJournal(file, snapshot({ signal: 'distribution' }), T0 + HOUR);
+      assert.equal(changes[0].toLabel, '🟡 DISTRIBUTION');
+      assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).transitions.length, 1);
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const levels = require('../scripts/lib/levels');
+
+// Candles from [high, low] pairs, volume 10 unless given
+const candles = pairs => pairs.map(([high, low, volume = 10], i) => ({ time: i, open: low, high, low, close: high, volume }));
+// Binance klines from [high, low, close] triples
+const klines = rows => rows.map(([high, low, close], i) => [i, String(low), String(high), String(low), String(close), '10']);
+
+describe('findPivots', () => {
+  test('marks swing highs and lows against span candles on each side', () => {
+    const series = candles([[10, 8], [12, 9], [15, 11], [13, 10], [11, 7], [12, 9], [14, 10]]);
+    const pivots = levels.findPivots(series, 2, '1d');
+    assert.deepEqual(pivots.map(p => [p.type, p.price]), [['high', 15], ['low', 7]]);
+  });
+  
+  test('volume is relative to the series average', () => {
+    const series = candles([[10, 8], [11, 9], [15, 11, 40], [11, 9], [10, 8]]);
+    const [pivot] = levels.findPivots(series, 2, '4h');
+    assert.equal(pivot.volume, 2.5);
+    assert.equal(pivot.timeframe, '4h');
+  });
+});
+
+describe('clusterPivots', () => {
+  test('keeps each zone within the tolerance of its lowest pivot', () => {
+    const zones = levels.clusterPivots([100, 104, 108, 111, 130].map(price => ({ price })), 10);
+    assert.deepEqual(zones.map(z => z.map(p => p.price)), [[100, 104, 108], [111], [130]]);
+  });
+});
+
+describe('computeLevels', () => {
+  // Range between ~100 and ~120, price back in the middle
+  const daily = klines([
+    [104, 99, 103], [106, 101, 104], [105, 100, 104], [110, 103, 109], [120, 108, 112], [114, 106, 107], [108, 100.5, 106],
+    [112, 104, 111], [119.5, 109, 115], [116, 107, 108], [109, 101, 104], [111, 103, 109],
+    [113, 107, 110], [112, 108, 110]
+  ]);
+  
+  test('ranks repeated swings on each side, nearest first', () => {
+    const { supports, resistances } = levels.computeLevels(110, { '1d': daily }, { step: 1 });
+    assert.deepEqual(supports.map(l => l.price), [101]);
+    assert.deepEqual(resistances.map(l => l.price), [120]);
+    assert.equal(supports[0].touches, 2);
+    assert.deepEqual(supports[0].timeframes, ['1d']);
+    assert.equal(supports[0].reason, '2 touches (1d), volume 1.0x la moyenne');
+  });
+  
+  test('weekly touches weigh more than daily ones', () => {
+    const { resistances } = levels.computeLevels(110, { '1d': daily, '1w': klines([[105, 95, 100], [108, 98, 104], [120, 102, 110], [115, 104, 112], [112, 104, 110]]) }, { step: 1 });
+    assert.equal(resistances[0].score, 2 * 2 + 3);
+    assert.deepEqual(resistances[0].timeframes, ['1d', '1w']);
+  });
+  
+  test('a broken resistance becomes a support', () => {
+    const { supports } = levels.computeLevels(125, { '1d': daily }, { step: 1 });
+    assert.equal(supports[0].price, 120);
+    assert.match(supports[0].reason, /ancienne résistance/);
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const httpServer = require('http');
+const llm = require('../scripts/lib/llm');
+
+describe('complete (local OpenAI-compatible stand-in)', () => {
+  let server;
+  let received = [];
+  let failures = [];
+  let tmp;
+  
+  before(async () => {
+    // Usage and retry logs go to stdout, which the test runner reads
+    mock.method(console, 'log', () => {});
+    server = httpServer.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        received.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body) });
+        const failure = failures.shift();
+        if (failure) {
+          res.writeHead(failure, { 'Retry-After': '0' });
+          return res.end('{"error":"busy"}');
+        }
+        const prompt = JSON.parse(body).messages.at(-1).content;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          choices: [{ message: { role: 'assistant', content: `  echo: ${prompt}\n` } }],
+          usage: { prompt_tokens: 12, completion_tokens: 4 }
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    Object.assign(process.env, {
+      LLM_BASE_URL: `http://127.0.0.1:${server.address().port}/v1/`,
+      LLM_API_KEY: 'key123',
+      LLM_MODEL: 'qwen2.5:3b'
+    });
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mamos-llm-'));
+  });
+  
+  after(() => {
+    mock.restoreAll();
+    server.close();
+    for (const name of ['LLM_BASE_URL', 'LLM_API_KEY', 'LLM_MODEL']) delete process.env[name];
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+  
+  test('posts a chat completion to the configured endpoint', async () => {
+    received = [];
+    const answer = await llm.complete('Bonjour', { maxTokens: 50, temperature: 0.2, system: 'Sois bref', cachePath: path.join(tmp, 'a.json') });
+    assert.equal(answer, 'echo: Bonjour');
+    assert.equal(received.length, 1);
+    assert.equal(received[0].url, '/v1/chat/completions');
+    assert.equal(received[0].auth, 'Bearer key123');
+    assert.deepEqual(received[0].body, {
+      model: 'qwen2.5:3b',
+      messages: [{ role: 'system', content: 'Sois bref' }, { role: 'user', content: 'Bonjour' }],
+      temperature: 0.2,
+      max_tokens: 50
+    });
+  });
+  
+  test('the same prompt is answered from the cache', async () => {
+    received = [];
+    const cachePath = path.join(tmp, 'b.json');
+    assert.equal(await llm.complete('Prix ?', { maxTokens: 50, cachePath }), 'echo: Prix ?');
+    assert.equal(await llm.complete('Prix ?', { maxTokens: 50, cachePath }), 'echo: Prix ?');
+    assert.equal(received.length, 1);
+    
+    // Other settings, other entry
+    await llm.complete('Prix ?', { maxTokens: 50, temperature: 0.1, cachePath });
+    await llm.complete('Prix ?', { maxTokens: 50, cachePath, cache: false });
+    assert.equal(received.length, 3);
+    assert.equal(Object.keys(JSON.parse(fs.readFileSync(cachePath, 'utf8'))).length, 2);
+  });
+  
+  test('entries written by another job meanwhile are kept', async () => {
+    const cachePath = path.join(tmp, 'c.json');
+    await llm.complete('Premier', { maxTokens: 50, cachePath });
+    const other = { other: { at: Date.now(), model: 'qwen2.5:3b', content: 'news job' } };
+    fs.writeFileSync(cachePath, JSON.stringify({ ...JSON.parse(fs.readFileSync(cachePath, 'utf8')), ...other }));
+    await llm.complete('Second', { maxTokens: 50, cachePath });
+    const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    assert.equal(Object.keys(cache).length, 3);
+    assert.equal(cache.other.content, 'news job');
+    assert.deepEqual(fs.readdirSync(tmp).filter(f => f.endsWith('.tmp')), []);
+  });
+  
+  test('retries 429 and 5xx, not other errors', async () => {
+    received = [];
+    failures = [429, 503];
+    assert.equal(await llm.complete('Retry', { maxTokens: 50, cache: false }), 'echo: Retry');
+    assert.equal(received.length, 3);
+    
+    failures = [500, 500, 500];
+    await assert.rejects(llm.complete('Down', { maxTokens: 50, cache: false }), /HTTP 500/);
+    
+    received = [];
+    failures = [401];
+    await assert.rejects(llm.complete('Auth', { maxTokens: 50, cache: false }), /HTTP 401/);
+    assert.equal(received.length, 1);
+  });
+  
+  test('a prompt over its token budget is never sent', async () => {
+    received = [];
+    await assert.rejects(llm.complete('x'.repeat(400), { maxTokens: 50, maxPromptTokens: 50, cache: false }), /over budget \(~100 tokens > 50\)/);
+    assert.equal(received.length, 0);
+  });
+});
+
+describe('available', () => {
+  test('the hosted default needs a key, a custom endpoint does not', () => {
+    assert.equal(llm.available(), Boolean(process.env.LLM_API_KEY || process.env.GROQ_API_KEY));
+    process.env.LLM_BASE_URL = 'http://localhost:11434/v1';
+    try {
+      assert.equal(llm.available(), true);
+      assert.equal(llm.config().baseUrl, 'http://localhost:11434/v1');
+    } finally {
+      delete process.env.LLM_BASE_URL;
+    }
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const llm = require('../scripts/lib/llm');
+const newsAnalysis = require('../scripts/lib/news-analysis');
+const schema = require('../scripts/lib/schema');
+
+const entry = (index, overrides = {}) => ({
+  index,
+  titleFr: `Titre ${index}`,
+  summary: 'Les ETF Bitcoin enregistrent des sorties.',
+  impact: 'bearish',
+  priceEffect: 'Pression vendeuse à court terme.',
+  importance: 4,
+  contextLink: 'Confirme la peur du marché.',
+  ...overrides
+});
+
+const article = i => ({ title: `Original ${i}`, description: `Description of article ${i}`, link: `https://example.com/${i}` });
+
+describe('checkReply', () => {
+  test('accepts a fenced array and drops unknown fields', () => {
+    const { parsed, valid, errors } = newsAnalysis.checkReply('Voici:\n```json\n' + JSON.stringify([entry(1, { extra: 'x' })]) + '\n```', 1);
+    assert.equal(parsed, true);
+    assert.deepEqual(valid[1], Object.fromEntries(Object.entries(entry(1)).filter(([k]) => k !== 'index')));
+    assert.deepEqual(errors, {});
+  });
+  
+  test('rejects entries one by one', () => {
+    const reply = JSON.stringify([
+      entry(1),
+      entry(2, { impact: 'positive', importance: 7 }),
+      entry(3, { titleFr: 'x'.repeat(81), summary: undefined })
+    ]);
+    const { valid, errors } = newsAnalysis.checkReply(reply, 4);
+    assert.deepEqual(Object.keys(valid), ['1']);
+    assert.deepEqual(errors[2], [
+      'news 2.impact: must be one of "bullish", "bearish", "neutre", got "positive"',
+      'news 2.importance: must be <= 5, got 7'
+    ]);
+    assert.deepEqual(errors[3], ['news 3.summary: required', 'news 3.titleFr: must be at most 80 characters, got 81']);
+    assert.deepEqual(errors[4], ['news 4: missing from the reply']);
+  });
+  
+  test('an unparsable reply fails every article', () => {
+    const { parsed, errors } = newsAnalysis.checkReply('[{"index": 1, "titleFr": "coupé', 2);
+    assert.equal(parsed, false);
+    assert.deepEqual(Object.keys(errors), ['1', '2']);
+    assert.match(errors[1][0], /^reply: no JSON array/);
+  });
+});
+
+describe('analyze', () => {
+  let tmp;
+  let replies;
+  let prompts;
+  
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(llm, 'complete', async prompt => {
+      prompts.push(prompt);
+      const reply = replies.shift();
+      if (reply instanceof Error) throw reply;
+      return typeof reply === 'string' ? reply : JSON.stringify(reply);
+    });
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mamos-news-analysis-'));
+  });
+  
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+  
+  test('repairs what it can and falls back per article', async () => {
+    prompts = [];
+    replies = [
+      [entry(1), entry(2, { importance: '4' }), entry(3, { impact: 'haussier' })],
+      [entry(2, { titleFr: 'Réparé' }), entry(3, { impact: 'haussier' })]
+    ];
+    const statsPath = path.join(tmp, 'a.json');
+    const { news, stats } = await newsAnalysis.analyze([1, 2, 3].map(article), 'PROMPT', { maxTokens: 100, statsPath });
+    
+    assert.deepEqual(news.map(n => n.titleFr), ['Titre 1', 'Réparé', 'Original 3']);
+    assert.equal(news[2].impact, 'neutre');
+    assert.equal(news[0].link, 'https://example.com/1');
+    assert.match(prompts[1], /^PROMPT\n\nTa réponse précédente/);
+    assert.match(prompts[1], /- news 2\.importance: expected integer, got "4"/);
+    assert.match(prompts[1], /tableau JSON des news 2, 3,/);
+    assert.deepEqual(stats.run, { items: 3, accepted: 1, repaired: 1, fallback: 1, parseFailures: 0, failedCalls: 0 });
+    assert.equal(stats.total.rejectionRate, 0.667);
+    assert.equal(JSON.parse(fs.readFileSync(statsPath, 'utf8')).rejections.length, 2);
+    
+    const published = { schemaVersion: 1, updatedAt: '2026-02-16T12:00:00.000Z', narrative: null, analysisStats: stats, news: [] };
+    assert.deepEqual(schema.validate(published, schema.loadSchema('news'), 'news'), []);
+  });
+  
+  test('counters add up across runs', async () => {
+    const statsPath = path.join(tmp, 'b.json');
+    replies = ['Désolé, je ne peux pas.', 'Toujours pas.'];
+    const first = await newsAnalysis.analyze([1, 2].map(article), 'PROMPT', { maxTokens: 100, statsPath });
+    // Read by the lexicon: nothing about crypto in these articles
+    assert.deepEqual(first.news.map(n => n.importance), [2, 2]);
+    assert.equal(first.stats.run.parseFailures, 2);
+    
+    replies = [[entry(1)]];
+    const second = await newsAnalysis.analyze([article(1)], 'PROMPT', { maxTokens: 100, statsPath });
+    assert.deepEqual(second.stats.total, {
+      since: second.stats.total.since,
+      runs: 2,
+      items: 3,
+      accepted: 1,
+      repaired: 0,
+      fallback: 2,
+      parseFailures: 2,
+      failedCalls: 0,
+      rejectionRate: 0.667
+    });
+  });
+  
+  test('a failed call keeps the articles, read by the lexicon', async () => {
+    replies = [new Error('HTTP 503')];
+    const hack = { title: 'Exchange hacked, $300M drained', description: 'Attackers drained hot wallets. Withdrawals are paused.', link: 'https://example.com/hack' };
+    const { news, stats } = await newsAnalysis.analyze([article(1), hack], 'PROMPT', { maxTokens: 100, statsPath: path.join(tmp, 'c.json'), locale: 'en' });
+    assert.equal(news[0].titleFr, 'Original 1');
+    assert.deepEqual([news[1].impact, news[1].importance, news[1].summary], ['bearish', 5, 'Attackers drained hot wallets.']);
+    assert.match(news[1].priceEffect, /^Keyword reading: leaning bearish \(hacked, drained/);
+    assert.ok(news.every(n => n.fallback));
+    assert.equal(stats.run.failedCalls, 1);
+  });
+});
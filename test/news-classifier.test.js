@@ -0,0 +1,85 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const newsClassifier = require('../scripts/lib/news-classifier');
+
+const article = (title, description = '') => ({ title, description });
+
+describe('classify', () => {
+  test('reads the direction from weighted terms, the title counting twice', () => {
+    const etf = newsClassifier.classify(article('Bitcoin ETFs record $187M outflows as BTC slips under $69K', 'US spot Bitcoin ETFs saw a fourth straight day of net outflows. Analysts expect more.'));
+    assert.deepEqual(etf, {
+      impact: 'bearish',
+      importance: 5,
+      score: -6.5,
+      terms: ['outflows', 'slips'],
+      entities: ['ETF'],
+      summary: 'US spot Bitcoin ETFs saw a fourth straight day of net outflows.'
+    });
+    assert.equal(newsClassifier.classify(article('SEC approves spot Ether ETF options', 'The approval could bring inflows.')).impact, 'bullish');
+  });
+  
+  test('phrases win over their words, negations cancel a term', () => {
+    assert.deepEqual(newsClassifier.classify(article('Bitcoin funds see record inflows')).terms, ['record inflows']);
+    const denied = newsClassifier.classify(article('Exchange was not hacked, says CEO', 'Funds are safe.'));
+    assert.equal(denied.impact, 'neutre');
+    assert.equal(denied.score, 0);
+  });
+  
+  test('reads French articles', () => {
+    const result = newsClassifier.classify(article('Le bitcoin chute après le piratage d\'une plateforme'));
+    assert.equal(result.impact, 'bearish');
+    assert.deepEqual(result.entities, ['Hack']);
+  });
+  
+  test('importance: entities and amounts raise it, off-topic articles lose a point', () => {
+    assert.equal(newsClassifier.classify(article('Ether funding flips positive while traders stay cautious')).importance, 3);
+    assert.equal(newsClassifier.classify(article('Local football club changes its logo')).importance, 2);
+    assert.equal(newsClassifier.classify(article('Halving countdown: miners brace for the reward cut')).importance, 5);
+    assert.equal(newsClassifier.classify(article('Bitcoin treasury firm raises $2 billion')).importance, 4);
+  });
+  
+  test('short summaries: first sentence, the title when there is no description', () => {
+    assert.equal(newsClassifier.classify(article('Title only')).summary, 'Title only');
+    const long = newsClassifier.classify(article('Long', 'x'.repeat(300))).summary;
+    assert.equal(long.length, 200);
+    assert.ok(long.endsWith('…'));
+  });
+});
+
+describe('analysis', () => {
+  test('writes the analysis fields in the locale', () => {
+    const fields = newsClassifier.analysis(article('Bitcoin rallies to a record high', 'Buyers are back.'), 'fr');
+    assert.deepEqual(Object.keys(fields), ['titleFr', 'summary', 'impact', 'priceEffect', 'importance', 'contextLink']);
+    assert.equal(fields.priceEffect, 'Lecture par mots-clés : plutôt haussier (rallies, record high)');
+  });
+});
+
+describe('disagree', () => {
+  test('only opposite directions disagree', () => {
+    assert.equal(newsClassifier.disagree('bullish', 'bearish'), true);
+    assert.equal(newsClassifier.disagree('bearish', 'bullish'), true);
+    assert.equal(newsClassifier.disagree('bullish', 'neutre'), false);
+    assert.equal(newsClassifier.disagree('neutre', 'bearish'), false);
+  });
+});
+
+describe('loadLexicon', () => {
+  let tmp;
+  before(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mamos-lexicon-')); });
+  after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  
+  test('lists every problem', () => {
+    const file = path.join(tmp, 'lexicon.json');
+    fs.writeFileSync(file, JSON.stringify({ terms: { hack: 0 }, negations: [], entities: [{ name: 'SEC', terms: [] }], importance: { base: 3 } }));
+    assert.throws(() => newsClassifier.loadLexicon(file), e => {
+      assert.match(e.message, /terms\["hack"\]: must be a non-zero number/);
+      assert.match(e.message, /entities\[0\]\.terms: must be a non-empty array/);
+      assert.match(e.message, /entities\[0\]\.importance: must be a number/);
+      assert.match(e.message, /importance\.topics: must be an array/);
+      return true;
+    });
+  });
+});
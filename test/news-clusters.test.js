@@ -0,0 +1,80 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const newsClusters = require('../scripts/lib/news-clusters');
+
+const article = (source, link, date, title, description, weight = 1) => ({ source, link, date, title, description, weight });
+
+const ARTICLES = [
+  article('CoinTelegraph', 'https://ct/etf', '2026-02-16T10:42:00Z', 'Bitcoin ETFs record $187M outflows as BTC slips under $69K', 'US spot Bitcoin ETFs saw a fourth straight day of net outflows as BTC price dropped below $69,000.'),
+  article('CoinDesk', 'https://cd/etf', '2026-02-16T11:30:00Z', 'Spot Bitcoin ETFs Bleed $187 Million for a Fourth Day', "BlackRock's IBIT led the outflows as bitcoin dropped below $69,000."),
+  article('Cryptoast', 'https://cr/etf', '2026-02-16T10:00:00Z', 'Les ETF Bitcoin enregistrent 187 millions de dollars de sorties', 'Les ETF Bitcoin au comptant ont subi un quatrième jour de sorties nettes, le BTC passant sous les 69 000 $.', 0.6),
+  article('CoinDesk', 'https://cd/cme', '2026-02-16T11:00:00Z', 'Hedge Funds Pile Into Record CME Bitcoin Shorts', 'Leveraged funds now hold the largest net short position on CME bitcoin futures since 2024.'),
+  article('The Block', 'https://tb/cme', '2026-02-16T09:00:00Z', 'Leveraged funds hold record net short on CME bitcoin futures', 'CFTC data shows hedge funds increased their short exposure on CME.'),
+  article('CoinTelegraph', 'https://ct/miners', '2026-02-16T08:15:00Z', 'Miners power down rigs as hashrate falls 5% from its peak', 'Hashrate dropped for a third day as less efficient miners switch off machines.'),
+  article('Decrypt', 'https://de/eth', '2026-02-16T07:15:00Z', 'Ethereum funding flips positive while traders stay cautious', 'Perpetual funding rates for ETH turned slightly positive over the weekend.', 0.8),
+  article('Decrypt', 'https://de/demand', '2026-02-16T06:00:00Z', 'Bitcoin price slips as ETF demand cools', 'BTC fell 3% overnight.', 0.8)
+];
+
+const summary = stories => stories.map(s => [s.link, s.coverage, s.otherSources.map(o => o.link)]);
+
+describe('features', () => {
+  test('amounts written differently are the same entity', () => {
+    const a = newsClusters.entities('ETFs lose $187M as BTC slips under $69K');
+    const b = newsClusters.entities('Les ETF perdent 187 millions, le bitcoin sous 69 000 $');
+    for (const shared of ['187000000', '69000', 'etf', 'btc']) {
+      assert.ok(a.has(shared) && b.has(shared), shared);
+    }
+  });
+  
+  test('Title Case headlines only name their acronyms and known assets', () => {
+    assert.deepEqual([...newsClusters.entities('Hedge Funds Pile Into Record CME Bitcoin Shorts')], ['cme', 'btc']);
+  });
+  
+  test('words are folded, singular and aliased', () => {
+    assert.deepEqual(newsClusters.tokenize("Ethereum's Réserves of the miners"), ['eth', 'reserve', 'miner']);
+  });
+});
+
+describe('cluster', () => {
+  test('groups the coverage of one story across sources and languages', () => {
+    assert.deepEqual(summary(newsClusters.cluster(ARTICLES)), [
+      ['https://de/demand', 1, []],
+      ['https://de/eth', 1, []],
+      ['https://ct/miners', 1, []],
+      ['https://cd/cme', 2, ['https://tb/cme']],
+      ['https://cd/etf', 3, ['https://ct/etf', 'https://cr/etf']]
+    ]);
+  });
+  
+  test('does not depend on the order of the feeds', () => {
+    const expected = summary(newsClusters.cluster(ARTICLES));
+    assert.deepEqual(summary(newsClusters.cluster(ARTICLES.slice().reverse())), expected);
+    assert.deepEqual(summary(newsClusters.cluster([...ARTICLES.slice(4), ...ARTICLES.slice(0, 4)])), expected);
+  });
+  
+  test('the heaviest feed represents the story', () => {
+    const stories = newsClusters.cluster(ARTICLES.map(a => a.source === 'Cryptoast' ? { ...a, weight: 2 } : a));
+    const etf = stories.find(s => s.coverage === 3);
+    assert.equal(etf.source, 'Cryptoast');
+    assert.deepEqual(etf.otherSources.map(o => o.source), ['CoinDesk', 'CoinTelegraph']);
+  });
+  
+  test('the same link is one article, far apart dates are two stories', () => {
+    const copy = { ...ARTICLES[0], source: 'Aggregator', title: 'Unrelated wording' };
+    const stories = newsClusters.cluster([ARTICLES[0], copy]);
+    assert.equal(stories.length, 1);
+    assert.equal(stories[0].coverage, 2);
+    assert.deepEqual(stories[0].otherSources, []);
+    
+    const later = { ...ARTICLES[1], date: '2026-02-19T11:30:00Z' };
+    assert.equal(newsClusters.cluster([ARTICLES[0], later]).length, 2);
+  });
+});
+
+describe('boostImportance', () => {
+  test('+1 per other source, up to +2, never above 5', () => {
+    assert.deepEqual([1, 2, 3, 6].map(c => newsClusters.boostImportance(2, c)), [2, 3, 4, 4]);
+    assert.equal(newsClusters.boostImportance(4, 3), 5);
+    assert.equal(newsClusters.boostImportance(3), 3);
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const newsImpact = require('../scripts/lib/news-impact');
+const schema = require('../scripts/lib/schema');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse('2026-02-16T12:00:00Z');
+
+// Binance hourly klines from T0 - 2h: one open price per hour
+const candles = opens => opens.map((open, i) => [T0 + (i - 2) * HOUR, String(open), '0', '0', '0', '0']);
+
+const item = (title, impact, { hoursAgo = 0, source = 'CoinDesk', analyzer = 'ai' } = {}) => ({
+  title: `FR ${title}`,
+  titleOriginal: title,
+  impact,
+  importance: 4,
+  source,
+  analyzer,
+  link: `https://example.com/${encodeURIComponent(title)}`,
+  date: new Date(T0 - hoursAgo * HOUR).toISOString()
+});
+
+describe('priceAt', () => {
+  test('open of the hourly candle holding the time', () => {
+    const klines = candles([100, 200, 300]);
+    assert.equal(newsImpact.priceAt(klines, T0 + 30 * 60 * 1000), 300);
+    assert.equal(newsImpact.priceAt(klines, T0 - HOUR), 200);
+    assert.equal(newsImpact.priceAt(klines, T0 + HOUR), null);
+    assert.equal(newsImpact.priceAt(null, T0), null);
+  });
+});
+
+describe('hit', () => {
+  test('directional calls need a move beyond the flat band, neutral calls stay inside', () => {
+    assert.equal(newsImpact.hit('bullish', 2, '24h'), true);
+    assert.equal(newsImpact.hit('bullish', 1, '24h'), false);
+    assert.equal(newsImpact.hit('bearish', -0.5, '1h'), true);
+    assert.equal(newsImpact.hit('bearish', 0.5, '1h'), false);
+    assert.equal(newsImpact.hit('neutre', -1, '24h'), true);
+    assert.equal(newsImpact.hit('neutre', 1, '1h'), false);
+  });
+});
+
+describe('trackArticles / measureArticles', () => {
+  test('measures each horizon once it is past and covered by the candles', () => {
+    const state = { articles: [] };
+    newsImpact.trackArticles(state, [item('ETF outflows', 'bearish')], T0);
+    newsImpact.trackArticles(state, [item('ETF outflows', 'bearish')], T0 + HOUR);
+    assert.equal(state.articles.length, 1, 'the same article is tracked once');
+    
+    // Opens: T0 → 70000, T0+1h → 69650 (-0.5%), T0+4h → 70210 (+0.3%)
+    const klines = candles([70500, 70200, 70000, 69650, 69800, 70100, 70210]);
+    assert.equal(newsImpact.measureArticles(state, klines, T0 + 4 * HOUR).length, 1);
+    const [article] = state.articles;
+    assert.deepEqual(article.prices, { publication: 70000, '1h': 69650, '4h': 70210, '24h': null });
+    assert.deepEqual(article.moves, { '1h': -0.5, '4h': 0.3 });
+    assert.deepEqual(article.hits, { '1h': true, '4h': false });
+    assert.equal(newsImpact.measureArticles(state, klines, T0 + 5 * HOUR).length, 0, 'nothing new to measure');
+  });
+  
+  test('prices missing from a run are caught up, the call follows the analysis until measured', () => {
+    const state = { articles: [] };
+    newsImpact.trackArticles(state, [item('Halving', 'neutre', { analyzer: 'rules' })], T0);
+    newsImpact.measureArticles(state, null, T0 + 2 * HOUR);
+    assert.deepEqual(state.articles[0].moves, {});
+    
+    newsImpact.trackArticles(state, [item('Halving', 'bullish')], T0 + 2 * HOUR);
+    assert.deepEqual([state.articles[0].analyzer, state.articles[0].impact], ['ai', 'bullish']);
+    newsImpact.measureArticles(state, candles([1, 1, 100, 101]), T0 + 2 * HOUR);
+    assert.deepEqual(state.articles[0].hits, { '1h': true });
+    
+    newsImpact.trackArticles(state, [item('Halving', 'bearish')], T0 + 3 * HOUR);
+    assert.equal(state.articles[0].impact, 'bullish', 'a measured call is kept');
+  });
+  
+  test('articles dated in the future or without a date start now', () => {
+    const state = { articles: [] };
+    newsImpact.trackArticles(state, [{ ...item('Undated', 'neutre'), date: '' }, item('Future', 'neutre', { hoursAgo: -3 })], T0);
+    assert.deepEqual(state.articles.map(a => a.publishedAt), [new Date(T0).toISOString(), new Date(T0).toISOString()]);
+  });
+});
+
+describe('summarize', () => {
+  test('hit rates per horizon, source, impact label and analyzer over the last days', () => {
+    const state = { articles: [] };
+    newsImpact.trackArticles(state, [
+      item('Up call', 'bullish', { hoursAgo: 26 }),
+      item('Down call', 'bearish', { hoursAgo: 26, source: 'The Block' }),
+      item('Lexicon call', 'bearish', { hoursAgo: 26, analyzer: 'rules' })
+    ], T0);
+    // +2% in 24h: the bullish call is right, the bearish ones are wrong
+    const opens = Array.from({ length: 30 }, (_, i) => 70000 + i * 1400 / 24);
+    const klines = opens.map((open, i) => [T0 - 26 * HOUR + i * HOUR, String(open)]);
+    newsImpact.measureArticles(state, klines, T0);
+    
+    const report = newsImpact.summarize(state.articles, T0);
+    assert.deepEqual(report['24h'], { calls: 3, hits: 1, hitRate: 33, avgMovePct: 2 });
+    assert.equal(report.bySource.CoinDesk['24h'].hitRate, 50);
+    assert.equal(report.byImpact.bullish['24h'].hitRate, 100);
+    assert.equal(report.byAnalyzer.ai['24h'].hits, 1);
+    assert.equal(report.byAnalyzer.rules['24h'].hits, 0);
+    assert.equal(newsImpact.summarize(state.articles, T0 + 31 * 24 * HOUR).articles, 0);
+  });
+});
+
+describe('updateImpact', () => {
+  test('keeps the articles in its state file and publishes a valid report', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'news-impact-')), 'state.json');
+    try {
+      const klines = candles([70000, 70000, 70000, 71000]);
+      assert.equal(newsImpact.updateImpact([item('ETF inflows', 'bullish')], klines, T0, file).added.length, 1);
+      const { report, added, measured } = newsImpact.updateImpact([item('ETF inflows', 'bullish')], klines, T0 + HOUR, file);
+      assert.deepEqual([added.length, measured.length], [0, 1]);
+      assert.equal(report['1h'].hitRate, 100);
+      assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).articles.length, 1);
+      
+      const output = { schemaVersion: 1, updatedAt: new Date(T0).toISOString(), narrative: null, news: [], impactReport: report };
+      assert.deepEqual(schema.validate(output, schema.loadSchema('news')), []);
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+});
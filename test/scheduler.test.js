@@ -0,0 +1,84 @@
+const { describe, test, mock, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scheduler = require('../scripts/lib/scheduler');
+const { JOBS } = require('../scripts/scheduler');
+
+const MIN = 60 * 1000;
+const T0 = Date.parse('2026-02-18T12:07:00Z');
+
+describe('schedules', () => {
+  test('interval slots are aligned on the clock', () => {
+    const quarter = scheduler.every(15);
+    assert.equal(new Date(quarter.last(T0)).toISOString(), '2026-02-18T12:00:00.000Z');
+    assert.equal(new Date(quarter.next(T0)).toISOString(), '2026-02-18T12:15:00.000Z');
+  });
+  
+  test('the ETF job follows the US trading days', () => {
+    assert.equal(JOBS.etf.schedule, scheduler.usTradingDays);
+    assert.equal(new Date(JOBS.etf.schedule.next(T0)).toISOString(), '2026-02-18T22:00:00.000Z');
+  });
+});
+
+describe('isDue', () => {
+  const job = { schedule: scheduler.every(15), retries: 1, retryMinutes: 5 };
+  
+  test('a job runs once per slot, and catches up on a missed one', () => {
+    assert.equal(scheduler.isDue(job, undefined, T0), true);
+    assert.equal(scheduler.isDue(job, { lastStart: T0 - 10 * MIN, lastEnd: T0 - 9 * MIN, lastStatus: 'ok', attempts: 1 }, T0), true);
+    assert.equal(scheduler.isDue(job, { lastStart: T0 - 5 * MIN, lastEnd: T0 - 4 * MIN, lastStatus: 'ok', attempts: 1 }, T0), false);
+    assert.equal(scheduler.isDue(job, { lastStart: T0 - 5 * MIN, lastStatus: 'running', attempts: 1 }, T0), false);
+  });
+  
+  test('a failed run is retried after the delay, within the retry budget', () => {
+    const failed = { lastStart: T0 - 6 * MIN, lastEnd: T0 - 4 * MIN, lastStatus: 'failed', attempts: 1 };
+    assert.equal(scheduler.isDue(job, failed, T0), false, 'too early');
+    assert.equal(scheduler.isDue(job, failed, T0 + MIN), true);
+    assert.equal(scheduler.isDue(job, { ...failed, attempts: 2 }, T0 + MIN), false, 'no retry left');
+  });
+});
+
+describe('locks and runs', () => {
+  let dir;
+  
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+    mock.method(console, 'log', () => {});
+  });
+  
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('a lock is exclusive until released, and a dead owner loses it', () => {
+    const release = scheduler.acquireLock('data', { dir });
+    assert.equal(typeof release, 'function');
+    assert.equal(scheduler.acquireLock('data', { dir }), null);
+    release();
+    assert.equal(typeof scheduler.acquireLock('data', { dir }), 'function');
+    
+    fs.writeFileSync(path.join(dir, '.scheduler-news.lock'), JSON.stringify({ pid: 2 ** 22 + 1, startedAt: Date.now() }));
+    assert.equal(typeof scheduler.acquireLock('news', { dir }), 'function');
+  });
+  
+  test('runJob records the outcome and skips a job that is already running', async () => {
+    const job = { script: path.join(dir, 'job.js'), schedule: scheduler.every(15) };
+    const broken = { script: path.join(dir, 'broken.js'), schedule: scheduler.every(15) };
+    fs.writeFileSync(job.script, 'process.exit(0);');
+    fs.writeFileSync(broken.script, 'process.exit(3);');
+    
+    assert.equal((await scheduler.runJob('sample', job, { dir })).status, 'ok');
+    assert.equal((await scheduler.runJob('other', broken, { dir })).status, 'failed');
+    const state = scheduler.loadState(dir);
+    assert.equal(state.jobs.sample.lastStatus, 'ok');
+    assert.equal(state.jobs.other.lastStatus, 'failed');
+    assert.equal(state.jobs.other.attempts, 1);
+    
+    const release = scheduler.acquireLock('sample', { dir });
+    assert.equal((await scheduler.runJob('sample', job, { dir })).status, 'locked');
+    release();
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const schema = require('../scripts/lib/schema');
+const { summarizeFlows } = require('../scripts/scrape-etf');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['version', 'items'],
+  properties: {
+    version: { const: 1 },
+    label: { type: ['string', 'null'] },
+    items: { type: 'array', items: { $ref: '#/$defs/item' } }
+  },
+  $defs: {
+    item: {
+      type: 'object',
+      required: ['value'],
+      properties: { value: { $ref: '#/$defs/numeric' }, side: { enum: ['long', 'short'] } },
+      additionalProperties: false
+    },
+    numeric: { type: ['number', 'string'], pattern: '^-?\\d+(\\.\\d+)?$', minimum: 0 }
+  }
+};
+
+describe('validate', () => {
+  test('accepts a matching document', () => {
+    assert.deepEqual(schema.validate({ version: 1, label: null, items: [{ value: 3 }, { value: '0.0100', side: 'long' }] }, SCHEMA), []);
+  });
+  
+  test('lists every problem with its path', () => {
+    assert.deepEqual(schema.validate({ version: 2, label: 4, items: [{ value: 'n/a' }, { value: -1, side: 'flat', extra: true }, {}] }, SCHEMA), [
+      'data.version: must be 1, got 2',
+      'data.label: expected string | null, got 4',
+      'data.items[0].value: must match ^-?\\d+(\\.\\d+)?$, got "n/a"',
+      'data.items[1].value: must be >= 0, got -1',
+      'data.items[1].side: must be one of "long", "short", got "flat"',
+      'data.items[1].extra: not allowed',
+      'data.items[2].value: required'
+    ]);
+  });
+  
+  test('integers are numbers but numbers are not integers', () => {
+    assert.deepEqual(schema.validate(2, { type: 'number' }), []);
+    assert.deepEqual(schema.validate(2.5, { type: 'integer' }), ['data: expected integer, got 2.5']);
+  });
+  
+  test('string lengths count characters', () => {
+    assert.deepEqual(schema.validate('🚀 ok', { type: 'string', maxLength: 4 }), []);
+    assert.deepEqual(schema.validate('', { minLength: 1 }), ['data: must be at least 1 characters, got 0']);
+  });
+});
+
+describe('data.json schema', () => {
+  const etfSchema = schema.loadSchema('data').properties.etf;
+  
+  test('accepts the ETF block of the Farside scraper and of the CoinGlass API', () => {
+    const farside = summarizeFlows([{ date: '13 Feb 2026', totalRaw: '(48.2)' }, { date: '16 Feb 2026', totalRaw: '145.0' }]).data;
+    const api = { date: '2026-02-16', daily: -48, weekly: -651, total: 39500, trend: 'negative_daily', source: 'api' };
+    assert.deepEqual(schema.validate(farside, etfSchema, 'etf'), []);
+    assert.deepEqual(schema.validate(api, etfSchema, 'etf'), []);
+    assert.deepEqual(schema.validate({ ...api, daily: '-48' }, etfSchema, 'etf'), ['etf.daily: expected number, got "-48"']);
+  });
+  
+  test('assertValid refuses to publish a malformed file', () => {
+    assert.throws(() => schema.assertValid({ schemaVersion: 1, updatedAt: '2026-02-16T12:00:00.000Z', news: [] }, 'news'), {
+      message: 'Refusing to publish news.json (schema v1):\n  - news.narrative: required'
+    });
+  });
+});
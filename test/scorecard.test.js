@@ -0,0 +1,117 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scorecard = require('../scripts/lib/scorecard');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse('2026-02-16T12:00:00Z');
+
+// data.json assets entry with a plan built on 68000 / 66700 supports and 71700 / 73300 resistances
+const asset = ({ price = 68400, direction = 'ACHAT', strength = 'Modéré', horizon = 'medium', stop = 66700 } = {}) => ({
+  priceData: { current: price },
+  tradingPlan: {
+    bias: { direction, strength },
+    horizon: { id: horizon },
+    scenarios: {
+      long: { direction: 'long', entryZone: [68000, 69500], entry: 68750, stop, targets: [{ price: 71700 }, { price: 73300 }] },
+      short: { direction: 'short', entryZone: [70200, 71700], entry: 70950, stop: 73300, targets: [{ price: 68000 }, { price: 66700 }] }
+    }
+  }
+});
+
+const run = (plans, assets, now) => scorecard.recordPlans({ plans }, assets, now).plans;
+// Plans are kept newest first
+const first = plans => plans[plans.length - 1];
+
+describe('recordPlans', () => {
+  test('records a plan once and follows it with the next prices', () => {
+    let plans = run([], { BTC: asset() }, T0);
+    assert.equal(plans.length, 1);
+    assert.equal(plans[0].direction, 'long');
+    assert.equal(plans[0].expiresAt, '2026-03-02T12:00:00.000Z');
+    
+    plans = run(plans, { BTC: asset({ price: 70000 }) }, T0 + HOUR);
+    assert.equal(plans.length, 1, 'the same plan is not recorded twice');
+    assert.equal(plans[0].outcome, null);
+    
+    plans = run(plans, { BTC: asset({ price: 71800 }) }, T0 + 10 * HOUR);
+    assert.equal(plans[0].status, 'target1');
+    assert.equal(plans[0].outcome, null, 'still running for target 2');
+    
+    plans = run(plans, { BTC: asset({ price: 73400 }) }, T0 + 30 * HOUR);
+    assert.equal(first(plans).outcome, 'target2');
+    assert.equal(first(plans).hoursToOutcome, 30);
+  });
+  
+  test('a short plan is invalidated above its stop', () => {
+    let plans = run([], { ETH: asset({ direction: 'VENTE', strength: 'Fort' }) }, T0);
+    plans = run(plans, { ETH: asset({ price: 73500, direction: 'VENTE', strength: 'Fort' }) }, T0 + 5 * HOUR);
+    assert.equal(first(plans).direction, 'short');
+    assert.equal(first(plans).outcome, 'invalidated');
+    assert.equal(first(plans).hoursToOutcome, 5);
+  });
+  
+  test('target 1 then the stop closes as target 1, timed at the target', () => {
+    let plans = run([], { BTC: asset() }, T0);
+    plans = run(plans, { BTC: asset({ price: 72000 }) }, T0 + 4 * HOUR);
+    plans = run(plans, { BTC: asset({ price: 66000 }) }, T0 + 20 * HOUR);
+    assert.equal(first(plans).outcome, 'target1');
+    assert.equal(first(plans).hoursToOutcome, 4);
+  });
+  
+  test('plans expire with their horizon and PRUDENCE plans are not scored', () => {
+    let plans = run([], { BTC: asset({ horizon: 'short' }), SOL: asset({ direction: 'PRUDENCE' }) }, T0);
+    assert.deepEqual(plans.map(p => p.asset), ['BTC']);
+    plans = run(plans, { BTC: asset({ price: 69000, horizon: 'short' }) }, T0 + 73 * HOUR);
+    assert.equal(plans[1].outcome, 'expired');
+    assert.equal(plans[0].outcome, null, 'the plan still published is recorded again');
+  });
+  
+  test('new levels make a new plan while the old one keeps running', () => {
+    let plans = run([], { BTC: asset() }, T0);
+    plans = run(plans, { BTC: asset({ stop: 66500 }) }, T0 + HOUR);
+    assert.equal(plans.length, 2);
+    assert.deepEqual(plans.map(p => p.stop), [66500, 66700]);
+  });
+});
+
+describe('summarize', () => {
+  test('win rate per bias and strength leaves expired plans aside', () => {
+    const plan = (bias, strength, outcome, hoursToOutcome = null) => ({ bias, strength, outcome, hoursToOutcome, openedAt: '2026-02-16T12:00:00.000Z', targets: [] });
+    const summary = scorecard.summarize([
+      plan('ACHAT', 'Fort', 'target1', 10),
+      plan('ACHAT', 'Fort', 'target2', 30),
+      plan('ACHAT', 'Fort', 'invalidated', 2),
+      plan('ACHAT', 'Fort', 'expired'),
+      plan('VENTE', 'Modéré', null)
+    ]);
+    
+    assert.equal(summary.plans, 5);
+    assert.equal(summary.open, 1);
+    assert.equal(summary.winRate, 67);
+    assert.equal(summary.avgHoursToOutcome, 14);
+    assert.deepEqual(summary.groups.map(g => [g.bias, g.strength, g.plans, g.winRate]), [
+      ['ACHAT', 'Fort', 4, 67],
+      ['VENTE', 'Modéré', 1, null]
+    ]);
+    assert.deepEqual(summary.recent.map(p => p.won), [true, true, false, false, null]);
+  });
+});
+
+describe('updateScorecard', () => {
+  test('keeps the plans in its state file and reports what closed', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'scorecard-')), 'state.json');
+    try {
+      assert.equal(scorecard.updateScorecard({ BTC: asset() }, T0, file).added.length, 1);
+      const { summary, added, closed } = scorecard.updateScorecard({ BTC: asset({ price: 66000 }) }, T0 + HOUR, file);
+      assert.deepEqual(added.map(p => p.asset), ['BTC'], 'the plan republished after its invalidation is a new one');
+      assert.deepEqual(closed.map(p => p.outcome), ['invalidated']);
+      assert.equal(summary.invalidated, 1);
+      assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).plans.length, 2);
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+});
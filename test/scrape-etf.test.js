@@ -0,0 +1,82 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNumber, findETFTable, extractDailyFlows, summarizeFlows } = require('../scripts/scrape-etf');
+
+// Cell texts as returned by the browser for the Farside page
+const HEADER = ['', 'IBIT', 'FBTC', 'BITB', 'ARKB', 'GBTC', 'Total'];
+const ETF_TABLE = [
+  HEADER,
+  ['Fee', '0.25%', '0.25%', '0.20%', '0.21%', '1.50%', ''],
+  ['09 Feb 2026', '120.4', '35.1', '0.0', '-', '(12.3)', '143.2'],
+  ['10 Feb 2026', '(80.2)', '(20.0)', '0.0', '(5.1)', '(31.9)', '(137.2)'],
+  ['11 Feb 2026', '0.0', '12.5', '-', '-', '(4.0)', '8.5'],
+  ['12 Feb 2026', '(210.7)', '(45.3)', '(3.2)', '(9.9)', '(48.8)', '(317.9)'],
+  ['13 Feb 2026', '1,020.5', '88.0', '5.5', '12.1', '(20.1)', '1,106.0'],
+  ['16 Feb 2026', '(150.0)', '(22.4)', '0.0', '0.0', '(15.0)', '(187.4)'],
+  ['Total', '41,230.1', '12,004.4', '2,120.9', '2,410.3', '(21,003.2)', '36,762.5'],
+  ['Average', '100.1', '29.1', '5.1', '5.9', '(51.0)', '89.2']
+];
+const OTHER_TABLE = [['Feb 2026 ETH ETF', 'ETHA', 'FETH'], ['16 Feb 2026', '(10.0)', '2.0']];
+
+describe('parseNumber', () => {
+  test('parses Farside positive and negative numbers', () => {
+    assert.equal(parseNumber('143.2'), 143.2);
+    assert.equal(parseNumber('(137.2)'), -137.2);
+    assert.equal(parseNumber(' 1,106.0 '), 1106);
+    assert.equal(parseNumber('($1,020.5)'), -1020.5);
+  });
+  
+  test('treats empty cells and dashes as zero', () => {
+    assert.equal(parseNumber(''), 0);
+    assert.equal(parseNumber('-'), 0);
+    assert.equal(parseNumber(undefined), 0);
+    assert.equal(parseNumber('n/a'), 0);
+  });
+});
+
+describe('findETFTable', () => {
+  test('picks the Bitcoin table with IBIT and FBTC', () => {
+    assert.equal(findETFTable([OTHER_TABLE, ETF_TABLE]), ETF_TABLE);
+  });
+  
+  test('does not match a table just because it mentions a month', () => {
+    assert.equal(findETFTable([OTHER_TABLE]), null);
+    assert.equal(findETFTable([]), null);
+  });
+});
+
+describe('extractDailyFlows', () => {
+  test('keeps only date rows with the Total column', () => {
+    const rows = extractDailyFlows(ETF_TABLE);
+    assert.equal(rows.length, 6);
+    assert.deepEqual(rows[0], { date: '09 Feb 2026', totalRaw: '143.2' });
+    assert.deepEqual(rows[5], { date: '16 Feb 2026', totalRaw: '(187.4)' });
+  });
+  
+  test('ignores rows with too few cells', () => {
+    assert.deepEqual(extractDailyFlows([['16 Feb 2026', '12.0']]), []);
+  });
+});
+
+describe('summarizeFlows', () => {
+  const now = Date.parse('2026-02-16T22:30:00Z');
+  
+  test('latest day, 5 day total and history', () => {
+    const result = summarizeFlows(extractDailyFlows(ETF_TABLE), now);
+    assert.equal(result.fetchDate, '2026-02-16');
+    assert.equal(result.fetchTime, '2026-02-16T22:30:00.000Z');
+    assert.equal(result.data.date, '16 Feb 2026');
+    assert.equal(result.data.daily, -187.4);
+    assert.equal(result.data.weekly, Math.round((-137.2 + 8.5 - 317.9 + 1106 - 187.4) * 10) / 10);
+    assert.equal(result.data.dailyHistory.length, 5);
+    assert.deepEqual(result.data.dailyHistory[0], { date: '10 Feb 2026', flow: -137.2 });
+    assert.equal(result.data.trend, 'negative_daily');
+    assert.equal(result.data.source, 'farside');
+  });
+  
+  test('positive day', () => {
+    const result = summarizeFlows(extractDailyFlows(ETF_TABLE.slice(0, 7)), now);
+    assert.equal(result.data.daily, 1106);
+    assert.equal(result.data.trend, 'positive_daily');
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../scripts/lib/llm');
+const newsAnalysis = require('../scripts/lib/news-analysis');
+const articleStore = require('../scripts/lib/article-store');
+const { selectNews, buildEdition } = require('../scripts/update-news');
+
+const NOW = new Date('2026-02-16T12:00:00Z').getTime();
+const news = (title, hoursAgo, weight = 1, link = `https://example.com/${title}`) => ({
+  title,
+  link,
+  date: hoursAgo === null ? '' : new Date(NOW - hoursAgo * 3600000).toISOString(),
+  weight
+});
+
+describe('selectNews', () => {
+  test('newest first, the feed weight shrinking the age', () => {
+    const picked = selectNews([news('old', 10), news('heavy', 6, 2), news('fresh', 4), news('light', 2, 0.25)], NOW, 3);
+    assert.deepEqual(picked.map(n => n.title), ['heavy', 'fresh', 'light']);
+  });
+  
+  test('stories covered by several sources rank higher', () => {
+    const picked = selectNews([news('single', 2), { ...news('covered', 3), coverage: 3 }], NOW, 1);
+    assert.deepEqual(picked.map(n => n.title), ['covered']);
+  });
+  
+  test('stories without a date come last', () => {
+    const picked = selectNews([news('undated', null), news('dated', 48)], NOW);
+    assert.deepEqual(picked.map(n => n.title), ['dated', 'undated']);
+  });
+});
+
+describe('buildEdition', () => {
+  let analyzed;
+  let narratives;
+  
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(llm, 'available', () => true);
+    mock.method(llm, 'complete', async () => {
+      narratives++;
+      return 'Récit du marché';
+    });
+    // The model rejects the articles whose title contains "broken"
+    mock.method(newsAnalysis, 'analyze', async items => {
+      analyzed.push(items.map(n => n.title));
+      return {
+        news: items.map(n => n.title.includes('broken')
+          ? { ...n, titleFr: n.title, summary: n.description, impact: 'neutre', priceEffect: '', importance: 3, contextLink: '', fallback: true }
+          : { ...n, titleFr: `FR ${n.title}`, summary: n.description, impact: 'bearish', priceEffect: 'Baisse', importance: 4, contextLink: '' }),
+        stats: null
+      };
+    });
+  });
+  
+  after(() => mock.restoreAll());
+  
+  const story = title => ({ title, description: `About ${title}`, link: `https://example.com/${title}`, source: 'CoinDesk', coverage: 1, otherSources: [] });
+  const context = { fearGreed: 14, fearGreedLabel: 'Extreme Fear', hedgeFundsShort: 52.9, institutionsSignal: 'accumulating', etfFlow: -187, fundingRate: 0.01, signal: 'PATIENCE' };
+  
+  test('only never analyzed stories go to the model', async () => {
+    analyzed = [];
+    narratives = 0;
+    const store = articleStore.load('/nonexistent/store.json');
+    
+    const first = await buildEdition([story('a'), story('b broken')], context, 'fr', store);
+    assert.deepEqual(first.news.map(n => n.title), ['FR a', 'b broken']);
+    assert.equal(first.narrative, 'Récit du marché');
+    
+    const second = await buildEdition([story('c'), story('a'), story('b broken')], context, 'fr', store);
+    assert.deepEqual(analyzed, [['a', 'b broken'], ['c', 'b broken']]);
+    assert.deepEqual(second.news.map(n => n.title), ['FR c', 'FR a', 'b broken']);
+    
+    // Same stories, same narrative; another locale is analyzed on its own
+    await buildEdition([story('c'), story('a'), story('b broken')], context, 'fr', store);
+    assert.equal(narratives, 2);
+    // Same stories, the market flipped: a new narrative
+    await buildEdition([story('c'), story('a'), story('b broken')], { ...context, fearGreed: 72, etfFlow: 240 }, 'fr', store);
+    assert.equal(narratives, 3);
+    await buildEdition([story('a')], context, 'en', store);
+    assert.deepEqual(analyzed.at(-1), ['a']);
+  });
+  
+  test('opposite readings of the model and the lexicon are flagged', async () => {
+    analyzed = [];
+    const store = articleStore.load('/nonexistent/store.json');
+    const edition = await buildEdition([story('Bitcoin rallies to a record high'), story('Bitcoin slips under $69K'), story('c broken rallies')], context, 'en', store);
+    assert.deepEqual(edition.news.map(n => [n.analyzer, n.rules.impact, n.disagreement]), [
+      ['ai', 'bullish', true],
+      ['ai', 'bearish', false],
+      ['rules', 'bullish', false]
+    ]);
+  });
+});